@@ -1,22 +1,46 @@
 import { QdrantService } from './services/qdrantService.js';
 import { Logger } from './logger.js';
+import { redisClient, initRedis } from './redisClient.js';
 
 const logger = new Logger();
 
+function printFileList(label, files) {
+    console.log(`${label}: ${files.length}`);
+    files.forEach(file => console.log(`  - ${file}`));
+}
+
 async function ingestDocuments() {
-    const directoryPath = 'kb';
+    const directoryPath = process.argv[2] || process.env.KB_DIRECTORY || 'kb';
 
     try {
+        // The release schedule is kept in Redis
+        await initRedis();
         const qdrantService = new QdrantService();
-        const result = await qdrantService.upsertFromDirectory(directoryPath, true);
+        const summary = await qdrantService.syncDirectory(directoryPath, true);
 
-        console.log(`Successfully ingested ${result.count} documents into Qdrant.`);
-        logger.info(`Ingested ${result.count} documents`, { directoryPath });
+        console.log(`\nIngestion summary for ${directoryPath}:`);
+        printFileList('Added', summary.added);
+        printFileList('Updated', summary.updated);
+        printFileList('Removed', summary.removed);
+        if (summary.failed.length > 0) printFileList('Failed', summary.failed);
+        console.log(`Unchanged: ${summary.unchanged.length}`);
+        console.log(`Chunks embedded and upserted: ${summary.chunksUpserted}`);
+
+        logger.info('Document ingestion completed', {
+            directoryPath,
+            added: summary.added.length,
+            updated: summary.updated.length,
+            removed: summary.removed.length,
+            unchanged: summary.unchanged.length,
+            failed: summary.failed.length,
+            chunksUpserted: summary.chunksUpserted
+        });
     } catch (error) {
         console.error('Error ingesting documents:', error);
         logger.error('Document ingestion failed', { error: error.message });
+    } finally {
+        if (redisClient.isOpen) await redisClient.quit();
     }
 }
 
 ingestDocuments();
-
@@ -72,6 +72,38 @@ const activeThreads = new promClient.Gauge({
 const inappropriateContentBlocked = new promClient.Counter({
     name: 'ics_ta_bot_inappropriate_content_blocked_total',
     help: 'Total number of inappropriate content requests blocked',
+    labelNames: ['rule'],
+    registers: [register]
+});
+
+const messageRatingsTotal = new promClient.Counter({
+    name: 'ics_ta_bot_message_ratings_total',
+    help: 'Total number of thumbs up/down ratings given to assistant messages',
+    labelNames: ['rating'],
+    registers: [register]
+});
+
+// Replies the academic-integrity guard flagged, by rule broken and what was done about it
+const integrityGuardTriggersTotal = new promClient.Counter({
+    name: 'ics_ta_bot_integrity_guard_triggers_total',
+    help: 'Total number of replies flagged by the OCaml academic-integrity guard',
+    labelNames: ['rule', 'action'],
+    registers: [register]
+});
+
+// Every moderation decision, allow included, so block and flag rates can be worked out
+const moderationDecisionsTotal = new promClient.Counter({
+    name: 'ics_ta_bot_moderation_decisions_total',
+    help: 'Total number of prompts checked by input moderation, by the action decided',
+    labelNames: ['action'],
+    registers: [register]
+});
+
+// Prompts matched to a live assignment's problem, and replies blocked for matching its solution
+const assignmentGuardTotal = new promClient.Counter({
+    name: 'ics_ta_bot_assignment_guard_total',
+    help: 'Total number of hint-only prompts and blocked replies caused by registered assignments',
+    labelNames: ['outcome'],
     registers: [register]
 });
 
@@ -86,5 +118,9 @@ export {
     openaiRequestsTotal, 
     openaiRequestDuration, 
     activeThreads, 
-    inappropriateContentBlocked 
+    inappropriateContentBlocked,
+    moderationDecisionsTotal,
+    messageRatingsTotal,
+    integrityGuardTriggersTotal,
+    assignmentGuardTotal
 };
\ No newline at end of file
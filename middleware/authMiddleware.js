@@ -1,19 +1,44 @@
 import authService from '../services/authService.js';
+import { hasPermission } from '../services/permissions.js';
 
-export function requireAuth(req, res, next) {
-    const token = req.session.authToken || req.headers.authorization?.split(' ')[1];
+export async function requireAuth(req, res, next) {
+    // The header carries the freshest access token; the session copy may predate a refresh
+    const token = req.headers.authorization?.split(' ')[1] || req.session.authToken;
     
     if (!token) {
         return res.status(401).json({ error: 'Authentication required' });
     }
     
+    let decoded;
     try {
-        const decoded = authService.verifyToken(token);
-        req.user = decoded;
-        next();
+        decoded = authService.verifyToken(token);
     } catch (error) {
         return res.status(401).json({ error: 'Invalid authentication token' });
     }
+
+    // Use the current role rather than the one baked into the token, so role
+    // changes apply on the next request instead of the next login.
+    try {
+        if (await authService.isTokenRevoked(decoded)) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+        decoded.role = await authService.getRole(decoded.email);
+    } catch (error) {
+        return res.status(503).json({ error: 'Could not verify session' });
+    }
+
+    req.user = decoded;
+    next();
+}
+
+export function requirePermission(permission) {
+    return (req, res, next) => requireAuth(req, res, () => {
+        if (req.user && hasPermission(req.user.role, permission)) {
+            next();
+        } else {
+            return res.status(403).json({ error: `Permission required: ${permission}` });
+        }
+    });
 }
 
 export function requireAdmin(req, res, next) {
@@ -25,4 +50,4 @@ export function requireAdmin(req, res, next) {
             return res.status(403).json({error: 'Admin Privileges required'});
         }
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,1630 @@
+document.addEventListener('DOMContentLoaded', function() {
+    const token = localStorage.getItem('authToken');
+    // authFetch (authClient.js) adds the access token and refreshes it when needed
+    const jsonHeaders = { 'Content-Type': 'application/json' };
+
+    const adminMessage = document.getElementById('adminMessage');
+    const uploadForm = document.getElementById('uploadForm');
+    const kbFiles = document.getElementById('kbFiles');
+    const kbFolder = document.getElementById('kbFolder');
+    const ingestButton = document.getElementById('ingestButton');
+    const jobStatus = document.getElementById('jobStatus');
+    const documentsTable = document.getElementById('documentsTable');
+    const chunkPreview = document.getElementById('chunkPreview');
+    const termStart = document.getElementById('termStart');
+    const scheduleTable = document.getElementById('scheduleTable');
+    const addScheduleEntry = document.getElementById('addScheduleEntry');
+    const saveScheduleButton = document.getElementById('saveSchedule');
+    const rosterForm = document.getElementById('rosterForm');
+    const rosterFile = document.getElementById('rosterFile');
+    const applyRosterButton = document.getElementById('applyRoster');
+    const exportRosterButton = document.getElementById('exportRoster');
+    const rosterDiff = document.getElementById('rosterDiff');
+    const rosterTable = document.getElementById('rosterTable');
+    const auditFilters = document.getElementById('auditFilters');
+    const auditTable = document.getElementById('auditTable');
+    const auditPrev = document.getElementById('auditPrev');
+    const auditNext = document.getElementById('auditNext');
+    const auditPageInfo = document.getElementById('auditPageInfo');
+    const exportAuditButton = document.getElementById('exportAudit');
+    const feedbackFilters = document.getElementById('feedbackFilters');
+    const feedbackTable = document.getElementById('feedbackTable');
+    const feedbackPrev = document.getElementById('feedbackPrev');
+    const feedbackNext = document.getElementById('feedbackNext');
+    const feedbackPageInfo = document.getElementById('feedbackPageInfo');
+    const feedbackDetail = document.getElementById('feedbackDetail');
+    const detailAssignee = document.getElementById('detailAssignee');
+    const ratingFilters = document.getElementById('ratingFilters');
+    const moderationRulesTable = document.getElementById('moderationRulesTable');
+    const moderationRuleForm = document.getElementById('moderationRuleForm');
+    const assignmentsTable = document.getElementById('assignmentsTable');
+    const helpTable = document.getElementById('helpTable');
+    const helpDetail = document.getElementById('helpDetail');
+    const assignmentForm = document.getElementById('assignmentForm');
+    const moderationTestForm = document.getElementById('moderationTestForm');
+    const decisionsTable = document.getElementById('decisionsTable');
+    const decisionsPrev = document.getElementById('decisionsPrev');
+    const decisionsNext = document.getElementById('decisionsNext');
+    const ratingsTable = document.getElementById('ratingsTable');
+    const ratingsPrev = document.getElementById('ratingsPrev');
+    const ratingsNext = document.getElementById('ratingsNext');
+    const ratingsPageInfo = document.getElementById('ratingsPageInfo');
+    const ratingDetail = document.getElementById('ratingDetail');
+    const quotaDefaultForm = document.getElementById('quotaDefaultForm');
+    const quotaOverridesTable = document.getElementById('quotaOverridesTable');
+    const quotaOverrideForm = document.getElementById('quotaOverrideForm');
+    const quotaBoostsTable = document.getElementById('quotaBoostsTable');
+    const quotaBoostForm = document.getElementById('quotaBoostForm');
+    const quotaUserForm = document.getElementById('quotaUserForm');
+    const quotaResetButton = document.getElementById('quotaResetButton');
+    const quotaUserStatus = document.getElementById('quotaUserStatus');
+
+    let jobPollTimer = null;
+    let permissions = [];
+    let currentUserEmail = null;
+    let auditOffset = 0;
+    const AUDIT_PAGE_SIZE = 25;
+    let feedbackOffset = 0;
+    let selectedReportId = null;
+    const FEEDBACK_PAGE_SIZE = 20;
+    let ratingsOffset = 0;
+    const RATINGS_PAGE_SIZE = 20;
+    let decisionsOffset = 0;
+    const DECISIONS_PAGE_SIZE = 20;
+    // How often the help queue and the open request are refreshed
+    const HELP_REFRESH_MS = 15000;
+
+    if (!token) {
+        window.location.href = '/auth.html';
+        return;
+    }
+
+    function showMessage(text, type = 'success') {
+        adminMessage.textContent = text;
+        adminMessage.className = `alert alert-${type}`;
+        adminMessage.style.display = 'block';
+    }
+
+    // Wraps authFetch with the repo's error shape ({ error })
+    async function api(url, options = {}) {
+        const response = await authFetch(url, { ...options, headers: { ...(options.headers || jsonHeaders) } });
+        if (response.status === 401) {
+            throw new Error('Authentication required');
+        }
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || 'Request failed');
+            error.data = data;
+            throw error;
+        }
+        return data;
+    }
+
+    function can(permission) {
+        return permissions.includes(permission);
+    }
+
+    function formatDate(value) {
+        return value ? new Date(value).toLocaleString() : '—';
+    }
+
+    function formatRelease(release) {
+        if (!release || !release.releaseAt) return '<span class="text-muted">Always</span>';
+        const week = release.week ? `Week ${release.week}, ` : '';
+        const released = new Date(release.releaseAt) <= new Date();
+        const badge = released
+            ? '<span class="badge badge-success status-badge">released</span>'
+            : '<span class="badge badge-warning status-badge">scheduled</span>';
+        return `${week}${formatDate(release.releaseAt)} ${badge}`;
+    }
+
+    async function loadDocuments() {
+        try {
+            const { documents } = await api('/api/admin/kb/documents');
+            documentsTable.innerHTML = '';
+
+            if (documents.length === 0) {
+                documentsTable.innerHTML = '<tr><td colspan="7" class="text-muted">No documents in the knowledge base yet.</td></tr>';
+                return;
+            }
+
+            const badgeClass = { ingested: 'success', pending: 'warning', missing: 'secondary' };
+            documents.forEach(doc => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td></td>
+                    <td>${doc.fileType}</td>
+                    <td><span class="badge badge-${badgeClass[doc.status]} status-badge">${doc.status}</span></td>
+                    <td>${doc.chunkCount}</td>
+                    <td>${formatDate(doc.ingestedAt)}</td>
+                    <td>${formatRelease(doc.release)}</td>
+                    <td class="text-right">
+                        <button class="btn btn-sm btn-outline-primary preview-btn">Preview</button>
+                        <button class="btn btn-sm btn-outline-danger delete-btn">Delete</button>
+                    </td>`;
+                row.cells[0].textContent = doc.filePath;
+                row.querySelector('.preview-btn').addEventListener('click', () => previewChunks(doc.filePath));
+                if (can('kb:manage')) {
+                    row.querySelector('.delete-btn').addEventListener('click', () => deleteDocument(doc.filePath));
+                } else {
+                    row.querySelector('.delete-btn').remove();
+                }
+                documentsTable.appendChild(row);
+            });
+        } catch (error) {
+            showMessage(`Failed to load documents: ${error.message}`, 'danger');
+        }
+    }
+
+    async function previewChunks(filePath) {
+        try {
+            const { chunks } = await api(`/api/admin/kb/documents/chunks?filePath=${encodeURIComponent(filePath)}`);
+            chunkPreview.innerHTML = '';
+
+            const heading = document.createElement('h3');
+            heading.className = 'h6';
+            heading.textContent = `${filePath} — ${chunks.length} chunk(s)`;
+            chunkPreview.appendChild(heading);
+
+            chunks.forEach(chunk => {
+                const chunkDiv = document.createElement('div');
+                chunkDiv.className = 'chunk';
+
+                const meta = document.createElement('div');
+                meta.className = 'chunk-meta';
+                meta.textContent = [
+                    `#${chunk.chunkIndex + 1}`,
+                    chunk.section,
+                    chunk.page ? `p.${chunk.page}` : null
+                ].filter(Boolean).join(' · ');
+
+                const text = document.createElement('div');
+                text.textContent = chunk.text;
+
+                chunkDiv.appendChild(meta);
+                chunkDiv.appendChild(text);
+                chunkPreview.appendChild(chunkDiv);
+            });
+        } catch (error) {
+            showMessage(`Failed to load chunks: ${error.message}`, 'danger');
+        }
+    }
+
+    async function deleteDocument(filePath) {
+        if (!confirm(`Delete ${filePath} and its vectors from the knowledge base?`)) return;
+
+        try {
+            await api('/api/admin/kb/documents', {
+                method: 'DELETE',
+                body: JSON.stringify({ filePath })
+            });
+            showMessage(`Deleted ${filePath}`);
+            chunkPreview.innerHTML = '';
+            await loadDocuments();
+        } catch (error) {
+            showMessage(`Failed to delete document: ${error.message}`, 'danger');
+        }
+    }
+
+    async function uploadFiles(event) {
+        event.preventDefault();
+        if (kbFiles.files.length === 0) {
+            showMessage('Choose at least one file to upload.', 'warning');
+            return;
+        }
+
+        const formData = new FormData();
+        for (const file of kbFiles.files) formData.append('files', file);
+        formData.append('folder', kbFolder.value.trim());
+
+        try {
+            // Let the browser set the multipart boundary
+            const data = await api('/api/admin/kb/upload', { method: 'POST', headers: {}, body: formData });
+            showMessage(`${data.message}. Run a re-ingest to index them.`);
+            uploadForm.reset();
+            await loadDocuments();
+        } catch (error) {
+            showMessage(`Upload failed: ${error.message}`, 'danger');
+        }
+    }
+
+    function renderJob(job) {
+        const { processed, total, currentFile } = job.progress;
+        if (job.status === 'running') {
+            jobStatus.textContent = `Ingesting… ${processed}/${total} files${currentFile ? ` (${currentFile})` : ''}`;
+        } else if (job.status === 'completed') {
+            const s = job.summary;
+            jobStatus.textContent = `Last ingestion finished ${formatDate(job.finishedAt)}: ` +
+                `${s.added.length} added, ${s.updated.length} updated, ${s.removed.length} removed, ` +
+                `${s.unchanged.length} unchanged, ${s.failed.length} failed.`;
+        } else {
+            jobStatus.textContent = `Last ingestion failed: ${job.error}`;
+        }
+        ingestButton.disabled = job.status === 'running';
+    }
+
+    async function pollJob(jobId) {
+        clearTimeout(jobPollTimer);
+        try {
+            const { job } = await api(`/api/admin/kb/jobs/${jobId}`);
+            renderJob(job);
+            if (job.status === 'running') {
+                jobPollTimer = setTimeout(() => pollJob(jobId), 2000);
+            } else {
+                await loadDocuments();
+            }
+        } catch (error) {
+            jobStatus.textContent = `Could not read job status: ${error.message}`;
+        }
+    }
+
+    async function startIngestion() {
+        try {
+            const { job } = await api('/api/admin/kb/ingest', { method: 'POST' });
+            renderJob(job);
+            pollJob(job.id);
+        } catch (error) {
+            if (error.data?.jobId) {
+                pollJob(error.data.jobId);
+            } else {
+                showMessage(`Failed to start ingestion: ${error.message}`, 'danger');
+            }
+        }
+    }
+
+    async function loadLatestJob() {
+        try {
+            const { jobs } = await api('/api/admin/kb/jobs');
+            if (jobs.length > 0) {
+                renderJob(jobs[0]);
+                if (jobs[0].status === 'running') pollJob(jobs[0].id);
+            }
+        } catch (error) {
+            // No job history yet is fine
+        }
+    }
+
+    // datetime-local inputs work in local time without a zone
+    function toLocalInputValue(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    function fromLocalInputValue(value) {
+        return value ? new Date(value).toISOString() : null;
+    }
+
+    function addScheduleRow(entry = {}) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" class="form-control form-control-sm" data-field="pattern" placeholder="kb/week3/"></td>
+            <td><input type="datetime-local" class="form-control form-control-sm" data-field="releaseAt"></td>
+            <td><input type="number" min="1" class="form-control form-control-sm" data-field="week"></td>
+            <td><input type="text" class="form-control form-control-sm" data-field="topic"></td>
+            <td><input type="text" class="form-control form-control-sm" data-field="assignment"></td>
+            <td><button type="button" class="btn btn-sm btn-outline-danger">Remove</button></td>`;
+        row.querySelector('[data-field="pattern"]').value = entry.pattern || '';
+        row.querySelector('[data-field="releaseAt"]').value = toLocalInputValue(entry.releaseAt);
+        row.querySelector('[data-field="week"]').value = entry.week || '';
+        row.querySelector('[data-field="topic"]').value = entry.topic || '';
+        row.querySelector('[data-field="assignment"]').value = entry.assignment || '';
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        scheduleTable.appendChild(row);
+    }
+
+    async function loadSchedule() {
+        try {
+            const { schedule } = await api('/api/admin/kb/schedule');
+            termStart.value = toLocalInputValue(schedule.termStart);
+            scheduleTable.innerHTML = '';
+            schedule.entries.forEach(addScheduleRow);
+        } catch (error) {
+            showMessage(`Failed to load release schedule: ${error.message}`, 'danger');
+        }
+    }
+
+    async function saveSchedule() {
+        const entries = [...scheduleTable.querySelectorAll('tr')].map(row => {
+            const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+            return {
+                pattern: value('pattern'),
+                releaseAt: fromLocalInputValue(value('releaseAt')),
+                week: value('week') ? Number(value('week')) : null,
+                topic: value('topic') || null,
+                assignment: value('assignment') || null
+            };
+        }).filter(entry => entry.pattern);
+
+        try {
+            const data = await api('/api/admin/kb/schedule', {
+                method: 'PUT',
+                body: JSON.stringify({ termStart: fromLocalInputValue(termStart.value), entries })
+            });
+            showMessage(`${data.message}. ${data.filesChanged} ingested file(s) re-tagged.`);
+            await loadSchedule();
+            await loadDocuments();
+        } catch (error) {
+            showMessage(`Failed to save schedule: ${error.message}`, 'danger');
+        }
+    }
+
+    async function loadRoster() {
+        try {
+            const { roster } = await api('/api/admin/roster');
+            rosterTable.innerHTML = '';
+            roster.forEach(entry => {
+                const row = document.createElement('tr');
+                ['email', 'name', 'role', 'section'].forEach(field => {
+                    const cell = document.createElement('td');
+                    if (field === 'role' && can('roles:manage')) {
+                        cell.appendChild(roleSelect(entry));
+                    } else {
+                        cell.textContent = entry[field];
+                    }
+                    row.appendChild(cell);
+                });
+
+                const actions = document.createElement('td');
+                actions.className = 'text-right';
+                if (can('access:manage')) {
+                    const logoutButton = document.createElement('button');
+                    logoutButton.className = 'btn btn-sm btn-outline-danger';
+                    logoutButton.textContent = 'Force logout';
+                    logoutButton.addEventListener('click', () => forceLogout(entry.email));
+                    actions.appendChild(logoutButton);
+                }
+                row.appendChild(actions);
+                rosterTable.appendChild(row);
+            });
+        } catch (error) {
+            showMessage(`Failed to load roster: ${error.message}`, 'danger');
+        }
+    }
+
+    async function forceLogout(email) {
+        if (!confirm(`Sign ${email} out of every device?`)) return;
+
+        try {
+            const data = await api(`/api/admin/users/${encodeURIComponent(email)}/logout`, { method: 'POST' });
+            showMessage(data.message);
+        } catch (error) {
+            showMessage(`Failed to log out ${email}: ${error.message}`, 'danger');
+        }
+    }
+
+    function roleSelect(entry) {
+        const select = document.createElement('select');
+        select.className = 'form-control form-control-sm';
+        ['student', 'ta', 'instructor', 'admin'].forEach(role => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = role;
+            option.selected = role === entry.role;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', async () => {
+            try {
+                const data = await api(`/api/admin/roles/${encodeURIComponent(entry.email)}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ role: select.value })
+                });
+                showMessage(data.message);
+                entry.role = select.value;
+            } catch (error) {
+                select.value = entry.role;
+                showMessage(`Failed to change role: ${error.message}`, 'danger');
+            }
+        });
+        return select;
+    }
+
+    function rosterFormData() {
+        const formData = new FormData();
+        formData.append('file', rosterFile.files[0]);
+        return formData;
+    }
+
+    function renderRosterDiff(diff) {
+        rosterDiff.innerHTML = '';
+        const addList = (title, items, describe) => {
+            if (items.length === 0) return;
+            const heading = document.createElement('strong');
+            heading.textContent = `${title} (${items.length})`;
+            const list = document.createElement('ul');
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.textContent = describe(item);
+                list.appendChild(li);
+            });
+            rosterDiff.appendChild(heading);
+            rosterDiff.appendChild(list);
+        };
+
+        addList('Invalid rows', diff.errors, e => `Line ${e.line}: ${e.email || '(blank)'} — ${e.error}`);
+        addList('Add', diff.add, e => `${e.email} (${[e.name, e.role, e.section].filter(Boolean).join(', ')})`);
+        addList('Remove', diff.remove, e => `${e.email}${e.name ? ` (${e.name})` : ''}`);
+        addList('Update', diff.update, e => `${e.email}: ` +
+            Object.entries(e.changes).map(([field, c]) => `${field} "${c.from}" → "${c.to}"`).join(', '));
+        addList('Kept', diff.kept, e => `${e.email} — ${e.reason}`);
+        rosterDiff.dataset.changes = diff.add.length + diff.remove.length + diff.update.length;
+
+        const summary = document.createElement('div');
+        summary.className = 'text-muted';
+        summary.textContent = `${diff.unchanged} unchanged.`;
+        rosterDiff.appendChild(summary);
+    }
+
+    async function previewRoster(event) {
+        event.preventDefault();
+        applyRosterButton.disabled = true;
+        if (rosterFile.files.length === 0) {
+            showMessage('Choose a roster CSV first.', 'warning');
+            return;
+        }
+
+        try {
+            const { diff } = await api('/api/admin/roster/preview', { method: 'POST', headers: {}, body: rosterFormData() });
+            renderRosterDiff(diff);
+            applyRosterButton.disabled = diff.errors.length > 0;
+        } catch (error) {
+            showMessage(`Roster preview failed: ${error.message}`, 'danger');
+        }
+    }
+
+    async function applyRoster() {
+        if (!confirm(`Apply the roster? ${rosterDiff.dataset.changes} change(s) will be made.`)) return;
+
+        try {
+            const data = await api('/api/admin/roster/import', { method: 'POST', headers: {}, body: rosterFormData() });
+            showMessage(`${data.message}: ${data.diff.add.length} added, ${data.diff.remove.length} removed, ${data.diff.update.length} updated.`);
+            applyRosterButton.disabled = true;
+            rosterDiff.innerHTML = '';
+            rosterForm.reset();
+            await loadRoster();
+        } catch (error) {
+            if (error.data?.diff) renderRosterDiff(error.data.diff);
+            showMessage(`Roster import failed: ${error.message}`, 'danger');
+        }
+    }
+
+    async function exportRoster() {
+        try {
+            // Fetched rather than linked so the auth header is sent
+            const response = await authFetch('/api/admin/roster/export');
+            if (!response.ok) throw new Error('Export failed');
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `roster-${new Date().toISOString().split('T')[0]}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            showMessage(`Failed to export roster: ${error.message}`, 'danger');
+        }
+    }
+
+    function feedbackQuery() {
+        const params = new URLSearchParams();
+        const value = id => document.getElementById(id).value.trim();
+        if (value('feedbackSearch')) params.set('q', value('feedbackSearch'));
+        if (value('feedbackStatus')) params.set('status', value('feedbackStatus'));
+        if (value('feedbackType')) params.set('type', value('feedbackType'));
+        if (value('feedbackPriority')) params.set('priority', value('feedbackPriority'));
+        if (value('feedbackAssignee')) params.set('assignee', value('feedbackAssignee'));
+        if (value('feedbackFrom')) params.set('from', new Date(`${value('feedbackFrom')}T00:00:00`).toISOString());
+        if (value('feedbackTo')) params.set('to', new Date(`${value('feedbackTo')}T23:59:59.999`).toISOString());
+        params.set('limit', FEEDBACK_PAGE_SIZE);
+        params.set('offset', feedbackOffset);
+        return params;
+    }
+
+    async function loadFeedback() {
+        try {
+            const { stats, reports, total, offset } = await api(`/api/admin/feedback?${feedbackQuery()}`);
+
+            document.getElementById('feedbackStats').textContent = [
+                `${stats.total} report(s)`,
+                ...Object.entries(stats.byStatus).map(([status, count]) => `${count} ${status}`),
+                `${stats.recent} in the last 7 days`
+            ].join(' · ');
+
+            // The type filter offers whatever types have been reported so far
+            const typeSelect = document.getElementById('feedbackType');
+            Object.keys(stats.byType).forEach(type => {
+                if ([...typeSelect.options].some(option => option.value === type)) return;
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = type;
+                typeSelect.appendChild(option);
+            });
+
+            feedbackTable.innerHTML = '';
+            reports.forEach(report => {
+                const row = document.createElement('tr');
+                row.className = 'feedback-row';
+                row.dataset.reportId = report.id;
+                if (report.id === selectedReportId) row.classList.add('table-active');
+                [formatDate(report.timestamp), report.userEmail, report.attackType, report.priority, report.status, report.assignee || '—', (report.replies || []).length]
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                row.addEventListener('click', () => showReport(report.id));
+                feedbackTable.appendChild(row);
+            });
+
+            feedbackPageInfo.textContent = total === 0
+                ? 'No matching reports'
+                : `${offset + 1}–${offset + reports.length} of ${total}`;
+            feedbackPrev.disabled = offset === 0;
+            feedbackNext.disabled = offset + reports.length >= total;
+        } catch (error) {
+            showMessage(`Failed to load feedback: ${error.message}`, 'danger');
+        }
+    }
+
+    function renderThread(container, messages, className) {
+        container.innerHTML = '';
+        if (messages.length === 0) {
+            container.innerHTML = '<p class="small text-muted">None yet.</p>';
+            return;
+        }
+        messages.forEach(message => {
+            const item = document.createElement('div');
+            item.className = `thread-message ${className(message)}`;
+            const meta = document.createElement('div');
+            meta.className = 'chunk-meta';
+            meta.textContent = `${message.author} · ${formatDate(message.createdAt)}`;
+            item.appendChild(meta);
+            item.appendChild(document.createTextNode(message.body));
+            container.appendChild(item);
+        });
+    }
+
+    // Staff who can be assigned reports, from the roster
+    async function loadAssignees(current) {
+        detailAssignee.innerHTML = '<option value="">Unassigned</option>';
+        let staff = [];
+        try {
+            const { roster } = await api('/api/admin/roster');
+            staff = roster.filter(entry => entry.role !== 'student').map(entry => entry.email);
+        } catch (error) {
+            // Without the roster, the current assignee is still offered
+        }
+        if (current && !staff.includes(current)) staff.push(current);
+        staff.forEach(email => {
+            const option = document.createElement('option');
+            option.value = email;
+            option.textContent = email;
+            detailAssignee.appendChild(option);
+        });
+        detailAssignee.value = current || '';
+    }
+
+    async function showReport(reportId) {
+        try {
+            const { report } = await api(`/api/admin/feedback/${encodeURIComponent(reportId)}`);
+            selectedReportId = report.id;
+
+            document.getElementById('feedbackDetailTitle').textContent =
+                `${report.attackType} from ${report.userEmail} · ${report.priority} priority · ${formatDate(report.timestamp)}`;
+            document.getElementById('feedbackDescription').textContent = report.description;
+
+            const conversation = document.getElementById('feedbackConversation');
+            conversation.innerHTML = '';
+            (report.conversationHistory || []).forEach(message => {
+                const item = document.createElement('div');
+                item.className = 'chunk';
+                item.textContent = `${message.role === 'user' ? 'Student' : 'Bot'}: ${message.content}`;
+                conversation.appendChild(item);
+            });
+
+            document.getElementById('detailStatus').value = report.status;
+            document.getElementById('detailStatusNote').value = '';
+            await loadAssignees(report.assignee);
+
+            renderThread(document.getElementById('feedbackReplies'), report.replies || [], message => message.fromStaff ? 'staff' : '');
+            renderThread(document.getElementById('feedbackNotes'), report.notes || [], () => 'note');
+
+            const history = document.getElementById('feedbackHistory');
+            history.innerHTML = '';
+            (report.statusHistory || []).forEach(change => {
+                const item = document.createElement('li');
+                item.textContent = `${formatDate(change.at)}: ${change.from ? `${change.from} → ` : ''}${change.to} by ${change.by}${change.note ? ` (${change.note})` : ''}`;
+                history.appendChild(item);
+            });
+
+            feedbackDetail.style.display = 'block';
+            feedbackTable.querySelectorAll('.feedback-row').forEach(row => row.classList.toggle('table-active', row.dataset.reportId === report.id));
+        } catch (error) {
+            showMessage(`Failed to load report: ${error.message}`, 'danger');
+        }
+    }
+
+    // Runs a change to the selected report, then refreshes it and the list
+    async function changeReport(path, method, body, successMessage) {
+        if (!selectedReportId) return;
+        try {
+            const data = await api(`/api/admin/feedback/${encodeURIComponent(selectedReportId)}${path}`, {
+                method,
+                body: JSON.stringify(body)
+            });
+            showMessage(successMessage || data.message);
+            await showReport(selectedReportId);
+            await loadFeedback();
+            return true;
+        } catch (error) {
+            showMessage(`Failed to update report: ${error.message}`, 'danger');
+            return false;
+        }
+    }
+
+    const REASON_LABELS = {
+        wrong: 'Wrong',
+        gave_away_answer: 'Gave away the answer',
+        unhelpful: 'Unhelpful',
+        off_topic: 'Off-topic'
+    };
+
+    function ratingsQuery() {
+        const params = new URLSearchParams();
+        const value = id => document.getElementById(id).value.trim();
+        if (value('ratingSearch')) params.set('q', value('ratingSearch'));
+        if (value('ratingValue')) params.set('rating', value('ratingValue'));
+        if (value('ratingReason')) params.set('reason', value('ratingReason'));
+        if (value('ratingFrom')) params.set('from', new Date(`${value('ratingFrom')}T00:00:00`).toISOString());
+        if (value('ratingTo')) params.set('to', new Date(`${value('ratingTo')}T23:59:59.999`).toISOString());
+        return params;
+    }
+
+    // The aggregates follow the date filter only, so they describe the whole period
+    async function loadRatingSummary() {
+        try {
+            const range = new URLSearchParams();
+            const params = ratingsQuery();
+            ['from', 'to'].forEach(key => params.has(key) && range.set(key, params.get(key)));
+            const { summary, reasons } = await api(`/api/admin/ratings/summary?${range}`);
+
+            document.getElementById('ratingsStats').textContent = summary.total === 0
+                ? 'No answers have been rated yet.'
+                : `${summary.total} rating(s) · ${summary.up} 👍 · ${summary.down} 👎 · ${Math.round(summary.approval * 100)}% positive`;
+
+            const reasonSelect = document.getElementById('ratingReason');
+            reasons.forEach(reason => {
+                if ([...reasonSelect.options].some(option => option.value === reason)) return;
+                const option = document.createElement('option');
+                option.value = reason;
+                option.textContent = REASON_LABELS[reason] || reason;
+                reasonSelect.appendChild(option);
+            });
+
+            const reasonsTable = document.getElementById('ratingReasonsTable');
+            reasonsTable.innerHTML = '';
+            Object.entries(summary.byReason).forEach(([reason, count]) => {
+                const row = document.createElement('tr');
+                [REASON_LABELS[reason] || reason, count].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                reasonsTable.appendChild(row);
+            });
+
+            const sourcesTable = document.getElementById('ratingSourcesTable');
+            sourcesTable.innerHTML = '';
+            if (summary.bySource.length === 0) {
+                sourcesTable.innerHTML = '<tr><td colspan="3" class="text-muted">No retrieved course material yet.</td></tr>';
+            }
+            summary.bySource.slice(0, 10).forEach(source => {
+                const row = document.createElement('tr');
+                [source.file, source.up, source.down].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                sourcesTable.appendChild(row);
+            });
+        } catch (error) {
+            showMessage(`Failed to load rating summary: ${error.message}`, 'danger');
+        }
+    }
+
+    async function loadRatings() {
+        try {
+            const params = ratingsQuery();
+            params.set('limit', RATINGS_PAGE_SIZE);
+            params.set('offset', ratingsOffset);
+            const { ratings, total, offset } = await api(`/api/admin/ratings?${params}`);
+
+            ratingsTable.innerHTML = '';
+            ratingDetail.style.display = 'none';
+            ratings.forEach(rating => {
+                const row = document.createElement('tr');
+                row.className = 'feedback-row';
+                const reasons = rating.reasons.map(reason => REASON_LABELS[reason] || reason).join(', ');
+                const question = rating.prompt.length > 80 ? `${rating.prompt.slice(0, 80)}…` : rating.prompt;
+                [formatDate(rating.ratedAt), rating.userEmail, rating.rating === 'up' ? '👍' : '👎', reasons || '—', question]
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                row.addEventListener('click', () => {
+                    ratingsTable.querySelectorAll('.feedback-row').forEach(other => other.classList.toggle('table-active', other === row));
+                    showRating(rating);
+                });
+                ratingsTable.appendChild(row);
+            });
+
+            ratingsPageInfo.textContent = total === 0
+                ? 'No matching ratings'
+                : `${offset + 1}–${offset + ratings.length} of ${total}`;
+            ratingsPrev.disabled = offset === 0;
+            ratingsNext.disabled = offset + ratings.length >= total;
+        } catch (error) {
+            showMessage(`Failed to load ratings: ${error.message}`, 'danger');
+        }
+    }
+
+    // Shows exactly what the student rated: their question, the answer and the retrieved chunks
+    function showRating(rating) {
+        document.getElementById('ratingDetailTitle').textContent =
+            `${rating.rating === 'up' ? '👍' : '👎'} from ${rating.userEmail} · ${formatDate(rating.ratedAt)}${rating.comment ? ` · "${rating.comment}"` : ''}`;
+        document.getElementById('ratingPrompt').textContent = rating.prompt;
+        document.getElementById('ratingResponse').textContent = rating.response;
+
+        const context = document.getElementById('ratingContext');
+        context.innerHTML = '';
+        if (rating.context.length === 0) {
+            context.innerHTML = '<p class="small text-muted">No course material was retrieved for this answer.</p>';
+        }
+        rating.context.forEach(source => {
+            const chunk = document.createElement('div');
+            chunk.className = 'chunk';
+            const meta = document.createElement('div');
+            meta.className = 'chunk-meta';
+            meta.textContent = `[${source.id}] ${source.file}${source.location ? ` › ${source.location}` : ''}${source.cited ? ' · cited' : ''}`;
+            chunk.appendChild(meta);
+            chunk.appendChild(document.createTextNode(source.snippet || ''));
+            context.appendChild(chunk);
+        });
+
+        ratingDetail.style.display = 'block';
+    }
+
+    function hitRate(count, total) {
+        return total === 0 ? '0' : `${count} (${(100 * count / total).toFixed(1)}%)`;
+    }
+
+    function renderModerationStats(stats) {
+        const { allow, flag, warn, block } = stats.actions;
+        document.getElementById('moderationStats').textContent = `Last ${stats.days} days: ${stats.evaluated} prompts checked — ` +
+            `${hitRate(allow, stats.evaluated)} allowed, ${hitRate(flag, stats.evaluated)} flagged, ` +
+            `${hitRate(warn, stats.evaluated)} warned, ${hitRate(block, stats.evaluated)} blocked.`;
+    }
+
+    async function loadModerationRules() {
+        try {
+            const [{ rules }, { stats }] = await Promise.all([
+                api('/api/admin/moderation/rules'),
+                api('/api/admin/moderation/stats')
+            ]);
+            renderModerationStats(stats);
+
+            moderationRulesTable.innerHTML = '';
+            rules.forEach(rule => {
+                const row = document.createElement('tr');
+                if (!rule.enabled) row.classList.add('text-muted');
+
+                const examples = rule.examples.match.length + rule.examples.noMatch.length;
+                [
+                    `${rule.name}${rule.enabled ? '' : ' (disabled)'}`,
+                    `/${rule.pattern}/${rule.flags || ''}`,
+                    rule.action,
+                    rule.fixtures.passed ? `${examples} pass` : `${rule.fixtures.failures.length} of ${examples} fail`,
+                    hitRate(stats.rules[rule.id] || 0, stats.evaluated)
+                ].forEach((value, index) => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    if (index === 1) cell.className = 'text-monospace small rule-pattern';
+                    if (index === 3 && !rule.fixtures.passed) cell.classList.add('text-danger');
+                    row.appendChild(cell);
+                });
+
+                const actions = document.createElement('td');
+                actions.className = 'moderation-manage text-nowrap';
+                [
+                    ['Edit', 'btn-outline-secondary', () => editRule(rule)],
+                    [rule.enabled ? 'Disable' : 'Enable', 'btn-outline-secondary', () => saveRule(rule.id, { enabled: !rule.enabled })],
+                    ['Delete', 'btn-outline-danger', () => deleteRule(rule)]
+                ].forEach(([label, style, handler]) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = `btn btn-sm ${style} mr-1`;
+                    button.textContent = label;
+                    button.addEventListener('click', handler);
+                    actions.appendChild(button);
+                });
+                if (!can('moderation:manage')) actions.style.display = 'none';
+                row.appendChild(actions);
+
+                moderationRulesTable.appendChild(row);
+            });
+        } catch (error) {
+            showMessage(`Failed to load moderation rules: ${error.message}`, 'danger');
+        }
+    }
+
+    function resetRuleForm() {
+        moderationRuleForm.reset();
+        document.getElementById('ruleId').value = '';
+        document.getElementById('ruleFailures').innerHTML = '';
+        document.getElementById('moderationFormTitle').textContent = 'New rule';
+        document.getElementById('cancelRuleEdit').style.display = 'none';
+    }
+
+    function editRule(rule) {
+        resetRuleForm();
+        document.getElementById('ruleId').value = rule.id;
+        document.getElementById('ruleName').value = rule.name;
+        document.getElementById('rulePattern').value = rule.pattern;
+        document.getElementById('ruleFlags').value = rule.flags || '';
+        document.getElementById('ruleAction').value = rule.action;
+        document.getElementById('ruleDescription').value = rule.description || '';
+        document.getElementById('ruleMessage').value = rule.message || '';
+        document.getElementById('ruleMatch').value = rule.examples.match.join('\n');
+        document.getElementById('ruleNoMatch').value = rule.examples.noMatch.join('\n');
+        document.getElementById('ruleEnabled').checked = rule.enabled;
+        document.getElementById('moderationFormTitle').textContent = `Edit "${rule.name}"`;
+        document.getElementById('cancelRuleEdit').style.display = 'inline-block';
+        moderationRuleForm.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // Creates a rule when ruleId is empty, otherwise updates it with the given fields
+    async function saveRule(ruleId, fields) {
+        const failuresList = document.getElementById('ruleFailures');
+        failuresList.innerHTML = '';
+
+        try {
+            const data = await api(ruleId ? `/api/admin/moderation/rules/${encodeURIComponent(ruleId)}` : '/api/admin/moderation/rules', {
+                method: ruleId ? 'PUT' : 'POST',
+                body: JSON.stringify(fields)
+            });
+            showMessage(data.message);
+            return true;
+        } catch (error) {
+            showMessage(`Failed to save rule: ${error.message}`, 'danger');
+            (error.data?.failures || []).forEach(failure => {
+                const item = document.createElement('li');
+                item.textContent = `"${failure.text}" should ${failure.expected ? '' : 'not '}match`;
+                failuresList.appendChild(item);
+            });
+            return false;
+        } finally {
+            loadModerationRules();
+        }
+    }
+
+    async function submitRuleForm(event) {
+        event.preventDefault();
+        const lines = id => document.getElementById(id).value.split('\n').map(line => line.trim()).filter(Boolean);
+        const saved = await saveRule(document.getElementById('ruleId').value, {
+            name: document.getElementById('ruleName').value,
+            pattern: document.getElementById('rulePattern').value,
+            flags: document.getElementById('ruleFlags').value.trim(),
+            action: document.getElementById('ruleAction').value,
+            description: document.getElementById('ruleDescription').value,
+            message: document.getElementById('ruleMessage').value,
+            enabled: document.getElementById('ruleEnabled').checked,
+            examples: { match: lines('ruleMatch'), noMatch: lines('ruleNoMatch') }
+        });
+        if (saved) resetRuleForm();
+    }
+
+    async function deleteRule(rule) {
+        if (!confirm(`Delete the moderation rule "${rule.name}"?`)) return;
+
+        try {
+            const data = await api(`/api/admin/moderation/rules/${encodeURIComponent(rule.id)}`, { method: 'DELETE' });
+            showMessage(data.message);
+            await loadModerationRules();
+        } catch (error) {
+            showMessage(`Failed to delete rule: ${error.message}`, 'danger');
+        }
+    }
+
+    async function testModeration(event) {
+        event.preventDefault();
+        const result = document.getElementById('moderationTestResult');
+
+        try {
+            const { decision } = await api('/api/admin/moderation/test', {
+                method: 'POST',
+                body: JSON.stringify({ text: document.getElementById('moderationTestInput').value })
+            });
+            const matched = decision.matches.map(match => `${match.name} (${match.action})`).join(', ');
+            const classifier = decision.classifier
+                ? ` Classifier: ${decision.classifier.label} (${Math.round(decision.classifier.confidence * 100)}%).`
+                : '';
+            result.textContent = decision.action === 'allow'
+                ? `Allowed; no rule matched.${classifier}`
+                : `${decision.action.toUpperCase()} by ${decision.rule}. Matched: ${matched}.${classifier}`;
+            result.className = `small ${decision.action === 'block' ? 'text-danger' : ''}`;
+        } catch (error) {
+            showMessage(`Failed to test prompt: ${error.message}`, 'danger');
+        }
+    }
+
+    let onDuty = false;
+    let openHelpRequestId = null;
+
+    async function loadHelpQueue() {
+        try {
+            const status = document.getElementById('helpStatus').value;
+            const { requests, onDuty: dutyList, youAreOnDuty } = await api(`/api/admin/help?status=${encodeURIComponent(status)}`);
+
+            onDuty = youAreOnDuty;
+            const dutyButton = document.getElementById('dutyButton');
+            dutyButton.textContent = onDuty ? 'Go off duty' : 'Go on duty';
+            dutyButton.className = `btn btn-sm ${onDuty ? 'btn-success' : 'btn-outline-primary'}`;
+            document.getElementById('dutyList').textContent = dutyList.length === 0
+                ? 'No TAs are on duty.'
+                : `On duty: ${dutyList.map(ta => ta.email).join(', ')}`;
+
+            helpTable.innerHTML = '';
+            requests.forEach(request => {
+                const row = document.createElement('tr');
+                row.className = 'feedback-row';
+                row.dataset.requestId = request.id;
+                row.classList.toggle('table-active', request.id === openHelpRequestId);
+                [formatDate(request.createdAt), request.userEmail, request.conversationTitle, request.status, request.claimedBy || '—']
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                row.addEventListener('click', () => openHelpRequest(request.id));
+                helpTable.appendChild(row);
+            });
+            if (requests.length === 0) {
+                helpTable.innerHTML = '<tr><td colspan="5" class="text-muted small">No requests.</td></tr>';
+            }
+        } catch (error) {
+            showMessage(`Failed to load the help queue: ${error.message}`, 'danger');
+        }
+    }
+
+    // Shows a request with the student's live conversation
+    async function openHelpRequest(requestId) {
+        try {
+            const { request, history } = await api(`/api/admin/help/${encodeURIComponent(requestId)}`);
+            openHelpRequestId = request.id;
+
+            document.getElementById('helpDetailTitle').textContent =
+                `${request.userEmail} · "${request.conversationTitle}" · ${request.status}${request.claimedBy ? ` by ${request.claimedBy}` : ''}`;
+            const note = document.getElementById('helpNote');
+            note.textContent = request.note;
+            note.style.display = request.note ? 'block' : 'none';
+
+            renderThread(document.getElementById('helpConversation'), history.map(message => ({
+                author: message.staff ? `TA · ${message.staff.email}` : message.role === 'user' ? request.userEmail : 'Bot',
+                createdAt: message.timestamp,
+                body: message.content,
+                staff: Boolean(message.staff)
+            })), message => message.staff ? 'staff' : '');
+
+            const mine = request.status === 'claimed' && request.claimedBy === currentUserEmail;
+            document.getElementById('claimHelpButton').style.display = request.status === 'open' ? 'inline-block' : 'none';
+            document.getElementById('resolveHelpButton').style.display = ['open', 'claimed'].includes(request.status) ? 'inline-block' : 'none';
+            document.getElementById('helpReplyForm').style.display = mine ? 'block' : 'none';
+            helpDetail.style.display = 'block';
+            helpTable.querySelectorAll('.feedback-row').forEach(row => row.classList.toggle('table-active', row.dataset.requestId === request.id));
+        } catch (error) {
+            showMessage(`Failed to load help request: ${error.message}`, 'danger');
+        }
+    }
+
+    async function changeHelpRequest(path, body = {}) {
+        try {
+            const data = await api(`/api/admin/help/${encodeURIComponent(openHelpRequestId)}${path}`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+            showMessage(data.message);
+            return true;
+        } catch (error) {
+            showMessage(error.message, 'danger');
+            return false;
+        } finally {
+            await loadHelpQueue();
+            await openHelpRequest(openHelpRequestId);
+        }
+    }
+
+    async function toggleDuty() {
+        try {
+            const data = await api('/api/admin/help/duty', { method: 'PUT', body: JSON.stringify({ onDuty: !onDuty }) });
+            showMessage(data.message);
+            await loadHelpQueue();
+        } catch (error) {
+            showMessage(`Failed to change duty status: ${error.message}`, 'danger');
+        }
+    }
+
+    // Problems and solutions are edited as one textarea each, items separated by a "---" line
+    const ITEM_SEPARATOR = /^\s*---\s*$/m;
+
+    async function loadAssignments() {
+        try {
+            const { assignments, matchingEnabled } = await api('/api/admin/assignments');
+            document.getElementById('assignmentsDisabled').style.display = matchingEnabled ? 'none' : 'block';
+
+            assignmentsTable.innerHTML = '';
+            assignments.forEach(assignment => {
+                const row = document.createElement('tr');
+                if (!assignment.live) row.classList.add('text-muted');
+
+                [assignment.title, assignment.problemCount, assignment.solutionCount, assignment.live ? 'Live' : 'Not live']
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+
+                const actions = document.createElement('td');
+                actions.className = 'text-nowrap';
+                [
+                    ['Edit', 'btn-outline-secondary', () => editAssignment(assignment.id)],
+                    [assignment.live ? 'Close' : 'Make live', 'btn-outline-secondary', () => saveAssignment(assignment.id, { live: !assignment.live })],
+                    ['Delete', 'btn-outline-danger', () => deleteAssignment(assignment)]
+                ].forEach(([label, style, handler]) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = `btn btn-sm ${style} mr-1`;
+                    button.textContent = label;
+                    button.addEventListener('click', handler);
+                    actions.appendChild(button);
+                });
+                row.appendChild(actions);
+
+                assignmentsTable.appendChild(row);
+            });
+        } catch (error) {
+            showMessage(`Failed to load assignments: ${error.message}`, 'danger');
+        }
+    }
+
+    function resetAssignmentForm() {
+        assignmentForm.reset();
+        document.getElementById('assignmentId').value = '';
+        document.getElementById('assignmentFormTitle').textContent = 'New assignment';
+        document.getElementById('cancelAssignmentEdit').style.display = 'none';
+    }
+
+    async function editAssignment(assignmentId) {
+        try {
+            const { assignment } = await api(`/api/admin/assignments/${encodeURIComponent(assignmentId)}`);
+            resetAssignmentForm();
+            document.getElementById('assignmentId').value = assignment.id;
+            document.getElementById('assignmentTitle').value = assignment.title;
+            document.getElementById('assignmentProblems').value = assignment.problems.join('\n---\n');
+            document.getElementById('assignmentSolutions').value = assignment.solutions.join('\n---\n');
+            document.getElementById('assignmentLive').checked = assignment.live;
+            document.getElementById('assignmentFormTitle').textContent = `Edit "${assignment.title}"`;
+            document.getElementById('cancelAssignmentEdit').style.display = 'inline-block';
+            assignmentForm.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            showMessage(`Failed to load assignment: ${error.message}`, 'danger');
+        }
+    }
+
+    // Creates an assignment when assignmentId is empty, otherwise updates it with the given fields
+    async function saveAssignment(assignmentId, fields) {
+        try {
+            const data = await api(assignmentId ? `/api/admin/assignments/${encodeURIComponent(assignmentId)}` : '/api/admin/assignments', {
+                method: assignmentId ? 'PUT' : 'POST',
+                body: JSON.stringify(fields)
+            });
+            showMessage(data.message);
+            return true;
+        } catch (error) {
+            showMessage(`Failed to save assignment: ${error.message}`, 'danger');
+            return false;
+        } finally {
+            loadAssignments();
+        }
+    }
+
+    async function submitAssignmentForm(event) {
+        event.preventDefault();
+        const items = id => document.getElementById(id).value.split(ITEM_SEPARATOR).map(item => item.trim()).filter(Boolean);
+        const saved = await saveAssignment(document.getElementById('assignmentId').value, {
+            title: document.getElementById('assignmentTitle').value,
+            problems: items('assignmentProblems'),
+            solutions: items('assignmentSolutions'),
+            live: document.getElementById('assignmentLive').checked
+        });
+        if (saved) resetAssignmentForm();
+    }
+
+    async function deleteAssignment(assignment) {
+        if (!confirm(`Delete the assignment "${assignment.title}"?`)) return;
+
+        try {
+            const data = await api(`/api/admin/assignments/${encodeURIComponent(assignment.id)}`, { method: 'DELETE' });
+            showMessage(data.message);
+            await loadAssignments();
+        } catch (error) {
+            showMessage(`Failed to delete assignment: ${error.message}`, 'danger');
+        }
+    }
+
+    async function loadDecisions() {
+        try {
+            const params = new URLSearchParams({ limit: DECISIONS_PAGE_SIZE, offset: decisionsOffset });
+            const action = document.getElementById('decisionAction').value;
+            if (action) params.set('action', action);
+            const { decisions, total, offset } = await api(`/api/admin/moderation/decisions?${params}`);
+
+            decisionsTable.innerHTML = '';
+            decisions.forEach(decision => {
+                const row = document.createElement('tr');
+                [formatDate(decision.at), decision.userEmail || '—', decision.action, decision.rule, decision.prompt]
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                decisionsTable.appendChild(row);
+            });
+
+            document.getElementById('decisionsPageInfo').textContent = total === 0
+                ? 'No decisions yet'
+                : `${offset + 1}–${offset + decisions.length} of ${total}`;
+            decisionsPrev.disabled = offset === 0;
+            decisionsNext.disabled = offset + decisions.length >= total;
+        } catch (error) {
+            showMessage(`Failed to load moderation decisions: ${error.message}`, 'danger');
+        }
+    }
+
+    // Blank inputs mean unlimited (null)
+    function limitValue(id) {
+        const value = document.getElementById(id).value.trim();
+        return value === '' ? null : Number(value);
+    }
+
+    function formatLimit(value) {
+        return value === null || value === undefined ? 'unlimited' : value;
+    }
+
+    async function loadQuotas() {
+        try {
+            const { policies } = await api('/api/admin/quotas');
+            document.getElementById('quotaDefaultDaily').value = policies.default.daily ?? '';
+            document.getElementById('quotaDefaultWeekly').value = policies.default.weekly ?? '';
+
+            quotaOverridesTable.innerHTML = '';
+            const overrides = [
+                ...Object.entries(policies.sections).map(([target, policy]) => ['sections', `Section ${target}`, target, policy]),
+                ...Object.entries(policies.users).map(([target, policy]) => ['users', target, target, policy])
+            ];
+            overrides.forEach(([scope, label, target, policy]) => {
+                const row = document.createElement('tr');
+                [label, 'daily' in policy ? formatLimit(policy.daily) : 'inherited', 'weekly' in policy ? formatLimit(policy.weekly) : 'inherited']
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                const actions = document.createElement('td');
+                actions.className = 'text-right';
+                if (can('quota:manage')) {
+                    const removeButton = document.createElement('button');
+                    removeButton.className = 'btn btn-sm btn-outline-danger';
+                    removeButton.textContent = 'Remove';
+                    removeButton.addEventListener('click', () => removeQuotaOverride(scope, target));
+                    actions.appendChild(removeButton);
+                }
+                row.appendChild(actions);
+                quotaOverridesTable.appendChild(row);
+            });
+
+            quotaBoostsTable.innerHTML = '';
+            policies.boosts.forEach(boost => {
+                const row = document.createElement('tr');
+                if (boost.expired) row.className = 'text-muted';
+                const appliesTo = boost.scope === 'all' ? 'Everyone' : boost.scope === 'section' ? `Section ${boost.target}` : boost.target;
+                [appliesTo, boost.extraDaily, boost.extraWeekly, `${formatDate(boost.startsAt)} – ${formatDate(boost.endsAt)}`, boost.note]
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                const actions = document.createElement('td');
+                actions.className = 'text-right';
+                if (can('quota:manage')) {
+                    const deleteButton = document.createElement('button');
+                    deleteButton.className = 'btn btn-sm btn-outline-danger';
+                    deleteButton.textContent = 'Delete';
+                    deleteButton.addEventListener('click', () => deleteBoost(boost.id));
+                    actions.appendChild(deleteButton);
+                }
+                row.appendChild(actions);
+                quotaBoostsTable.appendChild(row);
+            });
+        } catch (error) {
+            showMessage(`Failed to load quotas: ${error.message}`, 'danger');
+        }
+    }
+
+    async function saveDefaultQuota(event) {
+        event.preventDefault();
+        try {
+            const data = await api('/api/admin/quotas/default', {
+                method: 'PUT',
+                body: JSON.stringify({ daily: limitValue('quotaDefaultDaily'), weekly: limitValue('quotaDefaultWeekly') })
+            });
+            showMessage(data.message);
+            await loadQuotas();
+        } catch (error) {
+            showMessage(`Failed to save default quota: ${error.message}`, 'danger');
+        }
+    }
+
+    async function saveQuotaOverride(event) {
+        event.preventDefault();
+        const scope = document.getElementById('quotaOverrideScope').value;
+        const target = document.getElementById('quotaOverrideTarget').value.trim();
+
+        // Only the windows filled in are overridden; the rest are inherited
+        const policy = {};
+        if (document.getElementById('quotaOverrideDaily').value.trim()) policy.daily = limitValue('quotaOverrideDaily');
+        if (document.getElementById('quotaOverrideWeekly').value.trim()) policy.weekly = limitValue('quotaOverrideWeekly');
+
+        try {
+            const data = await api(`/api/admin/quotas/${scope}/${encodeURIComponent(target)}`, {
+                method: 'PUT',
+                body: JSON.stringify(policy)
+            });
+            showMessage(data.message);
+            quotaOverrideForm.reset();
+            await loadQuotas();
+        } catch (error) {
+            showMessage(`Failed to save quota override: ${error.message}`, 'danger');
+        }
+    }
+
+    async function removeQuotaOverride(scope, target) {
+        try {
+            const data = await api(`/api/admin/quotas/${scope}/${encodeURIComponent(target)}`, { method: 'DELETE' });
+            showMessage(data.message);
+            await loadQuotas();
+        } catch (error) {
+            showMessage(`Failed to remove quota override: ${error.message}`, 'danger');
+        }
+    }
+
+    async function createBoost(event) {
+        event.preventDefault();
+        const value = id => document.getElementById(id).value.trim();
+        const toIso = local => local ? new Date(local).toISOString() : null;
+
+        try {
+            const data = await api('/api/admin/quotas/boosts', {
+                method: 'POST',
+                body: JSON.stringify({
+                    scope: value('boostScope'),
+                    target: value('boostTarget') || null,
+                    extraDaily: Number(value('boostExtraDaily')) || 0,
+                    extraWeekly: Number(value('boostExtraWeekly')) || 0,
+                    startsAt: toIso(value('boostStartsAt')),
+                    endsAt: toIso(value('boostEndsAt')),
+                    note: value('boostNote')
+                })
+            });
+            showMessage(data.message);
+            quotaBoostForm.reset();
+            await loadQuotas();
+        } catch (error) {
+            showMessage(`Failed to create boost: ${error.message}`, 'danger');
+        }
+    }
+
+    async function deleteBoost(boostId) {
+        try {
+            const data = await api(`/api/admin/quotas/boosts/${boostId}`, { method: 'DELETE' });
+            showMessage(data.message);
+            await loadQuotas();
+        } catch (error) {
+            showMessage(`Failed to delete boost: ${error.message}`, 'danger');
+        }
+    }
+
+    async function checkUserQuota(event) {
+        if (event) event.preventDefault();
+        const email = document.getElementById('quotaUserEmail').value.trim();
+        if (!email) return;
+
+        try {
+            const { quota } = await api(`/api/admin/quotas/users/${encodeURIComponent(email)}/status`);
+            if (quota.isAdmin) {
+                quotaUserStatus.textContent = `${email} is an admin and has no limit.`;
+                return;
+            }
+            if (quota.error) {
+                quotaUserStatus.textContent = `Could not read the quota of ${email}.`;
+                return;
+            }
+            const describe = (label, counts) => counts.limit === null
+                ? `${label}: ${counts.used} used, unlimited`
+                : `${label}: ${counts.used} of ${counts.limit} used, resets ${formatDate(counts.resetAt)}`;
+            quotaUserStatus.textContent = [describe('Today', quota.daily), describe('This week', quota.weekly)].join(' · ');
+        } catch (error) {
+            showMessage(`Failed to check quota: ${error.message}`, 'danger');
+        }
+    }
+
+    async function resetUserQuota() {
+        const email = document.getElementById('quotaUserEmail').value.trim();
+        if (!email) return;
+
+        try {
+            const data = await api(`/api/admin/quotas/users/${encodeURIComponent(email)}/reset`, {
+                method: 'POST',
+                body: JSON.stringify({ window: document.getElementById('quotaResetWindow').value })
+            });
+            showMessage(data.message);
+            await checkUserQuota();
+        } catch (error) {
+            showMessage(`Failed to reset quota: ${error.message}`, 'danger');
+        }
+    }
+
+    // Query string for the audit filters; the date inputs cover whole days
+    function auditQuery() {
+        const params = new URLSearchParams();
+        const value = id => document.getElementById(id).value.trim();
+        if (value('auditActor')) params.set('actor', value('auditActor'));
+        if (value('auditAction')) params.set('action', value('auditAction'));
+        if (value('auditTarget')) params.set('target', value('auditTarget'));
+        if (value('auditFrom')) params.set('from', new Date(`${value('auditFrom')}T00:00:00`).toISOString());
+        if (value('auditTo')) params.set('to', new Date(`${value('auditTo')}T23:59:59.999`).toISOString());
+        return params;
+    }
+
+    function describeChange(entry) {
+        const parts = [];
+        if (entry.before !== null) parts.push(`before: ${JSON.stringify(entry.before)}`);
+        if (entry.after !== null) parts.push(`after: ${JSON.stringify(entry.after)}`);
+        if (entry.details !== null) parts.push(JSON.stringify(entry.details));
+        return parts.join('\n');
+    }
+
+    async function loadAudit() {
+        try {
+            const params = auditQuery();
+            params.set('limit', AUDIT_PAGE_SIZE);
+            params.set('offset', auditOffset);
+            const { entries, total, offset } = await api(`/api/admin/audit?${params}`);
+
+            auditTable.innerHTML = '';
+            entries.forEach(entry => {
+                const row = document.createElement('tr');
+                [formatDate(entry.timestamp), entry.actor, entry.action, entry.target || '—', describeChange(entry), entry.ip || '—']
+                    .forEach((value, index) => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        if (index === 4) cell.className = 'audit-change';
+                        row.appendChild(cell);
+                    });
+                auditTable.appendChild(row);
+            });
+
+            auditPageInfo.textContent = total === 0
+                ? 'No matching entries'
+                : `${offset + 1}–${offset + entries.length} of ${total}`;
+            auditPrev.disabled = offset === 0;
+            auditNext.disabled = offset + entries.length >= total;
+        } catch (error) {
+            showMessage(`Failed to load audit log: ${error.message}`, 'danger');
+        }
+    }
+
+    async function exportAudit() {
+        try {
+            const response = await authFetch(`/api/admin/audit/export?${auditQuery()}`);
+            if (!response.ok) throw new Error('Export failed');
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `audit-${new Date().toISOString().split('T')[0]}.jsonl`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            showMessage(`Failed to export audit log: ${error.message}`, 'danger');
+        }
+    }
+
+    uploadForm.addEventListener('submit', uploadFiles);
+    rosterForm.addEventListener('submit', previewRoster);
+    rosterFile.addEventListener('change', () => applyRosterButton.disabled = true);
+    applyRosterButton.addEventListener('click', applyRoster);
+    exportRosterButton.addEventListener('click', exportRoster);
+    addScheduleEntry.addEventListener('click', () => addScheduleRow());
+    saveScheduleButton.addEventListener('click', saveSchedule);
+    ingestButton.addEventListener('click', startIngestion);
+    auditFilters.addEventListener('submit', event => {
+        event.preventDefault();
+        auditOffset = 0;
+        loadAudit();
+    });
+    auditPrev.addEventListener('click', () => {
+        auditOffset = Math.max(auditOffset - AUDIT_PAGE_SIZE, 0);
+        loadAudit();
+    });
+    auditNext.addEventListener('click', () => {
+        auditOffset += AUDIT_PAGE_SIZE;
+        loadAudit();
+    });
+    exportAuditButton.addEventListener('click', exportAudit);
+    feedbackFilters.addEventListener('submit', event => {
+        event.preventDefault();
+        feedbackOffset = 0;
+        loadFeedback();
+    });
+    feedbackPrev.addEventListener('click', () => {
+        feedbackOffset = Math.max(feedbackOffset - FEEDBACK_PAGE_SIZE, 0);
+        loadFeedback();
+    });
+    feedbackNext.addEventListener('click', () => {
+        feedbackOffset += FEEDBACK_PAGE_SIZE;
+        loadFeedback();
+    });
+    document.getElementById('updateStatusButton').addEventListener('click', () => changeReport('', 'PUT', {
+        status: document.getElementById('detailStatus').value,
+        note: document.getElementById('detailStatusNote').value.trim()
+    }, 'Status updated'));
+    document.getElementById('assignButton').addEventListener('click', () => changeReport('/assignee', 'PUT', {
+        assignee: detailAssignee.value || null
+    }));
+    document.getElementById('sendReplyButton').addEventListener('click', async () => {
+        const replyInput = document.getElementById('replyInput');
+        if (!replyInput.value.trim()) return;
+        if (await changeReport('/replies', 'POST', { body: replyInput.value })) replyInput.value = '';
+    });
+    document.getElementById('addNoteButton').addEventListener('click', async () => {
+        const noteInput = document.getElementById('noteInput');
+        if (!noteInput.value.trim()) return;
+        if (await changeReport('/notes', 'POST', { body: noteInput.value })) noteInput.value = '';
+    });
+    ratingFilters.addEventListener('submit', event => {
+        event.preventDefault();
+        ratingsOffset = 0;
+        loadRatingSummary();
+        loadRatings();
+    });
+    ratingsPrev.addEventListener('click', () => {
+        ratingsOffset = Math.max(ratingsOffset - RATINGS_PAGE_SIZE, 0);
+        loadRatings();
+    });
+    ratingsNext.addEventListener('click', () => {
+        ratingsOffset += RATINGS_PAGE_SIZE;
+        loadRatings();
+    });
+    moderationRuleForm.addEventListener('submit', submitRuleForm);
+    document.getElementById('dutyButton').addEventListener('click', toggleDuty);
+    document.getElementById('helpStatus').addEventListener('change', loadHelpQueue);
+    document.getElementById('claimHelpButton').addEventListener('click', () => changeHelpRequest('/claim'));
+    document.getElementById('resolveHelpButton').addEventListener('click', () => changeHelpRequest('/resolve'));
+    document.getElementById('sendHelpReplyButton').addEventListener('click', async () => {
+        const input = document.getElementById('helpReplyInput');
+        if (!input.value.trim()) return;
+        if (await changeHelpRequest('/replies', { body: input.value })) input.value = '';
+    });
+    assignmentForm.addEventListener('submit', submitAssignmentForm);
+    document.getElementById('cancelAssignmentEdit').addEventListener('click', resetAssignmentForm);
+    document.getElementById('cancelRuleEdit').addEventListener('click', resetRuleForm);
+    moderationTestForm.addEventListener('submit', testModeration);
+    document.getElementById('decisionAction').addEventListener('change', () => {
+        decisionsOffset = 0;
+        loadDecisions();
+    });
+    decisionsPrev.addEventListener('click', () => {
+        decisionsOffset = Math.max(decisionsOffset - DECISIONS_PAGE_SIZE, 0);
+        loadDecisions();
+    });
+    decisionsNext.addEventListener('click', () => {
+        decisionsOffset += DECISIONS_PAGE_SIZE;
+        loadDecisions();
+    });
+    quotaDefaultForm.addEventListener('submit', saveDefaultQuota);
+    quotaOverrideForm.addEventListener('submit', saveQuotaOverride);
+    quotaBoostForm.addEventListener('submit', createBoost);
+    quotaUserForm.addEventListener('submit', checkUserQuota);
+    quotaResetButton.addEventListener('click', resetUserQuota);
+
+    // Hides what the signed-in user's role does not allow. The routes enforce
+    // the same permissions server-side.
+    async function initialize() {
+        try {
+            ({ email: currentUserEmail, permissions } = await api('/api/me'));
+        } catch (error) {
+            showMessage(`Failed to load your permissions: ${error.message}`, 'danger');
+            return;
+        }
+
+        if (!can('admin:access')) {
+            window.location.href = '/';
+            return;
+        }
+        if (!can('kb:manage')) {
+            uploadForm.style.display = 'none';
+            addScheduleEntry.style.display = 'none';
+            saveScheduleButton.style.display = 'none';
+        }
+        if (!can('roster:manage')) {
+            // Export stays available to anyone who can view the roster
+            rosterForm.querySelectorAll('input, button').forEach(element => {
+                if (element !== exportRosterButton) element.style.display = 'none';
+            });
+        }
+
+        loadDocuments();
+        loadLatestJob();
+        loadSchedule();
+        if (can('roster:view')) loadRoster();
+        else document.getElementById('rosterSection').style.display = 'none';
+        if (can('feedback:view')) {
+            if (!can('feedback:triage')) {
+                document.querySelectorAll('.feedback-triage').forEach(element => element.style.display = 'none');
+            }
+            loadFeedback();
+            loadRatingSummary();
+            loadRatings();
+        } else {
+            document.getElementById('feedbackSection').style.display = 'none';
+            document.getElementById('ratingsSection').style.display = 'none';
+        }
+        if (can('usage:view')) {
+            document.getElementById('analyticsLink').style.display = 'inline-block';
+            if (!can('quota:manage')) {
+                document.querySelectorAll('.quota-manage').forEach(element => element.style.display = 'none');
+                quotaDefaultForm.querySelectorAll('input').forEach(input => input.disabled = true);
+            }
+            loadQuotas();
+        } else {
+            document.getElementById('quotaSection').style.display = 'none';
+        }
+        if (can('moderation:view')) {
+            if (!can('moderation:manage')) {
+                document.querySelectorAll('.moderation-manage').forEach(element => element.style.display = 'none');
+            }
+            loadModerationRules();
+            loadDecisions();
+        } else {
+            document.getElementById('moderationSection').style.display = 'none';
+        }
+        if (can('help:respond')) {
+            loadHelpQueue();
+            // Keep the queue and the open conversation current while the page is open
+            setInterval(() => {
+                if (document.hidden) return;
+                loadHelpQueue();
+                if (openHelpRequestId) openHelpRequest(openHelpRequestId);
+            }, HELP_REFRESH_MS);
+        } else {
+            document.getElementById('helpSection').style.display = 'none';
+        }
+        if (can('assignments:manage')) loadAssignments();
+        else document.getElementById('assignmentsSection').style.display = 'none';
+        if (can('audit:view')) loadAudit();
+        else document.getElementById('auditSection').style.display = 'none';
+    }
+
+    initialize();
+});
@@ -0,0 +1,188 @@
+document.addEventListener('DOMContentLoaded', function() {
+    const token = localStorage.getItem('authToken');
+    // authFetch (authClient.js) adds the access token and refreshes it when needed
+    const jsonHeaders = { 'Content-Type': 'application/json' };
+
+    const adminMessage = document.getElementById('adminMessage');
+    const rangeDays = document.getElementById('rangeDays');
+    const heavyUsersTable = document.getElementById('heavyUsersTable');
+    const studentForm = document.getElementById('studentForm');
+    const studentEmail = document.getElementById('studentEmail');
+    const studentSection = document.getElementById('studentSection');
+    const studentConversations = document.getElementById('studentConversations');
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    if (!token) {
+        window.location.href = '/auth.html';
+        return;
+    }
+
+    function showMessage(text, type = 'success') {
+        adminMessage.textContent = text;
+        adminMessage.className = `alert alert-${type}`;
+        adminMessage.style.display = 'block';
+    }
+
+    // Wraps authFetch with the repo's error shape ({ error })
+    async function api(url) {
+        const response = await authFetch(url, { headers: jsonHeaders });
+        if (response.status === 401) {
+            throw new Error('Authentication required');
+        }
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+        return data;
+    }
+
+    function formatDate(value) {
+        return value ? new Date(value).toLocaleString() : '—';
+    }
+
+    /**
+     * Draws a bar chart of { date, value } points into a container as SVG.
+     * Only every few dates are labelled so the labels do not overlap.
+     */
+    function drawBarChart(container, points, className = '') {
+        const width = 600;
+        const height = 160;
+        const axisHeight = 18;
+        const max = Math.max(1, ...points.map(point => point.value));
+        const slot = width / points.length;
+        const labelEvery = Math.ceil(points.length / 10);
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+
+        points.forEach((point, index) => {
+            const barHeight = (point.value / max) * (height - axisHeight - 12);
+            const bar = document.createElementNS(SVG_NS, 'rect');
+            bar.setAttribute('class', `bar ${className}`.trim());
+            bar.setAttribute('x', index * slot + slot * 0.15);
+            bar.setAttribute('y', height - axisHeight - barHeight);
+            bar.setAttribute('width', slot * 0.7);
+            bar.setAttribute('height', barHeight);
+
+            const tooltip = document.createElementNS(SVG_NS, 'title');
+            tooltip.textContent = `${point.date}: ${point.value}`;
+            bar.appendChild(tooltip);
+            svg.appendChild(bar);
+
+            if (index % labelEvery === 0) {
+                const label = document.createElementNS(SVG_NS, 'text');
+                label.setAttribute('x', index * slot + slot / 2);
+                label.setAttribute('y', height - 4);
+                label.setAttribute('text-anchor', 'middle');
+                label.textContent = point.date.slice(5);
+                svg.appendChild(label);
+            }
+        });
+
+        container.innerHTML = '';
+        container.appendChild(svg);
+    }
+
+    async function loadOverview() {
+        try {
+            const overview = await api(`/api/admin/analytics?days=${rangeDays.value}`);
+
+            document.getElementById('totalQueries').textContent = overview.totals.queries;
+            document.getElementById('totalStudents').textContent = overview.totals.activeStudents;
+            document.getElementById('totalLimitHits').textContent = overview.totals.limitHits;
+
+            drawBarChart(document.getElementById('queriesChart'), overview.daily.map(day => ({ date: day.date, value: day.queries })));
+            drawBarChart(document.getElementById('studentsChart'), overview.daily.map(day => ({ date: day.date, value: day.activeStudents })));
+            drawBarChart(document.getElementById('limitHitsChart'), overview.daily.map(day => ({ date: day.date, value: day.limitHits })), 'hits');
+
+            heavyUsersTable.innerHTML = '';
+            if (overview.heavyUsers.length === 0) {
+                heavyUsersTable.innerHTML = '<tr><td colspan="5" class="text-muted">No student queries in this period.</td></tr>';
+            }
+            overview.heavyUsers.forEach(student => {
+                const row = document.createElement('tr');
+
+                const nameCell = document.createElement('td');
+                const link = document.createElement('span');
+                link.className = 'student-link';
+                link.textContent = student.name ? `${student.name} (${student.email})` : student.email;
+                link.addEventListener('click', () => loadStudent(student.email));
+                nameCell.appendChild(link);
+                row.appendChild(nameCell);
+
+                [student.section || '—', student.queries, student.activeDays, student.limitHits].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                heavyUsersTable.appendChild(row);
+            });
+        } catch (error) {
+            showMessage(`Failed to load analytics: ${error.message}`, 'danger');
+        }
+    }
+
+    async function loadStudent(email) {
+        try {
+            const student = await api(`/api/admin/analytics/students/${encodeURIComponent(email)}?days=${rangeDays.value}`);
+
+            document.getElementById('studentTitle').textContent = student.name ? `${student.name} (${student.email})` : student.email;
+
+            const quota = student.quota.isAdmin || student.quota.remaining === 'unlimited'
+                ? 'no query limit'
+                : `${student.quota.remaining} queries left until ${formatDate(student.quota.resetAt)}`;
+            document.getElementById('studentSummary').textContent = [
+                `Role: ${student.role}`,
+                student.section ? `Section ${student.section}` : null,
+                `${student.totals.queries} queries on ${student.totals.activeDays} day(s)`,
+                `${student.totals.limitHits} limit hit(s)`,
+                quota
+            ].filter(Boolean).join(' · ');
+
+            drawBarChart(document.getElementById('studentChart'), student.daily.map(day => ({ date: day.date, value: day.queries })));
+
+            studentConversations.innerHTML = '';
+            if (student.conversations.length === 0) {
+                studentConversations.innerHTML = '<tr><td colspan="4" class="text-muted">No saved conversations.</td></tr>';
+            }
+            student.conversations.forEach(conversation => {
+                const row = document.createElement('tr');
+                [conversation.title, conversation.messageCount, formatDate(conversation.createdAt), formatDate(conversation.updatedAt)]
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                studentConversations.appendChild(row);
+            });
+
+            studentSection.style.display = 'block';
+            studentSection.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            showMessage(`Failed to load student history: ${error.message}`, 'danger');
+        }
+    }
+
+    rangeDays.addEventListener('change', loadOverview);
+    studentForm.addEventListener('submit', event => {
+        event.preventDefault();
+        loadStudent(studentEmail.value.trim());
+    });
+
+    async function initialize() {
+        try {
+            const { permissions } = await api('/api/me');
+            if (!permissions.includes('usage:view')) {
+                window.location.href = '/admin.html';
+                return;
+            }
+        } catch (error) {
+            showMessage(`Failed to load your permissions: ${error.message}`, 'danger');
+            return;
+        }
+
+        loadOverview();
+    }
+
+    initialize();
+});
@@ -0,0 +1,65 @@
+// Shared by the chat and admin pages. Sends the access token with each request
+// and, when it has expired, trades the refresh token for a new pair and retries.
+
+let refreshInFlight = null;
+
+function clearStoredTokens() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+}
+
+function redirectToLogin() {
+    clearStoredTokens();
+    window.location.href = '/auth.html';
+}
+
+async function refreshAccessToken() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+
+    // Each refresh token works once, so concurrent requests share a single refresh
+    if (!refreshInFlight) {
+        refreshInFlight = fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(async response => {
+                if (!response.ok) return false;
+                const data = await response.json();
+                localStorage.setItem('authToken', data.token);
+                localStorage.setItem('refreshToken', data.refreshToken);
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+}
+
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+    });
+
+    let response = await send();
+    if (response.status === 401 && await refreshAccessToken()) {
+        response = await send();
+    }
+    if (response.status === 401) redirectToLogin();
+    return response;
+}
+
+// The server ends the session even if the access token has expired
+async function signOut() {
+    try {
+        await fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+        });
+    } catch (error) {
+        console.warn('Logout request failed:', error);
+    }
+    redirectToLogin();
+}
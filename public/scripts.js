@@ -10,12 +10,27 @@ document.addEventListener('DOMContentLoaded', function() {
     const closeModal = document.getElementById('closeModal');
     const submitFeedback = document.getElementById('submitFeedback');
     const feedbackInput = document.getElementById('feedbackInput');
+    const newChatButton = document.getElementById('newChatButton');
+    const conversationList = document.getElementById('conversationList');
+    const sessionsButton = document.getElementById('sessionsButton');
+    const sessionsModal = document.getElementById('sessionsModal');
+    const closeSessionsModal = document.getElementById('closeSessionsModal');
+    const sessionList = document.getElementById('sessionList');
+    const quotaIndicator = document.getElementById('quotaIndicator');
+    const reportsButton = document.getElementById('reportsButton');
+    const reportsModal = document.getElementById('reportsModal');
+    const closeReportsModal = document.getElementById('closeReportsModal');
+    const reportList = document.getElementById('reportList');
 
     let sessionInitialized = false;
+    let providerLabel = 'Gemini';
+    let activeConversationId = null;
+    // Polls for TA replies while the active conversation has a help request
+    let helpPoll = null;
     const token = localStorage.getItem('authToken');
+    // authFetch (authClient.js) adds the access token and refreshes it when needed
     const headers = {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
+        'Content-Type': 'application/json'
     };
 
     async function initializeSession() {
@@ -29,27 +44,32 @@ document.addEventListener('DOMContentLoaded', function() {
             questionInput.disabled = true;
             askButton.textContent = 'Initializing...';
 
-            const response = await fetch('/api/start', {
+            const response = await authFetch('/api/start', {
                 method: 'POST',
-                headers: headers,
-                body: JSON.stringify({ model: 'gemini' })
+                headers: headers
             });
 
             if (response.status === 401) {
-                localStorage.removeItem('authToken');
-                window.location.href = '/auth.html';
+                redirectToLogin();
                 return;
             }
 
             if (!response.ok) throw new Error('Failed to start session');
 
             const data = await response.json();
+            providerLabel = data.provider || providerLabel;
             sessionInitialized = true;
             askButton.disabled = false;
             questionInput.disabled = false;
             askButton.textContent = 'Ask';
-            appendMessage("assistant", "Gemini session initialized. I'm ready to help you learn computer science concepts!");
-            console.log('Gemini session initialized:', data);
+            console.log('Chat session initialized:', data);
+
+            await loadConversations();
+            if (data.conversationId) {
+                await switchConversation(data.conversationId);
+            } else {
+                showGreeting();
+            }
 
         } catch (error) {
             console.error('Initialization Error:', error);
@@ -60,9 +80,328 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // Only decides whether to show the admin link. The admin routes check
+    // permissions server-side.
+    async function showAdminLinkIfStaff() {
+        try {
+            const response = await authFetch('/api/me', { headers });
+            if (!response.ok) return;
+            const { permissions } = await response.json();
+            if (permissions.includes('admin:access')) {
+                document.getElementById('adminLink').style.display = 'inline-block';
+            }
+        } catch (error) {
+            console.warn('Could not load account permissions:', error);
+        }
+    }
+
+    // Shows how many queries are left in whichever quota window runs out first
+    function updateQuotaIndicator(quota) {
+        if (!quota || quota.error || quota.remaining === 'unlimited') {
+            quotaIndicator.style.display = 'none';
+            return;
+        }
+
+        const current = quota[quota.window];
+        const period = quota.window === 'weekly' ? 'this week' : 'today';
+        quotaIndicator.textContent = `${quota.remaining} of ${current.limit} queries left ${period}`;
+        quotaIndicator.title = `Resets ${new Date(quota.resetAt).toLocaleString()}`;
+        quotaIndicator.classList.toggle('quota-empty', quota.remaining === 0);
+        quotaIndicator.classList.toggle('quota-low', quota.remaining > 0 && quota.remaining <= Math.ceil(current.limit * 0.2));
+        quotaIndicator.style.display = 'inline-block';
+    }
+
+    async function loadQuota() {
+        try {
+            const response = await authFetch('/api/quota', { headers });
+            if (!response.ok) return;
+            const { quota } = await response.json();
+            updateQuotaIndicator(quota);
+        } catch (error) {
+            console.error('Error loading quota:', error);
+        }
+    }
+
+    function showGreeting() {
+        appendMessage("assistant", `${providerLabel} session initialized. I'm ready to help you learn computer science concepts!`);
+    }
+
+    // Renders the sidebar list of the user's past conversations
+    async function loadConversations() {
+        try {
+            const response = await authFetch('/api/conversations', { headers });
+            if (!response.ok) throw new Error('Failed to load conversations');
+            const { conversations } = await response.json();
+
+            conversationList.innerHTML = '';
+            conversations.forEach(conversation => {
+                const item = document.createElement("li");
+                item.classList.add("conversation-item");
+                item.classList.toggle("active", conversation.id === activeConversationId);
+                item.title = conversation.title;
+
+                const title = document.createElement("span");
+                title.classList.add("conversation-title");
+                title.textContent = conversation.title;
+                item.appendChild(title);
+
+                const renameButton = document.createElement("button");
+                renameButton.classList.add("conversation-action");
+                renameButton.title = "Rename";
+                renameButton.textContent = "✎";
+                renameButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    renameConversation(conversation);
+                });
+                item.appendChild(renameButton);
+
+                const deleteButton = document.createElement("button");
+                deleteButton.classList.add("conversation-action");
+                deleteButton.title = "Delete";
+                deleteButton.textContent = "×";
+                deleteButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    deleteConversation(conversation);
+                });
+                item.appendChild(deleteButton);
+
+                item.addEventListener('click', () => {
+                    if (conversation.id !== activeConversationId) switchConversation(conversation.id);
+                });
+                conversationList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error loading conversations:', error);
+        }
+    }
+
+    // Loads a past conversation into the chat window
+    async function switchConversation(conversationId) {
+        try {
+            const response = await authFetch(`/api/conversations/${conversationId}/activate`, { method: 'POST', headers });
+            if (response.status === 404) {
+                activeConversationId = null;
+                chatContainer.innerHTML = '';
+                showGreeting();
+                await loadConversations();
+                return;
+            }
+            if (!response.ok) throw new Error('Failed to load conversation');
+
+            const { history, helpRequest } = await response.json();
+            activeConversationId = conversationId;
+            chatContainer.innerHTML = '';
+            if (history.length === 0) showGreeting();
+            // Only the latest reply that reached the hint cap offers the TA button
+            const escalateIndex = history.findLastIndex(message => message.escalate);
+            history.forEach((message, index) => {
+                if (message.role === 'user') {
+                    appendMessage("you", message.content);
+                } else if (message.staff) {
+                    appendStaffMessage(message);
+                } else {
+                    const content = appendMessage("assistant", message.content);
+                    renderSources(content, message.sources);
+                    if (message.id) renderRating(content, message.id, message.rating);
+                    if (index === escalateIndex) renderEscalation(content, helpRequest);
+                }
+            });
+            watchHelpRequest(helpRequest ? conversationId : null, helpRequest?.status);
+            await loadConversations();
+        } catch (error) {
+            console.error('Error switching conversation:', error);
+            appendMessage("assistant", "Error loading that conversation. Please try again.");
+        }
+    }
+
+    async function startNewConversation() {
+        try {
+            const response = await authFetch('/api/conversations', { method: 'POST', headers, body: JSON.stringify({}) });
+            if (!response.ok) throw new Error('Failed to create conversation');
+
+            const { conversation } = await response.json();
+            activeConversationId = conversation.id;
+            watchHelpRequest(null);
+            chatContainer.innerHTML = '';
+            showGreeting();
+            await loadConversations();
+        } catch (error) {
+            console.error('Error starting conversation:', error);
+            appendMessage("assistant", "Error starting a new conversation. Please try again.");
+        }
+    }
+
+    async function renameConversation(conversation) {
+        const title = prompt('Rename conversation', conversation.title);
+        if (!title || !title.trim()) return;
+
+        try {
+            const response = await authFetch(`/api/conversations/${conversation.id}`, {
+                method: 'PATCH',
+                headers,
+                body: JSON.stringify({ title })
+            });
+            if (!response.ok) throw new Error('Failed to rename conversation');
+            await loadConversations();
+        } catch (error) {
+            console.error('Error renaming conversation:', error);
+            alert('Failed to rename conversation. Please try again.');
+        }
+    }
+
+    async function deleteConversation(conversation) {
+        if (!confirm(`Delete "${conversation.title}"? This action cannot be undone.`)) return;
+
+        try {
+            const response = await authFetch(`/api/conversations/${conversation.id}`, { method: 'DELETE', headers });
+            if (!response.ok) throw new Error('Failed to delete conversation');
+
+            if (conversation.id === activeConversationId) {
+                activeConversationId = null;
+                chatContainer.innerHTML = '';
+                showGreeting();
+            }
+            await loadConversations();
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            alert('Failed to delete conversation. Please try again.');
+        }
+    }
+
+    // Lists the devices signed in to this account, each with a revoke button
+    async function loadSessions() {
+        try {
+            const response = await authFetch('/api/auth/sessions', { headers });
+            if (!response.ok) throw new Error('Failed to load sessions');
+            const { sessions } = await response.json();
+
+            sessionList.innerHTML = '';
+            sessions.forEach(session => {
+                const item = document.createElement("li");
+                item.classList.add("session-item");
+
+                const details = document.createElement("div");
+                const device = document.createElement("div");
+                device.textContent = session.userAgent || 'Unknown device';
+                const meta = document.createElement("small");
+                meta.classList.add("text-muted");
+                meta.textContent = [
+                    session.current ? 'This device' : null,
+                    session.ip,
+                    `last active ${new Date(session.lastUsedAt).toLocaleString()}`
+                ].filter(Boolean).join(' · ');
+                details.appendChild(device);
+                details.appendChild(meta);
+
+                const revokeButton = document.createElement("button");
+                revokeButton.classList.add("btn", "btn-sm", "btn-outline-danger", "ml-2");
+                revokeButton.textContent = session.current ? 'Sign out' : 'Revoke';
+                revokeButton.addEventListener('click', () => revokeSession(session));
+
+                item.appendChild(details);
+                item.appendChild(revokeButton);
+                sessionList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            sessionList.textContent = 'Could not load your sessions. Please try again.';
+        }
+    }
+
+    async function revokeSession(session) {
+        if (session.current) {
+            logout();
+            return;
+        }
+
+        try {
+            const response = await authFetch(`/api/auth/sessions/${session.id}`, { method: 'DELETE', headers });
+            if (!response.ok) throw new Error('Failed to revoke session');
+            await loadSessions();
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            alert('Failed to revoke session. Please try again.');
+        }
+    }
+
+    // Lists the user's feedback reports with the staff's replies and a box to answer them
+    async function loadReports() {
+        try {
+            const response = await authFetch('/api/feedback', { headers });
+            if (!response.ok) throw new Error('Failed to load reports');
+            const { reports } = await response.json();
+
+            reportList.innerHTML = '';
+            if (reports.length === 0) {
+                reportList.textContent = "You haven't sent any feedback yet.";
+                return;
+            }
+
+            reports.forEach(report => {
+                const item = document.createElement("div");
+                item.classList.add("report-item");
+
+                const meta = document.createElement("small");
+                meta.classList.add("text-muted");
+                meta.textContent = `${new Date(report.timestamp).toLocaleString()} · ${report.status}`;
+                const description = document.createElement("div");
+                description.textContent = report.description;
+                item.appendChild(meta);
+                item.appendChild(description);
+
+                report.replies.forEach(reply => {
+                    const replyElement = document.createElement("div");
+                    replyElement.classList.add("report-reply");
+                    if (reply.fromStaff) replyElement.classList.add("staff");
+                    const author = document.createElement("small");
+                    author.classList.add("text-muted", "d-block");
+                    author.textContent = `${reply.fromStaff ? reply.author : 'You'} · ${new Date(reply.createdAt).toLocaleString()}`;
+                    replyElement.appendChild(author);
+                    replyElement.appendChild(document.createTextNode(reply.body));
+                    item.appendChild(replyElement);
+                });
+
+                // Students can answer once the staff have replied
+                if (report.replies.some(reply => reply.fromStaff)) {
+                    const replyInput = document.createElement("textarea");
+                    replyInput.classList.add("form-control", "form-control-sm", "mt-2");
+                    replyInput.rows = 2;
+                    replyInput.placeholder = "Reply...";
+                    const replyButton = document.createElement("button");
+                    replyButton.classList.add("btn", "btn-sm", "btn-outline-primary", "mt-1");
+                    replyButton.textContent = "Send";
+                    replyButton.addEventListener('click', () => replyToReport(report.id, replyInput.value));
+                    item.appendChild(replyInput);
+                    item.appendChild(replyButton);
+                }
+
+                reportList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error loading reports:', error);
+            reportList.textContent = 'Could not load your reports. Please try again.';
+        }
+    }
+
+    async function replyToReport(reportId, body) {
+        if (!body.trim()) return;
+
+        try {
+            const response = await authFetch(`/api/feedback/${encodeURIComponent(reportId)}/replies`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ body })
+            });
+            if (!response.ok) throw new Error('Failed to send reply');
+            await loadReports();
+        } catch (error) {
+            console.error('Error replying to report:', error);
+            alert('Failed to send reply. Please try again.');
+        }
+    }
+
     function logout() {
-        localStorage.removeItem('authToken');
-        window.location.href = '/auth.html';
+        signOut();
     }
 
     questionInput.addEventListener('input', function() {
@@ -76,8 +415,19 @@ document.addEventListener('DOMContentLoaded', function() {
     askButton.addEventListener('click', handleQuery);
     logoutButton.addEventListener('click', logout);
     clearChatButton.addEventListener('click', clearChatHistory);
+    newChatButton.addEventListener('click', startNewConversation);
     feedbackButton.addEventListener('click', () => feedbackModal.style.display = 'block');
     closeModal.addEventListener('click', () => feedbackModal.style.display = 'none');
+    sessionsButton.addEventListener('click', () => {
+        sessionsModal.style.display = 'block';
+        loadSessions();
+    });
+    closeSessionsModal.addEventListener('click', () => sessionsModal.style.display = 'none');
+    reportsButton.addEventListener('click', () => {
+        reportsModal.style.display = 'block';
+        loadReports();
+    });
+    closeReportsModal.addEventListener('click', () => reportsModal.style.display = 'none');
     submitFeedback.addEventListener('click', submitFeedbackHandler);
 
     questionInput.addEventListener('keypress', function(e) {
@@ -97,27 +447,44 @@ document.addEventListener('DOMContentLoaded', function() {
         questionInput.style.height = 'auto';
 
         try {
-            const response = await fetch('/api/query', {
+            const response = await authFetch('/api/query/stream', {
                 method: 'POST',
                 headers: headers,
-                body: JSON.stringify({ prompt, model: 'gemini' })
+                body: JSON.stringify({ prompt, conversationId: activeConversationId })
             });
 
-            const data = await response.json();
-
             if (!response.ok) {
+                const data = await response.json();
                 if (response.status === 401) {
-                    localStorage.removeItem('authToken');
-                    window.location.href = '/auth.html';
+                    redirectToLogin();
                     return;
                 } else if (response.status === 429) {
-                    appendMessage("assistant", "You've reached your daily query limit. Please try again tomorrow.");
+                    updateQuotaIndicator(data.quota);
+                    const period = data.quota?.window === 'weekly' ? 'weekly' : 'daily';
+                    const resetAt = data.quota?.resetAt ? ` Your queries reset ${new Date(data.quota.resetAt).toLocaleString()}.` : '';
+                    appendMessage("assistant", `You've reached your ${period} query limit.${resetAt}`);
                     return;
+                } else if (response.status === 403 && data.message) {
+                    appendMessage("assistant", data.message);
+                    return;
+                } else if (response.status === 404) {
+                    // The conversation was deleted elsewhere; the next question starts a new one
+                    activeConversationId = null;
+                    await loadConversations();
                 }
                 throw new Error(data.error || 'An unknown error occurred.');
             }
 
-            appendMessage("assistant", data.message);
+            // A TA has taken over this conversation; the message went to them
+            if (response.status === 202) {
+                const data = await response.json();
+                activeConversationId = data.conversationId;
+                watchHelpRequest(data.conversationId, data.helpRequest.status);
+                return;
+            }
+
+            await readReplyStream(response);
+            await loadConversations();
 
         } catch (error) {
             console.error('Error:', error);
@@ -127,9 +494,63 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // Reads the Server-Sent Events body of /api/query/stream, re-rendering the
+    // assistant message as each token arrives.
+    async function readReplyStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const messageContent = appendMessage("assistant", "");
+        let buffer = '';
+        let replyText = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let eventName = 'message';
+                let data = '';
+                for (const line of rawEvent.split('\n')) {
+                    if (line.startsWith('event: ')) eventName = line.slice(7);
+                    else if (line.startsWith('data: ')) data += line.slice(6);
+                }
+                const payload = data ? JSON.parse(data) : {};
+
+                if (eventName === 'token') {
+                    replyText += payload.text;
+                } else if (eventName === 'done') {
+                    replyText = payload.message;
+                    activeConversationId = payload.conversationId;
+                    renderSources(messageContent, payload.sources);
+                    renderRating(messageContent, payload.messageId);
+                    if (payload.escalate) renderEscalation(messageContent);
+                    updateQuotaIndicator(payload.quota);
+                } else if (eventName === 'warning' || eventName === 'notice') {
+                    const warning = document.createElement("div");
+                    warning.classList.add("moderation-warning");
+                    warning.textContent = payload.message;
+                    messageContent.before(warning);
+                } else if (eventName === 'error') {
+                    throw new Error(payload.error || 'The reply was interrupted.');
+                }
+                updateMessage(messageContent, replyText);
+            }
+        }
+    }
+
     async function clearChatHistory() {
         try {
-            const response = await fetch('/api/clear-history', { method: 'POST', headers });
+            const response = await authFetch('/api/clear-history', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ conversationId: activeConversationId })
+            });
             if (response.ok) {
                 chatContainer.innerHTML = '';
                 await initializeSession(); // Re-initialize after clearing
@@ -150,10 +571,10 @@ document.addEventListener('DOMContentLoaded', function() {
         }
 
         try {
-            const response = await fetch('/api/feedback', {
+            const response = await authFetch('/api/feedback', {
                 method: 'POST',
                 headers: headers,
-                body: JSON.stringify({ feedback: feedbackText })
+                body: JSON.stringify({ feedback: feedbackText, conversationId: activeConversationId })
             });
 
             if (!response.ok) throw new Error('Failed to submit feedback');
@@ -177,6 +598,7 @@ document.addEventListener('DOMContentLoaded', function() {
             messageDiv.style.marginLeft = "auto";
         } else {
             messageDiv.classList.add("bot");
+            if (role === "TA") messageDiv.classList.add("staff");
         }
     
         const roleSpan = document.createElement("span");
@@ -186,7 +608,7 @@ document.addEventListener('DOMContentLoaded', function() {
     
         const content = document.createElement("div");
         // Use marked.parse for assistant messages to render markdown
-        content.innerHTML = role === "assistant" ? marked.parse(text) : text;
+        content.innerHTML = role === "assistant" || role === "TA" ? marked.parse(text) : text;
         messageDiv.appendChild(content);
     
         chatContainer.appendChild(messageDiv);
@@ -195,12 +617,239 @@ document.addEventListener('DOMContentLoaded', function() {
         if (role === "assistant") {
             const modelIndicator = document.createElement("small");
             modelIndicator.classList.add("text-muted", "model-indicator");
-            modelIndicator.textContent = "via Gemini";
+            modelIndicator.textContent = `via ${providerLabel}`;
             modelIndicator.style.fontSize = "0.75em";
             modelIndicator.style.marginTop = "5px";
             modelIndicator.style.display = "block";
             messageDiv.appendChild(modelIndicator);
         }
+
+        return content;
+    }
+
+    // Shows the course materials an answer drew on as chips under the message.
+    // Clicking a chip reveals the retrieved snippet.
+    function renderSources(content, sources) {
+        if (!Array.isArray(sources) || sources.length === 0) return;
+
+        const cited = sources.filter(source => source.cited);
+        const shown = cited.length > 0 ? cited : sources;
+
+        const sourcesDiv = document.createElement("div");
+        sourcesDiv.classList.add("sources");
+
+        const label = document.createElement("small");
+        label.classList.add("text-muted");
+        label.textContent = cited.length > 0 ? "Sources:" : "Related course material:";
+        sourcesDiv.appendChild(label);
+
+        const snippet = document.createElement("div");
+        snippet.classList.add("source-snippet");
+
+        shown.forEach(source => {
+            const chip = document.createElement("button");
+            chip.type = "button";
+            chip.classList.add("source-chip");
+            chip.textContent = `[${source.id}] ${source.file}${source.location ? ` › ${source.location}` : ''}`;
+            chip.title = source.score ? `Relevance ${source.score.toFixed(2)}` : '';
+            chip.addEventListener('click', () => {
+                const isOpen = snippet.dataset.sourceId === String(source.id) && snippet.style.display === 'block';
+                snippet.dataset.sourceId = source.id;
+                snippet.textContent = source.snippet;
+                snippet.style.display = isOpen ? 'none' : 'block';
+                sourcesDiv.querySelectorAll('.source-chip').forEach(c => c.classList.remove('active'));
+                if (!isOpen) chip.classList.add('active');
+            });
+            sourcesDiv.appendChild(chip);
+        });
+
+        sourcesDiv.appendChild(snippet);
+        content.after(sourcesDiv);
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+    }
+
+    const RATING_REASONS = {
+        wrong: 'Wrong',
+        gave_away_answer: 'Gave away the answer',
+        unhelpful: 'Unhelpful',
+        off_topic: 'Off-topic'
+    };
+
+    // Thumbs up/down under an assistant message. A thumbs down offers reason
+    // tags; clicking the selected thumb again removes the rating.
+    function renderRating(content, messageId, current = null) {
+        if (!messageId || !activeConversationId) return;
+
+        const url = `/api/conversations/${activeConversationId}/messages/${messageId}/rating`;
+        let state = current ? { rating: current.rating, reasons: [...(current.reasons || [])] } : null;
+
+        const ratingDiv = document.createElement("div");
+        ratingDiv.classList.add("rating");
+
+        const buttons = {};
+        [['up', '👍', 'Helpful'], ['down', '👎', 'Not helpful']].forEach(([rating, icon, title]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.classList.add("rating-button");
+            button.textContent = icon;
+            button.title = title;
+            button.addEventListener('click', () => save(state?.rating === rating ? null : { rating, reasons: [] }));
+            buttons[rating] = button;
+            ratingDiv.appendChild(button);
+        });
+
+        const reasonsDiv = document.createElement("div");
+        reasonsDiv.classList.add("rating-reasons");
+        Object.entries(RATING_REASONS).forEach(([reason, label]) => {
+            const chip = document.createElement("button");
+            chip.type = "button";
+            chip.classList.add("rating-reason");
+            chip.dataset.reason = reason;
+            chip.textContent = label;
+            chip.addEventListener('click', () => {
+                const reasons = state.reasons.includes(reason)
+                    ? state.reasons.filter(r => r !== reason)
+                    : [...state.reasons, reason];
+                save({ rating: 'down', reasons });
+            });
+            reasonsDiv.appendChild(chip);
+        });
+        ratingDiv.appendChild(reasonsDiv);
+
+        function render() {
+            buttons.up.classList.toggle('active', state?.rating === 'up');
+            buttons.down.classList.toggle('active', state?.rating === 'down');
+            reasonsDiv.style.display = state?.rating === 'down' ? 'flex' : 'none';
+            reasonsDiv.querySelectorAll('.rating-reason').forEach(chip => {
+                chip.classList.toggle('active', state?.rating === 'down' && state.reasons.includes(chip.dataset.reason));
+            });
+        }
+
+        async function save(next) {
+            try {
+                const response = next
+                    ? await authFetch(url, { method: 'PUT', headers, body: JSON.stringify(next) })
+                    : await authFetch(url, { method: 'DELETE', headers });
+                if (response.status === 401) {
+                    redirectToLogin();
+                    return;
+                }
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to save rating');
+
+                state = next && data.rating;
+                render();
+            } catch (error) {
+                console.error('Error rating message:', error);
+                alert(`Could not save your rating: ${error.message}`);
+            }
+        }
+
+        render();
+        content.parentElement.appendChild(ratingDiv);
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+    }
+
+    // "Ask a TA" under a reply once every hint on a problem has been used. Opens a
+    // ticket with the conversation attached; shows a note instead once one exists.
+    function renderEscalation(content, helpRequest = null) {
+        if (!activeConversationId) return;
+        const conversationId = activeConversationId;
+
+        const escalationDiv = document.createElement("div");
+        escalationDiv.classList.add("escalation");
+
+        const showSent = (message) => {
+            escalationDiv.textContent = message;
+            escalationDiv.classList.add("sent");
+        };
+
+        if (helpRequest) {
+            showSent('A TA has been asked to help with this conversation.');
+        } else {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.classList.add("btn", "btn-sm", "btn-outline-primary");
+            button.textContent = "Ask a TA";
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                try {
+                    const response = await authFetch(`/api/conversations/${conversationId}/escalate`, { method: 'POST', headers, body: JSON.stringify({}) });
+                    if (response.status === 401) {
+                        redirectToLogin();
+                        return;
+                    }
+                    const data = await response.json();
+                    if (!response.ok) throw new Error(data.error || 'Failed to contact a TA');
+                    showSent(data.message);
+                    watchHelpRequest(conversationId, data.helpRequest.status);
+                } catch (error) {
+                    console.error('Error escalating conversation:', error);
+                    alert(`Could not contact a TA: ${error.message}`);
+                    button.disabled = false;
+                }
+            });
+            escalationDiv.appendChild(button);
+        }
+
+        content.parentElement.appendChild(escalationDiv);
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+    }
+
+    // A reply a TA wrote into the conversation during a handoff
+    function appendStaffMessage(message) {
+        const content = appendMessage("TA", message.content);
+        content.previousElementSibling.textContent = `TA · ${message.staff.email}`;
+        return content;
+    }
+
+    function appendHelpNotice(text) {
+        const notice = document.createElement("div");
+        notice.classList.add("moderation-warning");
+        notice.textContent = text;
+        chatContainer.appendChild(notice);
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+    }
+
+    // Polls the conversation's help request for TA replies and status changes
+    // until it is closed or another conversation is opened. Pass null to stop.
+    function watchHelpRequest(conversationId, status = 'open') {
+        if (helpPoll?.conversationId === conversationId) return;
+        if (helpPoll) clearInterval(helpPoll.timer);
+        helpPoll = null;
+        if (!conversationId) return;
+
+        let since = new Date().toISOString();
+        let lastStatus = status;
+        const poll = async () => {
+            if (activeConversationId !== conversationId) return watchHelpRequest(null);
+            try {
+                const response = await authFetch(`/api/conversations/${conversationId}/help?since=${encodeURIComponent(since)}`, { headers });
+                if (!response.ok) return;
+                const { helpRequest, messages } = await response.json();
+
+                messages.forEach(message => {
+                    appendStaffMessage(message);
+                    since = message.timestamp;
+                });
+                if (helpRequest?.status === 'claimed' && lastStatus !== 'claimed') {
+                    appendHelpNotice(`${helpRequest.claimedBy} has joined. Your messages now go to them instead of the bot.`);
+                } else if (!helpRequest) {
+                    appendHelpNotice('The TA has closed this help request. The bot will answer your questions again.');
+                    watchHelpRequest(null);
+                }
+                lastStatus = helpRequest?.status;
+            } catch (error) {
+                console.error('Error checking for a TA reply:', error);
+            }
+        };
+        helpPoll = { conversationId, timer: setInterval(poll, 10000) };
+    }
+
+    // Re-renders a streamed assistant message with the text received so far
+    function updateMessage(content, text) {
+        content.innerHTML = marked.parse(text);
+        chatContainer.scrollTop = chatContainer.scrollHeight;
     }
 
     function toggleInput(isThinking) {
@@ -232,6 +881,10 @@ document.addEventListener('DOMContentLoaded', function() {
     async function initializeApp() {
         try {
             addConnectionStatus();
+            if (token) {
+                showAdminLinkIfStaff();
+                loadQuota();
+            }
             await initializeSession();
         } catch (error) {
             console.error('App initialization error:', error);
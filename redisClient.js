@@ -1,14 +1,16 @@
-import { createClient } from 'redis';
+import { createClient, createClientPool, WatchError } from 'redis';
 import { Logger } from './logger.js';
 
 const logger = new Logger();
 
-const redisClient = createClient({
+const clientOptions = {
   url: process.env.REDIS_URL,
   socket: {
     reconnectStrategy: (retries) => Math.min(retries * 50, 1000)
   }
-});
+};
+
+const redisClient = createClient(clientOptions);
 
 // Events
 redisClient.on('connect', () => {
@@ -55,4 +57,58 @@ async function initRedis() {
   }
 }
 
-export { redisClient, initRedis };
+// WATCH applies to a whole connection, so optimistic transactions borrow a
+// connection of their own from this pool instead of sharing redisClient
+let transactionPool = null;
+
+function getTransactionPool() {
+  if (!transactionPool) {
+    const pool = createClientPool(clientOptions, { minimum: 1, maximum: 5 });
+    pool.on('error', (err) => {
+      logger.error('Redis transaction pool error', { error: err.message, code: err.code });
+    });
+    transactionPool = pool.connect().then(() => pool).catch((error) => {
+      transactionPool = null;
+      throw error;
+    });
+  }
+  return transactionPool;
+}
+
+/**
+ * Runs a read-modify-write under WATCH. fn(client) reads through the client
+ * it is given and finishes with client.multi()...exec(), or returns early
+ * without writing; if another client changes a watched key in between, the
+ * transaction is dropped and fn runs again, up to `attempts` times.
+ * @param {string|string[]} keys - The keys fn reads.
+ * @param {Function} fn - async (client) => result
+ */
+async function withWatch(keys, fn, { attempts = 10 } = {}) {
+  const pool = await getTransactionPool();
+
+  for (let attempt = 1; ; attempt++) {
+    // The pool leaves the promise of a task that rejects unhandled, which
+    // ends the process, so the task hands its error back as a value instead
+    const outcome = await pool.execute(async (client) => {
+      try {
+        await client.watch(keys);
+        return { value: await fn(client) };
+      } catch (error) {
+        return { error };
+      } finally {
+        // EXEC clears the watches itself, but fn may have returned or thrown
+        // before it; the pooled connection goes back without any
+        await client.unwatch().catch(() => {});
+      }
+    });
+    if (!('error' in outcome)) return outcome.value;
+
+    const { error } = outcome;
+    if (!(error instanceof WatchError) || attempt >= attempts) throw error;
+    logger.info('Watched keys changed, retrying transaction', { keys, attempt });
+    // A random pause keeps writers that collided from colliding again
+    await new Promise((resolve) => setTimeout(resolve, Math.random() * 10 * attempt));
+  }
+}
+
+export { redisClient, initRedis, withWatch };
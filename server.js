@@ -6,20 +6,31 @@ import path from 'path';
 
 import express from 'express';
 import session from 'express-session';
+import multer from 'multer';
 
 import { RedisStore } from 'connect-redis';
 
 import { fileURLToPath } from 'url';
 import { Logger } from './logger.js';
-import { GeminiService } from './services/geminiService.js';
+import { createLLMService } from './services/llmService.js';
 import authService from './services/authService.js';
 import { UserService } from './services/userService.js';
-import { requireAuth, requireAdmin } from './middleware/authMiddleware.js';
+import { requireAuth, requirePermission } from './middleware/authMiddleware.js';
 import { FeedbackService } from './services/feedbackService.js';
+import { KnowledgeBaseService } from './services/knowledgeBaseService.js';
+import { ConversationService } from './services/conversationService.js';
+import { RosterService } from './services/rosterService.js';
+import { AuditService } from './services/auditService.js';
+import { AnalyticsService } from './services/analyticsService.js';
+import { RatingService, RATING_REASONS } from './services/ratingService.js';
+import { ModerationService, MODERATION_ACTIONS } from './services/moderationService.js';
+import { AssignmentService } from './services/assignmentService.js';
+import { HintLadderService } from './services/hintLadderService.js';
+import { HelpRequestService, REQUEST_STATUSES } from './services/helpRequestService.js';
+import { permissionsFor } from './services/permissions.js';
 import {
     httpRequestsTotal,
     httpRequestDuration,
-    inappropriateContentBlocked,
     register
 } from './metrics.js';
 import { redisClient, initRedis } from './redisClient.js';
@@ -34,11 +45,26 @@ const logger = new Logger();
 
 await initRedis();
 
-const geminiService = new GeminiService();
+const llmService = await createLLMService();
 const userService = new UserService();
 await userService.init();
 const feedbackService = new FeedbackService();
 await feedbackService.init();
+const knowledgeBaseService = new KnowledgeBaseService();
+const conversationService = new ConversationService();
+const rosterService = new RosterService();
+const auditService = new AuditService();
+const analyticsService = new AnalyticsService();
+const ratingService = new RatingService();
+const moderationService = new ModerationService({
+    classify: process.env.MODERATION_CLASSIFIER === 'true' ? (systemPrompt, text) => llmService.complete(systemPrompt, text) : null
+});
+await moderationService.init();
+// Assignment matching reuses the knowledge base's Qdrant client, so it is off when retrieval is
+const assignmentService = new AssignmentService({ qdrant: llmService.retriever });
+const hintLadderService = new HintLadderService();
+const helpRequestService = new HelpRequestService({ conversationService });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } });
 
 
 //debug statement
@@ -98,8 +124,7 @@ app.use((req, res, next) => {
         sessionId: req.session.id,
         isNew: req.session.isNew,
         hasAuthToken: !!req.session.authToken,
-        hasChatHistory: !!req.session.chatHistory,
-        chatHistoryLength: req.session.chatHistory?.length || 0,
+        conversationId: req.session.conversationId || null,
         sessionKeys: Object.keys(req.session),
         redisConnected: redisClient.isReady,
         redisStatus: redisClient.isOpen,
@@ -133,16 +158,9 @@ app.use((req, res, next) => {
     next();
 });
 
-function containsInappropriateContent(text) {
-    const inappropriatePatterns = [
-        /homework\s+answers?/i,
-        /cheat/i,
-        /solution\s+manual/i,
-        /exam\s+answers?/i,
-        /give\s+me\s+the\s+answer/i,
-        /just\s+tell\s+me\s+the\s+answer/i
-    ];
-    return inappropriatePatterns.some(pattern => pattern.test(text));
+// Records a privileged action by the requesting user in the audit log
+function audit(req, action, target, changes = {}) {
+    return auditService.record({ actor: req.user?.email, action, target, ip: req.ip, ...changes });
 }
 
 app.post('/api/auth/request-verification', async (req, res) => {
@@ -150,12 +168,13 @@ app.post('/api/auth/request-verification', async (req, res) => {
     if (!email) return res.status(400).json({ error: 'Email is required' });
     
     try {
-        await authService.requestVerification(email);
+        await authService.requestVerification(email, req.ip);
         logger.info('Verification code sent', { email });
         res.json({ message: 'Verification code sent to your email' });
     } catch (error) {
-        logger.warn('Verification request failed', { email, error: error.message });
-        res.status(400).json({ error: error.message });
+        logger.warn('Verification request failed', { email, ip: req.ip, error: error.message });
+        if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+        res.status(error.status || 400).json({ error: error.message, retryAfter: error.retryAfter });
     }
 });
 
@@ -164,18 +183,49 @@ app.post('/api/auth/verify', async (req, res) => {
     if (!email || !code) return res.status(400).json({ error: 'Email and verification code are required' });
     
     try {
-        const token = await authService.verifyCode(email, code);
+        const { token, refreshToken, expiresIn } = await authService.verifyCode(email, code, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
         req.session.authToken = token;
         logger.info('User authenticated successfully', { email });
-        res.json({ message: 'Authentication successful', token });
+        res.json({ message: 'Authentication successful', token, refreshToken, expiresIn });
     } catch (error) {
         logger.warn('Authentication failed', { email, error: error.message });
-        res.status(400).json({ error: error.message });
+        if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+        res.status(error.status || 400).json({ error: error.message });
+    }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: 'Refresh token is required' });
+
+    try {
+        const tokens = await authService.refreshSession(refreshToken);
+        req.session.authToken = tokens.token;
+        res.json({ token: tokens.token, refreshToken: tokens.refreshToken, expiresIn: tokens.expiresIn });
+    } catch (error) {
+        logger.warn('Token refresh failed', { error: error.message, ip: req.ip });
+        res.status(401).json({ error: error.message });
     }
 });
 
-app.post('/api/auth/logout', (req, res) => {
-    const userEmail = req.session.authToken ? 'authenticated' : 'anonymous';
+app.post('/api/auth/logout', async (req, res) => {
+    const token = req.headers.authorization?.split(' ')[1] || req.session.authToken;
+    let userEmail = 'anonymous';
+
+    // End the sign-in session too, even if its access token has already expired
+    if (token) {
+        try {
+            const decoded = authService.verifyToken(token, { ignoreExpiration: true });
+            userEmail = decoded.email;
+            if (decoded.sid) await authService.revokeSession(decoded.email, decoded.sid);
+        } catch (error) {
+            logger.warn('Could not revoke session on logout', { error: error.message });
+        }
+    }
+
     req.session.destroy((err) => {
         if (err) logger.error('Error destroying session', { error: err.message });
         else logger.info('User logged out', { userEmail });
@@ -183,14 +233,62 @@ app.post('/api/auth/logout', (req, res) => {
     res.json({ message: 'Logged out successfully' });
 });
 
-app.post('/api/admin/whitelist/add', requireAdmin, (req, res) => {
+// --- Sign-in sessions ---
+
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const sessions = await authService.listSessions(req.user.email);
+        res.json({ sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid })) });
+    } catch (error) {
+        logger.error('Error listing sessions', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to list sessions' });
+    }
+});
+
+app.delete('/api/auth/sessions/:sessionId', requireAuth, async (req, res) => {
+    try {
+        const revoked = await authService.revokeSession(req.user.email, req.params.sessionId);
+        if (!revoked) return res.status(404).json({ error: 'Session not found' });
+        logger.info('Session revoked by user', { userEmail: req.user.email, sessionId: req.params.sessionId });
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        logger.error('Error revoking session', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+app.get('/api/admin/users/:email/sessions', requirePermission('access:manage'), async (req, res) => {
+    try {
+        const sessions = await authService.listSessions(req.params.email);
+        res.json({ email: req.params.email, sessions });
+    } catch (error) {
+        logger.error('Error listing user sessions', { email: req.params.email, error: error.message });
+        res.status(500).json({ error: 'Failed to list sessions' });
+    }
+});
+
+// Force-logout: ends every session of the user and rejects their outstanding tokens
+app.post('/api/admin/users/:email/logout', requirePermission('access:manage'), async (req, res) => {
+    try {
+        const revoked = await authService.revokeAllSessions(req.params.email);
+        logger.info('User force-logged out', { email: req.params.email, sessions: revoked, revokedBy: req.user.email });
+        await audit(req, 'user.force_logout', req.params.email, { details: { sessionsRevoked: revoked } });
+        res.json({ message: `Signed ${req.params.email} out of ${revoked} session(s)`, revoked });
+    } catch (error) {
+        logger.error('Error force-logging out user', { email: req.params.email, error: error.message });
+        res.status(500).json({ error: 'Failed to log out user' });
+    }
+});
+
+app.post('/api/admin/whitelist/add', requirePermission('access:manage'), async (req, res) => {
     const { email } = req.body;
     if (!email) return res.status(400).json({ error: 'Email is required' });
     
     try {
-        const added = authService.addToWhitelist(email);
+        const added = await authService.addToWhitelist(email);
         if (added) {
             logger.info('Email added to whitelist', { email, addedBy: req.user.email });
+            await audit(req, 'whitelist.add', email, { before: { whitelisted: false }, after: { whitelisted: true } });
             res.json({ message: 'Email added to whitelist' });
         } else {
             res.json({ message: 'Email already in whitelist' });
@@ -201,14 +299,17 @@ app.post('/api/admin/whitelist/add', requireAdmin, (req, res) => {
     }
 });
 
-app.delete('/api/admin/whitelist/remove', requireAdmin, (req, res) => {
+app.delete('/api/admin/whitelist/remove', requirePermission('access:manage'), async (req, res) => {
     const { email } = req.body;
     if (!email) return res.status(400).json({ error: 'Email is required' });
     
     try {
-        const removed = authService.removeFromWhitelist(email);
+        const removed = await authService.removeFromWhitelist(email);
         if (removed) {
+            // Cut off tokens the user already holds
+            await authService.revokeAllSessions(email);
             logger.info('Email removed from whitelist', { email, removedBy: req.user.email });
+            await audit(req, 'whitelist.remove', email, { before: { whitelisted: true }, after: { whitelisted: false } });
             res.json({ message: 'Email removed from whitelist' });
         } else {
             res.status(404).json({ error: 'Email not found in whitelist' });
@@ -219,254 +320,1481 @@ app.delete('/api/admin/whitelist/remove', requireAdmin, (req, res) => {
     }
 });
 
-//debug
-app.get('/debug-whitelist', (req, res) => {
+// --- Roster import/export ---
+
+// The roster CSV comes either as a multipart "file" upload or as { csv } in a JSON body
+function rosterCsvFrom(req) {
+    if (req.file) return req.file.buffer.toString('utf-8');
+    return typeof req.body?.csv === 'string' ? req.body.csv : null;
+}
+
+app.get('/api/admin/roster', requirePermission('roster:view'), async (req, res) => {
     try {
-        const debug = {
-            whitelistLength: authService.getWhitelist().length,
-            whitelist: authService.getWhitelist(),
-            tempCodesCount: Object.keys(authService.getTempCodes ? authService.getTempCodes() : {}).length,
-            
-            // Test specific emails
-            emailTests: {
-                'ics.learning.ashoka@gmail.com': authService.isEmailWhitelisted('ics.learning.ashoka@gmail.com'),
-                'shristi.sharma_ug2024@ashoka.edu.in': authService.isEmailWhitelisted('shristi.sharma_ug2024@ashoka.edu.in'),
-                'yashita.mishra_ug2024@ashoka.edu.in': authService.isEmailWhitelisted('yashita.mishra_ug2024@ashoka.edu.in')
-            }
-        };
+        const roster = await rosterService.getRoster();
+        res.json({ roster });
+    } catch (error) {
+        logger.error('Error retrieving roster', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve roster' });
+    }
+});
 
-        // Check file system (if using old version)
-        const whitelistPath = path.join(__dirname, './data/whitelist.json');
-        if (fs.existsSync(whitelistPath)) {
-            const fileContent = fs.readFileSync(whitelistPath, 'utf8');
-            debug.fileSystemWhitelist = JSON.parse(fileContent);
-        } else {
-            debug.fileSystemWhitelist = 'File does not exist';
-        }
+app.get('/api/admin/roster/export', requirePermission('roster:view'), async (req, res) => {
+    try {
+        const csv = await rosterService.exportCsv();
+        const date = new Date().toISOString().split('T')[0];
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="roster-${date}.csv"`
+        });
+        res.send(csv);
+    } catch (error) {
+        logger.error('Error exporting roster', { error: error.message });
+        res.status(500).json({ error: 'Failed to export roster' });
+    }
+});
 
-        res.json(debug);
+// Dry run: shows what importing the roster would add, remove and change
+app.post('/api/admin/roster/preview', requirePermission('roster:manage'), upload.single('file'), async (req, res) => {
+    const csv = rosterCsvFrom(req);
+    if (!csv) return res.status(400).json({ error: 'A roster CSV is required' });
+
+    try {
+        const diff = await rosterService.diffRoster(csv, req.user.email);
+        res.json({ diff });
     } catch (error) {
-        res.json({ error: error.message, stack: error.stack });
+        logger.warn('Roster preview failed', { error: error.message, requestedBy: req.user.email });
+        res.status(400).json({ error: error.message });
     }
 });
 
-app.get('/api/admin/whitelist', requireAdmin, (req, res) => {
+app.post('/api/admin/roster/import', requirePermission('roster:manage'), upload.single('file'), async (req, res) => {
+    const csv = rosterCsvFrom(req);
+    if (!csv) return res.status(400).json({ error: 'A roster CSV is required' });
+
     try {
-        const whitelist = authService.getWhitelist();
-        res.json({ whitelist });
+        const diff = await rosterService.importRoster(csv, req.user.email);
+        await audit(req, 'roster.import', null, {
+            before: { removed: diff.remove },
+            after: { added: diff.add, updated: diff.update },
+            details: { added: diff.add.length, removed: diff.remove.length, updated: diff.update.length, unchanged: diff.unchanged }
+        });
+        res.json({ message: 'Roster imported', diff });
     } catch (error) {
-        logger.error('Error retrieving whitelist', { error: error.message });
-        res.status(500).json({ error: 'Failed to retrieve whitelist' });
+        logger.warn('Roster import failed', { error: error.message, importedBy: req.user.email });
+        res.status(400).json({ error: error.message, diff: error.diff });
     }
 });
 
-app.get('/', (req, res) => {
-    const token = req.session.authToken;
-    if (!token) return res.redirect('/auth.html');
-    
+// --- Roles ---
+
+app.get('/api/admin/roles', requirePermission('roles:manage'), async (req, res) => {
     try {
-        const user = authService.verifyToken(token);
-        logger.info('Authenticated user accessed main page', { email: user.email });
-        res.sendFile(path.join(__dirname, 'public', 'index.html'));
+        const members = await authService.getRoleMembers();
+        res.json({ members, permissions: Object.fromEntries(['student', ...Object.keys(members)].map(role => [role, permissionsFor(role)])) });
     } catch (error) {
-        logger.warn('Invalid token, redirecting to auth', { error: error.message });
-        req.session.destroy();
-        res.redirect('/auth.html');
+        logger.error('Error retrieving roles', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve roles' });
     }
 });
 
-app.post('/api/start', requireAuth, async (req, res) => {
-    const userEmail = req.user.email;
+app.put('/api/admin/roles/:email', requirePermission('roles:manage'), async (req, res) => {
+    const email = req.params.email.trim().toLowerCase();
+    const { role } = req.body;
+    if (!role) return res.status(400).json({ error: 'Role is required' });
+    if (email === req.user.email.toLowerCase()) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
     try {
-        req.session.chatHistory = [];
-        logger.info('New Gemini session created', { userEmail, sessionId: req.session.id });
-        res.json({ sessionId: req.session.id, message: 'Gemini session initialized' });
+        const previousRole = await authService.getRole(email);
+        await authService.setRole(email, role);
+        logger.info('Role changed', { email, role, changedBy: req.user.email });
+        await audit(req, 'role.change', email, { before: { role: previousRole }, after: { role } });
+        res.json({ message: `Role of ${email} set to ${role}`, email, role });
     } catch (error) {
-        logger.error('Failed to create session', { error: error.message, userEmail });
-        res.status(500).json({ error: 'Could not start a new session.' });
+        logger.warn('Role change rejected', { email, role, error: error.message });
+        res.status(400).json({ error: error.message });
     }
 });
 
-app.post('/api/query', requireAuth, async (req, res) => {
-    const startTime = Date.now();
-    const sessionId = req.session.id;
-    const userEmail = req.user.email;
-    const { prompt } = req.body;
+// --- Usage ---
 
+app.get('/api/admin/usage', requirePermission('usage:view'), async (req, res) => {
     try {
-        const queryLimit = await userService.checkQueryLimit(userEmail);
-        if (!queryLimit.allowed) {
-            logger.warn('Query limit reached', { userEmail, count: queryLimit.used });
-            return res.status(429).json({ error: 'Daily query limit reached. Please try again tomorrow.' });
-        }
+        const usage = await userService.getAllUserStats();
+        res.json({ usage });
+    } catch (error) {
+        logger.error('Error retrieving usage stats', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve usage stats' });
+    }
+});
 
-        if (!prompt || prompt.trim().length === 0) {
-            logger.warn('Empty prompt received', { sessionId, userEmail });
-            return res.status(400).json({ error: 'Prompt cannot be empty' });
-        }
+app.get('/api/admin/usage/:email', requirePermission('usage:view'), async (req, res) => {
+    try {
+        const usage = await userService.getUserStats(req.params.email);
+        res.json({ email: req.params.email, usage });
+    } catch (error) {
+        logger.error('Error retrieving user usage stats', { email: req.params.email, error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve usage stats' });
+    }
+});
 
-        if (prompt.length > 2000) {
-            logger.warn('Prompt too long', { sessionId, userEmail, promptLength: prompt.length });
-            return res.status(400).json({ error: 'Prompt too long. Please keep it under 2000 characters.' });
-        }
+// --- Usage analytics ---
 
-        if (containsInappropriateContent(prompt)) {
-            inappropriateContentBlocked.inc();
-            logger.warn('Inappropriate content detected', { sessionId, userEmail, prompt });
-            return res.status(403).json({ message: "I can only help with learning ICS concepts. Please ask questions related to computer science, programming, or course material. I won't provide direct answers to homework or exams." });
-        }
+// Daily active students, queries per day, limit hits and heavy users over the last ?days=
+app.get('/api/admin/analytics', requirePermission('usage:view'), async (req, res) => {
+    try {
+        const analytics = await analyticsService.getOverview(req.query.days);
+        res.json(analytics);
+    } catch (error) {
+        logger.error('Error retrieving usage analytics', { error: error.message });
+        res.status(500).json({ error: 'Failed to compute usage analytics' });
+    }
+});
 
-        const chatHistory = req.session.chatHistory || [];
-        const result = await geminiService.sendMessage(prompt, chatHistory);
-        req.session.chatHistory = result.updatedHistory;
+app.get('/api/admin/analytics/students/:email', requirePermission('usage:view'), async (req, res) => {
+    try {
+        const student = await analyticsService.getStudent(req.params.email.trim().toLowerCase(), req.query.days);
+        res.json(student);
+    } catch (error) {
+        logger.error('Error retrieving student analytics', { email: req.params.email, error: error.message });
+        res.status(500).json({ error: 'Failed to compute student analytics' });
+    }
+});
 
-        await userService.recordQuery(userEmail, prompt, result.response);
+// --- Query quotas ---
 
-        const responseTime = Date.now() - startTime;
-        logger.logInteraction(sessionId, prompt, result.response, 'gemini', responseTime);
-        logger.logMetrics(sessionId, 'query_completed', { responseTime, responseLength: result.response.length, userEmail });
+// Section and user overrides share their routes; the scope comes from the path
+const QUOTA_SCOPES = { sections: 'section', users: 'user' };
 
-        res.json({ message: result.response });
+app.get('/api/admin/quotas', requirePermission('usage:view'), async (req, res) => {
+    try {
+        const policies = await userService.quotaPolicies.listPolicies();
+        res.json({ policies });
+    } catch (error) {
+        logger.error('Error retrieving quota policies', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve quota policies' });
+    }
+});
 
+app.put('/api/admin/quotas/default', requirePermission('quota:manage'), async (req, res) => {
+    try {
+        const before = await userService.quotaPolicies.getPolicy('default');
+        const policy = await userService.quotaPolicies.setPolicy('default', null, req.body, req.user.email);
+        await audit(req, 'quota.policy_set', 'default', { before, after: policy });
+        res.json({ message: 'Default quota updated', policy });
     } catch (error) {
-        const responseTime = Date.now() - startTime;
-        logger.error('Error processing query', { error: error.message, sessionId, userEmail });
-        logger.logInteraction(sessionId, prompt, null, 'gemini', responseTime, error.message);
-        res.status(500).json({ error: 'An error occurred while processing your request.' });
+        logger.warn('Quota policy rejected', { scope: 'default', error: error.message });
+        res.status(400).json({ error: error.message });
     }
 });
 
-// GET route to fetch all feedback reports and stats
-app.get('/api/admin/feedback', requireAdmin, async (req, res) => {
+app.put('/api/admin/quotas/:scope(sections|users)/:target', requirePermission('quota:manage'), async (req, res) => {
+    const scope = QUOTA_SCOPES[req.params.scope];
+    const { target } = req.params;
+
     try {
-        const stats = await feedbackService.getReportStats();
-        const reports = await feedbackService.getAllReports(100, req.query.status); // Get up to 100 reports, filter by status if provided
-        res.json({ stats, reports });
+        const before = await userService.quotaPolicies.getPolicy(scope, target);
+        const policy = await userService.quotaPolicies.setPolicy(scope, target, req.body, req.user.email);
+        await audit(req, 'quota.policy_set', `${scope}:${target}`, { before, after: policy });
+        res.json({ message: `Quota override for ${scope} ${target} saved`, policy });
     } catch (error) {
-        logger.error('Failed to get feedback reports for admin', { error: error.message });
-        res.status(500).json({ error: 'Failed to retrieve feedback reports.' });
+        logger.warn('Quota policy rejected', { scope, target, error: error.message });
+        res.status(400).json({ error: error.message });
     }
 });
 
-// PUT route to update the status of a specific report
-app.put('/api/admin/feedback/:reportId', requireAdmin, async (req, res) => {
+app.delete('/api/admin/quotas/:scope(sections|users)/:target', requirePermission('quota:manage'), async (req, res) => {
+    const scope = QUOTA_SCOPES[req.params.scope];
+    const { target } = req.params;
+
     try {
-        const { reportId } = req.params;
-        const { status } = req.body;
-        const adminEmail = req.user.email; // from requireAdmin middleware
+        const before = await userService.quotaPolicies.getPolicy(scope, target);
+        const deleted = await userService.quotaPolicies.deletePolicy(scope, target, req.user.email);
+        if (!deleted) return res.status(404).json({ error: 'Quota override not found' });
+        await audit(req, 'quota.policy_delete', `${scope}:${target}`, { before });
+        res.json({ message: `Quota override for ${scope} ${target} removed` });
+    } catch (error) {
+        logger.error('Error removing quota policy', { scope, target, error: error.message });
+        res.status(500).json({ error: 'Failed to remove quota override' });
+    }
+});
 
-        const result = await feedbackService.updateReportStatus(reportId, status, adminEmail);
-        res.json(result);
+// A user's limits, usage and reset times as the query routes see them
+app.get('/api/admin/quotas/users/:email/status', requirePermission('usage:view'), async (req, res) => {
+    const email = req.params.email.trim().toLowerCase();
+
+    try {
+        const quota = await userService.checkQueryLimit(email);
+        res.json({ email, quota });
     } catch (error) {
-        logger.error('Failed to update feedback status', { error: error.message });
-        res.status(500).json({ error: 'Failed to update report status.' });
+        logger.error('Error retrieving quota status', { email, error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve quota status' });
     }
 });
 
-app.post('/api/feedback', requireAuth, async (req, res) => {
-    const { feedback } = req.body;
-    const userEmail = req.user.email;
-    const chatHistory = req.session.chatHistory || [];
+app.post('/api/admin/quotas/users/:email/reset', requirePermission('quota:manage'), async (req, res) => {
+    const email = req.params.email.trim().toLowerCase();
+    const { window = 'all' } = req.body;
 
-    // Detailed session debugging
-    logger.info('Feedback submission debug:', {
-        userEmail,
-        sessionId: req.session.id,
-        sessionAge: req.session.cookie.maxAge,
-        sessionIsNew: req.session.isNew,
-        hasHistory: !!req.session.chatHistory,
-        historyLength: chatHistory.length,
-        historyPreview: chatHistory.slice(-2), // Last 2 messages for debugging
-        redisConnected: redisClient.isReady,
-        redisStatus: redisClient.status,
-        sessionKeys: Object.keys(req.session)
-    });
+    try {
+        const cleared = await userService.resetQueryCount(email, window);
+        await audit(req, 'quota.reset', email, { before: cleared, details: { window } });
+        res.json({ message: `Query quota of ${email} reset`, cleared });
+    } catch (error) {
+        logger.warn('Quota reset failed', { email, window, error: error.message });
+        res.status(400).json({ error: error.message });
+    }
+});
 
+app.post('/api/admin/quotas/boosts', requirePermission('quota:manage'), async (req, res) => {
     try {
-        if (!feedback) return res.status(400).json({ error: 'Feedback text is required' });
+        const boost = await userService.quotaPolicies.createBoost(req.body, req.user.email);
+        await audit(req, 'quota.boost_create', boost.id, { after: boost });
+        res.status(201).json({ message: 'Quota boost created', boost });
+    } catch (error) {
+        logger.warn('Quota boost rejected', { error: error.message, createdBy: req.user.email });
+        res.status(400).json({ error: error.message });
+    }
+});
 
-        const result = await feedbackService.submitFeedback(
-            userEmail,
-            'general_feedback',
-            feedback,
-            chatHistory
-        );
+app.delete('/api/admin/quotas/boosts/:boostId', requirePermission('quota:manage'), async (req, res) => {
+    try {
+        const before = await userService.quotaPolicies.getBoost(req.params.boostId);
+        const deleted = await userService.quotaPolicies.deleteBoost(req.params.boostId, req.user.email);
+        if (!deleted) return res.status(404).json({ error: 'Quota boost not found' });
+        await audit(req, 'quota.boost_delete', req.params.boostId, { before });
+        res.json({ message: 'Quota boost deleted' });
+    } catch (error) {
+        logger.error('Error deleting quota boost', { boostId: req.params.boostId, error: error.message });
+        res.status(500).json({ error: 'Failed to delete quota boost' });
+    }
+});
 
-        if (result.success) {
-            logger.info('Feedback submitted successfully:', { 
-                userEmail, 
-                reportId: result.reportId,
-                conversationLength: chatHistory.length 
-            });
-            res.json({ message: 'Feedback submitted successfully' });
-        } else {
-            throw new Error('Feedback submission failed');
-        }
+// --- Access rules ---
+
+app.get('/api/admin/access-rules', requirePermission('access:manage'), async (req, res) => {
+    try {
+        const rules = await authService.accessRules.listRules();
+        res.json({ rules });
     } catch (error) {
-        logger.error('Feedback submission error:', { 
-            userEmail, 
-            error: error.message,
-            sessionId: req.session.id 
-        });
-        res.status(500).json({ error: 'Failed to submit feedback' });
+        logger.error('Error retrieving access rules', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve access rules' });
     }
 });
 
-//DEBUG test session persistence
+app.post('/api/admin/access-rules', requirePermission('access:manage'), async (req, res) => {
+    try {
+        const rule = await authService.accessRules.createRule(req.body, req.user.email);
+        await audit(req, 'access_rule.create', rule.id, { after: rule });
+        res.status(201).json({ message: 'Access rule created', rule });
+    } catch (error) {
+        logger.warn('Access rule rejected', { error: error.message, createdBy: req.user.email });
+        res.status(400).json({ error: error.message });
+    }
+});
 
-app.post('/api/debug/session-test', requireAuth, (req, res) => {
-    const { testData } = req.body;
-    
-    if (!req.session.testHistory) {
-        req.session.testHistory = [];
+app.patch('/api/admin/access-rules/:ruleId', requirePermission('access:manage'), async (req, res) => {
+    try {
+        const before = await authService.accessRules.getRule(req.params.ruleId);
+        const rule = await authService.accessRules.updateRule(req.params.ruleId, req.body, req.user.email);
+        if (!rule) return res.status(404).json({ error: 'Access rule not found' });
+        await audit(req, 'access_rule.update', rule.id, { before, after: rule });
+        res.json({ message: 'Access rule updated', rule });
+    } catch (error) {
+        logger.warn('Access rule update rejected', { ruleId: req.params.ruleId, error: error.message });
+        res.status(400).json({ error: error.message });
     }
-    
-    req.session.testHistory.push({
-        timestamp: new Date().toISOString(),
-        data: testData || 'test message',
-        count: req.session.testHistory.length + 1
-    });
-    
-    logger.info('Session test data stored:', {
-        sessionId: req.session.id,
-        historyLength: req.session.testHistory.length
-    });
-    
-    res.json({
-        message: 'Test data stored in session',
-        sessionId: req.session.id,
-        testHistory: req.session.testHistory,
-        totalMessages: req.session.testHistory.length
-    });
 });
 
-app.get('/api/debug/session-test', requireAuth, (req, res) => {
-    res.json({
-        sessionId: req.session.id,
-        testHistory: req.session.testHistory || [],
-        chatHistory: req.session.chatHistory || [],
-        sessionKeys: Object.keys(req.session)
-    });
+app.delete('/api/admin/access-rules/:ruleId', requirePermission('access:manage'), async (req, res) => {
+    try {
+        const before = await authService.accessRules.getRule(req.params.ruleId);
+        const deleted = await authService.accessRules.deleteRule(req.params.ruleId, req.user.email);
+        if (!deleted) return res.status(404).json({ error: 'Access rule not found' });
+        await audit(req, 'access_rule.delete', req.params.ruleId, { before });
+        res.json({ message: 'Access rule deleted' });
+    } catch (error) {
+        logger.error('Error deleting access rule', { ruleId: req.params.ruleId, error: error.message });
+        res.status(500).json({ error: 'Failed to delete access rule' });
+    }
 });
 
+// Shows how the current rules treat an email, without sending anything
+app.post('/api/admin/access-rules/check', requirePermission('access:manage'), async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: 'Email is required' });
 
-app.get('/api/history', requireAuth, (req, res) => {
     try {
-        const chatHistory = req.session.chatHistory || [];
-        res.json({ 
-            history: geminiService.formatHistoryForStorage(chatHistory),
-            summary: geminiService.getConversationSummary(chatHistory)
-        });
+        const { rule } = await authService.accessRules.evaluate(email);
+        const allowed = await authService.isEmailAllowed(email);
+        res.json({ email, allowed, rule, whitelisted: await authService.isEmailWhitelisted(email) });
     } catch (error) {
-        logger.error('Error retrieving chat history', { error: error.message, userEmail: req.user.email });
-        res.status(500).json({ error: 'Failed to retrieve chat history' });
+        logger.error('Error checking access rules', { email, error: error.message });
+        res.status(500).json({ error: 'Failed to check access rules' });
+    }
+});
+
+//debug
+app.get('/debug-whitelist', requirePermission('access:manage'), async (req, res) => {
+    try {
+        const whitelist = await authService.getWhitelist();
+        const debug = {
+            whitelistLength: whitelist.length,
+            whitelist,
+            // Domain and pattern rules also let people in, so the list alone is not the whole picture
+            accessRules: await authService.accessRules.listRules(),
+
+            // Test specific emails
+            emailTests: {
+                'ics.learning.ashoka@gmail.com': await authService.isEmailWhitelisted('ics.learning.ashoka@gmail.com'),
+                'shristi.sharma_ug2024@ashoka.edu.in': await authService.isEmailWhitelisted('shristi.sharma_ug2024@ashoka.edu.in'),
+                'yashita.mishra_ug2024@ashoka.edu.in': await authService.isEmailWhitelisted('yashita.mishra_ug2024@ashoka.edu.in')
+            }
+        };
+
+        // Check file system (if using old version)
+        const whitelistPath = path.join(__dirname, './data/whitelist.json');
+        if (fs.existsSync(whitelistPath)) {
+            const fileContent = fs.readFileSync(whitelistPath, 'utf8');
+            debug.fileSystemWhitelist = JSON.parse(fileContent);
+        } else {
+            debug.fileSystemWhitelist = 'File does not exist';
+        }
+
+        res.json(debug);
+    } catch (error) {
+        res.json({ error: error.message, stack: error.stack });
     }
 });
 
-app.post('/api/clear-history', requireAuth, (req, res) => {
+app.get('/api/admin/whitelist', requirePermission('access:manage'), async (req, res) => {
     try {
-        req.session.chatHistory = [];
-        logger.info('Chat history cleared', { userEmail: req.user.email, sessionId: req.session.id });
+        const whitelist = await authService.getWhitelist();
+        const accessRules = await authService.accessRules.listRules();
+        res.json({ whitelist, accessRules });
+    } catch (error) {
+        logger.error('Error retrieving whitelist', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve whitelist' });
+    }
+});
+
+// --- Knowledge base management ---
+
+app.get('/api/admin/kb/documents', requirePermission('kb:view'), async (req, res) => {
+    try {
+        const documents = await knowledgeBaseService.listDocuments();
+        res.json({ documents, supportedExtensions: await knowledgeBaseService.getSupportedExtensions() });
+    } catch (error) {
+        logger.error('Failed to list knowledge base documents', { error: error.message });
+        res.status(500).json({ error: 'Failed to list knowledge base documents' });
+    }
+});
+
+app.post('/api/admin/kb/upload', requirePermission('kb:manage'), upload.array('files'), async (req, res) => {
+    if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'At least one file is required' });
+
+    try {
+        const saved = [];
+        for (const file of req.files) {
+            saved.push(await knowledgeBaseService.saveUpload(file.originalname, file.buffer, req.body.folder));
+        }
+        logger.info('Knowledge base files uploaded', { files: saved, uploadedBy: req.user.email });
+        await audit(req, 'kb.upload', null, { after: { files: saved } });
+        res.json({ message: `Uploaded ${saved.length} file(s)`, files: saved });
+    } catch (error) {
+        logger.warn('Knowledge base upload rejected', { error: error.message, uploadedBy: req.user.email });
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/kb/documents/chunks', requirePermission('kb:view'), async (req, res) => {
+    const { filePath } = req.query;
+    if (!filePath) return res.status(400).json({ error: 'filePath is required' });
+
+    try {
+        const chunks = await knowledgeBaseService.getDocumentChunks(filePath);
+        res.json({ filePath, chunks });
+    } catch (error) {
+        logger.error('Failed to get document chunks', { filePath, error: error.message });
+        res.status(500).json({ error: 'Failed to get document chunks' });
+    }
+});
+
+app.delete('/api/admin/kb/documents', requirePermission('kb:manage'), async (req, res) => {
+    const { filePath, removeFile = true } = req.body;
+    if (!filePath) return res.status(400).json({ error: 'filePath is required' });
+
+    try {
+        const deleted = await knowledgeBaseService.deleteDocument(filePath, removeFile);
+        logger.info('Knowledge base document deleted', { filePath: deleted, deletedBy: req.user.email });
+        await audit(req, 'kb.delete', deleted, { details: { removeFile } });
+        res.json({ message: 'Document deleted from knowledge base', filePath: deleted });
+    } catch (error) {
+        logger.error('Failed to delete knowledge base document', { filePath, error: error.message });
+        res.status(500).json({ error: 'Failed to delete document' });
+    }
+});
+
+app.get('/api/admin/kb/schedule', requirePermission('kb:view'), async (req, res) => {
+    try {
+        const schedule = await knowledgeBaseService.getSchedule();
+        res.json({ schedule });
+    } catch (error) {
+        logger.error('Failed to get release schedule', { error: error.message });
+        res.status(500).json({ error: 'Failed to get release schedule' });
+    }
+});
+
+app.put('/api/admin/kb/schedule', requirePermission('kb:manage'), async (req, res) => {
+    try {
+        const before = await knowledgeBaseService.getSchedule();
+        const result = await knowledgeBaseService.updateSchedule(req.body);
+        logger.info('Release schedule updated', {
+            entries: result.schedule.entries.length,
+            filesChanged: result.filesChanged,
+            updatedBy: req.user.email
+        });
+        await audit(req, 'kb.schedule_update', null, {
+            before,
+            after: result.schedule,
+            details: { filesChanged: result.filesChanged }
+        });
+        res.json({ message: 'Release schedule updated', ...result });
+    } catch (error) {
+        logger.warn('Release schedule update failed', { error: error.message, updatedBy: req.user.email });
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/admin/kb/ingest', requirePermission('kb:manage'), async (req, res) => {
+    try {
+        const job = knowledgeBaseService.startIngestion(req.user.email);
+        logger.info('Knowledge base ingestion started', { jobId: job.id, startedBy: req.user.email });
+        await audit(req, 'kb.ingest', job.id);
+        res.status(202).json({ message: 'Ingestion started', job });
+    } catch (error) {
+        res.status(409).json({ error: error.message, jobId: error.jobId });
+    }
+});
+
+app.get('/api/admin/kb/jobs', requirePermission('kb:view'), (req, res) => {
+    res.json({ jobs: knowledgeBaseService.listJobs() });
+});
+
+app.get('/api/admin/kb/jobs/:jobId', requirePermission('kb:view'), (req, res) => {
+    const job = knowledgeBaseService.getJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ job });
+});
+
+// --- Audit log ---
+
+function auditFiltersFrom(query) {
+    const { actor, action, target, from, to } = query;
+    return { actor, action, target, from, to };
+}
+
+// Paginated with ?limit=&offset=; filter with ?actor=&action=&target=&from=&to=
+app.get('/api/admin/audit', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const page = await auditService.query(auditFiltersFrom(req.query), req.query);
+        res.json(page);
+    } catch (error) {
+        logger.warn('Audit log query failed', { error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/audit/export', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const jsonl = await auditService.exportJsonl(auditFiltersFrom(req.query));
+        const date = new Date().toISOString().split('T')[0];
+        res.set({
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="audit-${date}.jsonl"`
+        });
+        res.send(jsonl);
+    } catch (error) {
+        logger.warn('Audit log export failed', { error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/', (req, res) => {
+    const token = req.session.authToken;
+    if (!token) return res.redirect('/auth.html');
+    
+    try {
+        const user = authService.verifyToken(token);
+        logger.info('Authenticated user accessed main page', { email: user.email });
+        res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    } catch (error) {
+        logger.warn('Invalid token, redirecting to auth', { error: error.message });
+        req.session.destroy();
+        res.redirect('/auth.html');
+    }
+});
+
+app.post('/api/start', requireAuth, async (req, res) => {
+    const userEmail = req.user.email;
+    try {
+        // Resume the last conversation used in this session, if it still exists
+        const active = await conversationService.getConversation(userEmail, req.session.conversationId);
+        req.session.conversationId = active ? active.id : null;
+
+        logger.info('New chat session created', { userEmail, sessionId: req.session.id, provider: llmService.providerName });
+        res.json({
+            sessionId: req.session.id,
+            message: `${llmService.providerDisplayName} session initialized`,
+            provider: llmService.providerDisplayName,
+            conversationId: req.session.conversationId
+        });
+    } catch (error) {
+        logger.error('Failed to create session', { error: error.message, userEmail });
+        res.status(500).json({ error: 'Could not start a new session.' });
+    }
+});
+
+// The signed-in user's current role and permissions, for deciding what the UI shows
+app.get('/api/me', requireAuth, (req, res) => {
+    res.json({ email: req.user.email, role: req.user.role, permissions: permissionsFor(req.user.role) });
+});
+
+// How many queries the signed-in user has left and when they reset
+app.get('/api/quota', requireAuth, async (req, res) => {
+    try {
+        const quota = await userService.checkQueryLimit(req.user.email);
+        res.json({ quota });
+    } catch (error) {
+        logger.error('Error retrieving quota', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to retrieve quota' });
+    }
+});
+
+/**
+ * Runs the query limit, length and content checks shared by the query routes.
+ * @returns {object|null} - { status, body, headers } to reject the request with, or null if it may proceed.
+ */
+async function validateQuery(prompt, sessionId, userEmail) {
+    const queryLimit = await userService.checkQueryLimit(userEmail);
+    if (!queryLimit.allowed) {
+        await userService.recordLimitHit(userEmail);
+        logger.warn('Query limit reached', { userEmail, window: queryLimit.window, count: queryLimit[queryLimit.window].used });
+        const retryAfter = Math.max(1, Math.ceil((Date.parse(queryLimit.resetAt) - Date.now()) / 1000));
+        return {
+            rejection: {
+                status: 429,
+                headers: { 'Retry-After': String(retryAfter) },
+                body: {
+                    error: `${queryLimit.window === 'weekly' ? 'Weekly' : 'Daily'} query limit reached. Your queries reset at ${queryLimit.resetAt}.`,
+                    quota: queryLimit
+                }
+            }
+        };
+    }
+
+    if (!prompt || prompt.trim().length === 0) {
+        logger.warn('Empty prompt received', { sessionId, userEmail });
+        return { rejection: { status: 400, body: { error: 'Prompt cannot be empty' } } };
+    }
+
+    if (prompt.length > 2000) {
+        logger.warn('Prompt too long', { sessionId, userEmail, promptLength: prompt.length });
+        return { rejection: { status: 400, body: { error: 'Prompt too long. Please keep it under 2000 characters.' } } };
+    }
+
+    const moderation = await moderationService.evaluate(prompt, { userEmail, sessionId });
+    if (moderation.action === 'block') {
+        return { rejection: { status: 403, body: { message: moderation.message } } };
+    }
+
+    return { moderation };
+}
+
+/**
+ * Finds the conversation a chat request works against: the one named in the
+ * request, else the session's active conversation, else a new one.
+ * @returns {object|null} - The conversation with its history, or null if the named one does not exist.
+ */
+async function resolveConversation(req, conversationId) {
+    const userEmail = req.user.email;
+    if (conversationId) return conversationService.getConversation(userEmail, conversationId);
+
+    const active = await conversationService.getConversation(userEmail, req.session.conversationId);
+    if (active) return active;
+
+    const created = await conversationService.createConversation(userEmail);
+    return { ...created, history: [] };
+}
+
+// Records replies the integrity guard had to rewrite or redact, against the student who asked
+async function auditIntegrity(req, conversationId, result) {
+    if (!result.integrity.triggered) return;
+    await audit(req, 'integrity.guard', result.messageId, {
+        details: { conversationId, action: result.integrity.action, rules: result.integrity.rules, violations: result.integrity.violations }
+    });
+}
+
+const HINT_ONLY_NOTICE = 'This looks like a problem from a graded assignment, so I can only give you hints on it.';
+
+/**
+ * Checks the prompt against the live assignments' problem statements and
+ * returns the LLMService options that keep the reply from leaking a solution.
+ * Only a reply about a problem that has a reference solution is checked, since
+ * a streamed reply is held back until the check has passed.
+ * @returns {object} - { hintOnly, replyCheck, match }
+ */
+async function assignmentGuard(prompt) {
+    const match = await assignmentService.matchProblem(prompt);
+    return {
+        match,
+        hintOnly: Boolean(match),
+        replyCheck: match?.solutionCount > 0 ? text => assignmentService.checkReply(text) : null
+    };
+}
+
+// Where the reply sits on the hint ladder of the problem the prompt is about; hint requests move it up
+// once the reply is given (hintLadderService.recordHint)
+async function hintStep(conversationId, prompt, match) {
+    return hintLadderService.step(conversationId, hintLadderService.problemKey(match), {
+        advance: hintLadderService.isHintRequest(prompt)
+    });
+}
+
+// What a student may see of their help request
+function helpRequestForStudent(request) {
+    if (!request) return null;
+    return { id: request.id, status: request.status, claimedBy: request.claimedBy, createdAt: request.createdAt };
+}
+
+// The claimed help request of the conversation a chat request is for, if a TA has taken it over
+async function activeHandoff(req, conversationId) {
+    const request = await helpRequestService.getActiveRequest(conversationId || req.session.conversationId);
+    return request?.status === 'claimed' && request.userEmail === req.user.email ? request : null;
+}
+
+// While a TA has the conversation, the student's messages go to them instead of the bot.
+// They skip the query limit and moderation, which are about the bot.
+async function relayToTa(req, res, handoff, prompt) {
+    if (!prompt || prompt.trim().length === 0) return res.status(400).json({ error: 'Prompt cannot be empty' });
+    if (prompt.length > 2000) return res.status(400).json({ error: 'Prompt too long. Please keep it under 2000 characters.' });
+
+    await helpRequestService.relayStudentMessage(handoff, prompt);
+    req.session.conversationId = handoff.conversationId;
+    res.status(202).json({ relayed: true, conversationId: handoff.conversationId, helpRequest: helpRequestForStudent(handoff) });
+}
+
+// Flags a reply that was blocked for matching a reference solution to staff, as a
+// system feedback report, and audits it against the student who asked
+async function flagSolutionLeak(req, conversationId, prompt, result) {
+    if (!result.leak) return;
+
+    const { assignmentId, title, score } = result.leak;
+    try {
+        const description = `A reply in conversation ${conversationId} was blocked because it was ${Math.round(score * 100)}% similar ` +
+            `to a reference solution of "${title}". Prompt: ${prompt}`;
+        await feedbackService.submitFeedback(req.user.email, 'solution_leak', description, result.updatedHistory);
+    } catch (error) {
+        logger.error('Failed to flag blocked solution leak', { conversationId, assignmentId, error: error.message });
+    }
+    await audit(req, 'assignment.leak_blocked', result.messageId, { details: { conversationId, assignmentId, score } });
+}
+
+app.post('/api/query', requireAuth, async (req, res) => {
+    const startTime = Date.now();
+    const sessionId = req.session.id;
+    const userEmail = req.user.email;
+    const { prompt, conversationId } = req.body;
+
+    try {
+        const handoff = await activeHandoff(req, conversationId);
+        if (handoff) return await relayToTa(req, res, handoff, prompt);
+
+        const { rejection, moderation } = await validateQuery(prompt, sessionId, userEmail);
+        if (rejection) return res.set(rejection.headers || {}).status(rejection.status).json(rejection.body);
+
+        const conversation = await resolveConversation(req, conversationId);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+        req.session.conversationId = conversation.id;
+
+        const { hintOnly, replyCheck, match } = await assignmentGuard(prompt);
+        const hint = await hintStep(conversation.id, prompt, match);
+        const result = await llmService.sendMessage(prompt, conversation.history, { hintOnly, replyCheck, hint });
+        await conversationService.appendMessages(userEmail, conversation.id, result.exchange);
+        await hintLadderService.recordHint(conversation.id, hint);
+        await auditIntegrity(req, conversation.id, result);
+        await flagSolutionLeak(req, conversation.id, prompt, result);
+
+        await userService.recordQuery(userEmail, prompt, result.response);
+        const quota = await userService.checkQueryLimit(userEmail);
+
+        const responseTime = Date.now() - startTime;
+        logger.logInteraction(sessionId, prompt, result.response, llmService.providerName, responseTime);
+        logger.logMetrics(sessionId, 'query_completed', { responseTime, responseLength: result.response.length, userEmail });
+
+        res.json({
+            message: result.response,
+            messageId: result.messageId,
+            sources: result.sources,
+            conversationId: conversation.id,
+            quota,
+            ...(moderation.action === 'warn' && { warning: moderation.message }),
+            ...(hintOnly && { mode: 'hint_only', notice: HINT_ONLY_NOTICE }),
+            ...(hint && { hint: { level: hint.level, count: hint.count, cap: hint.cap }, escalate: hint.escalate })
+        });
+
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        logger.error('Error processing query', { error: error.message, sessionId, userEmail });
+        logger.logInteraction(sessionId, prompt, null, llmService.providerName, responseTime, error.message);
+        res.status(500).json({ error: 'An error occurred while processing your request.' });
+    }
+});
+
+// Streams the reply as Server-Sent Events: "token" events carry text chunks,
+// "done" carries the full reply and its sources, "error" is sent if generation fails midway.
+// A "warning" event comes first when a moderation rule asked for one, and a "notice"
+// event when the prompt matches a graded assignment. While a TA has taken over the
+// conversation the message is relayed to them and answered with 202 JSON instead. Hint-only replies are not streamed
+// token by token, so a reply blocked for matching a reference solution is never shown.
+app.post('/api/query/stream', requireAuth, async (req, res) => {
+    const startTime = Date.now();
+    const sessionId = req.session.id;
+    const userEmail = req.user.email;
+    const { prompt, conversationId } = req.body;
+
+    let conversation;
+    let moderation;
+    let guard;
+    let hint;
+    try {
+        const handoff = await activeHandoff(req, conversationId);
+        if (handoff) return await relayToTa(req, res, handoff, prompt);
+
+        let rejection;
+        ({ rejection, moderation } = await validateQuery(prompt, sessionId, userEmail));
+        if (rejection) return res.set(rejection.headers || {}).status(rejection.status).json(rejection.body);
+
+        conversation = await resolveConversation(req, conversationId);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+        req.session.conversationId = conversation.id;
+        guard = await assignmentGuard(prompt);
+        hint = await hintStep(conversation.id, prompt, guard.match);
+    } catch (error) {
+        logger.error('Error preparing streaming query', { error: error.message, sessionId, userEmail });
+        return res.status(500).json({ error: 'An error occurred while processing your request.' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Cancel generation if the client goes away before the reply is finished
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) abortController.abort();
+    });
+
+    if (moderation.action === 'warn') sendEvent('warning', { message: moderation.message });
+    if (guard.hintOnly) sendEvent('notice', { message: HINT_ONLY_NOTICE });
+
+    try {
+        const result = await llmService.sendMessageStream(prompt, conversation.history, {
+            signal: abortController.signal,
+            hintOnly: guard.hintOnly,
+            replyCheck: guard.replyCheck,
+            hint,
+            // A reply that is checked for solution leaks is only sent once it has passed the check
+            onToken: (text) => {
+                if (!guard.hintOnly && !guard.replyCheck) sendEvent('token', { text });
+            }
+        });
+
+        // Only commit the exchange, and count the hint, once the whole reply has been generated
+        await conversationService.appendMessages(userEmail, conversation.id, result.exchange);
+        await hintLadderService.recordHint(conversation.id, hint);
+        await auditIntegrity(req, conversation.id, result);
+        await flagSolutionLeak(req, conversation.id, prompt, result);
+        await userService.recordQuery(userEmail, prompt, result.response);
+        const quota = await userService.checkQueryLimit(userEmail);
+
+        const responseTime = Date.now() - startTime;
+        logger.logInteraction(sessionId, prompt, result.response, llmService.providerName, responseTime);
+        logger.logMetrics(sessionId, 'query_completed', { responseTime, responseLength: result.response.length, userEmail, streamed: true });
+
+        sendEvent('done', {
+            message: result.response,
+            messageId: result.messageId,
+            sources: result.sources,
+            conversationId: conversation.id,
+            quota,
+            ...(guard.hintOnly && { mode: 'hint_only' }),
+            ...(hint && { hint: { level: hint.level, count: hint.count, cap: hint.cap }, escalate: hint.escalate })
+        });
+        res.end();
+
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        if (abortController.signal.aborted) {
+            logger.info('Streaming query cancelled by client', { sessionId, userEmail, responseTime });
+            logger.logMetrics(sessionId, 'query_cancelled', { responseTime, userEmail });
+            return;
+        }
+
+        logger.error('Error processing streaming query', { error: error.message, sessionId, userEmail });
+        logger.logInteraction(sessionId, prompt, null, llmService.providerName, responseTime, error.message);
+        sendEvent('error', { error: 'An error occurred while processing your request.' });
+        res.end();
+    }
+});
+
+// GET route to fetch feedback reports and stats. Paginated with ?limit=&offset=;
+// filter with ?status=&type=&priority=&assignee=&q=&from=&to= (assignee may be "me" or "unassigned")
+app.get('/api/admin/feedback', requirePermission('feedback:view'), async (req, res) => {
+    try {
+        const { status, type, priority, q, from, to } = req.query;
+        const assignee = req.query.assignee === 'me' ? req.user.email : req.query.assignee;
+
+        const stats = await feedbackService.getReportStats();
+        const page = await feedbackService.queryReports({ status, type, priority, assignee, q, from, to }, req.query);
+        res.json({ stats, ...page });
+    } catch (error) {
+        logger.error('Failed to get feedback reports for admin', { error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to retrieve feedback reports.' });
+    }
+});
+
+app.get('/api/admin/feedback/:reportId', requirePermission('feedback:view'), async (req, res) => {
+    try {
+        const report = await feedbackService.getReport(req.params.reportId);
+        if (!report) return res.status(404).json({ error: 'Report not found' });
+        res.json({ report });
+    } catch (error) {
+        logger.error('Failed to get feedback report', { reportId: req.params.reportId, error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve feedback report.' });
+    }
+});
+
+// PUT route to update the status of a specific report
+app.put('/api/admin/feedback/:reportId', requirePermission('feedback:triage'), async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const { status, note } = req.body;
+        const adminEmail = req.user.email; // from requirePermission middleware
+
+        const result = await feedbackService.updateReportStatus(reportId, status, adminEmail, note);
+        await audit(req, 'feedback.status', reportId, { before: { status: result.previousStatus }, after: { status } });
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to update feedback status', { error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update report status.' });
+    }
+});
+
+app.put('/api/admin/feedback/:reportId/assignee', requirePermission('feedback:triage'), async (req, res) => {
+    const { reportId } = req.params;
+
+    try {
+        const { report, previousAssignee } = await feedbackService.assignReport(reportId, req.body.assignee || null, req.user.email);
+        await audit(req, 'feedback.assign', reportId, { before: { assignee: previousAssignee }, after: { assignee: report.assignee } });
+        res.json({ message: report.assignee ? `Report assigned to ${report.assignee}` : 'Report unassigned', report });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to assign report.' });
+    }
+});
+
+app.post('/api/admin/feedback/:reportId/notes', requirePermission('feedback:triage'), async (req, res) => {
+    const { reportId } = req.params;
+
+    try {
+        const note = await feedbackService.addNote(reportId, req.body.body, req.user.email);
+        await audit(req, 'feedback.note', reportId, { after: { noteId: note.id } });
+        res.status(201).json({ message: 'Note added', note });
+    } catch (error) {
+        logger.error('Failed to add note to report', { reportId, error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to add note.' });
+    }
+});
+
+// Staff reply to the student; the student is emailed and sees it under "My Reports"
+app.post('/api/admin/feedback/:reportId/replies', requirePermission('feedback:triage'), async (req, res) => {
+    const { reportId } = req.params;
+
+    try {
+        const reply = await feedbackService.addReply(reportId, req.body.body, req.user.email, true);
+        await audit(req, 'feedback.reply', reportId, { after: { replyId: reply.id } });
+        res.status(201).json({ message: 'Reply sent', reply });
+    } catch (error) {
+        logger.error('Failed to reply to report', { reportId, error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to send reply.' });
+    }
+});
+
+// Thumbs up/down on one assistant message; body is { rating: "up"|"down", reasons, comment }
+app.put('/api/conversations/:conversationId/messages/:messageId/rating', requireAuth, async (req, res) => {
+    const { conversationId, messageId } = req.params;
+    const userEmail = req.user.email;
+
+    try {
+        const conversation = await conversationService.getConversation(userEmail, conversationId);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+        const rating = await ratingService.rateMessage(userEmail, conversation, messageId, req.body);
+        res.json({ message: 'Thanks for rating this answer', rating: { rating: rating.rating, reasons: rating.reasons } });
+    } catch (error) {
+        logger.warn('Message rating failed', { userEmail, conversationId, messageId, error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to save rating' });
+    }
+});
+
+app.delete('/api/conversations/:conversationId/messages/:messageId/rating', requireAuth, async (req, res) => {
+    try {
+        const removed = await ratingService.removeRating(req.user.email, req.params.messageId);
+        if (!removed) return res.status(404).json({ error: 'Rating not found' });
+        res.json({ message: 'Rating removed' });
+    } catch (error) {
+        logger.error('Error removing message rating', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to remove rating' });
+    }
+});
+
+// --- Moderation rules ---
+
+app.get('/api/admin/moderation/rules', requirePermission('moderation:view'), async (req, res) => {
+    try {
+        const rules = await moderationService.listRules();
+        res.json({ rules, actions: MODERATION_ACTIONS });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to retrieve moderation rules' });
+    }
+});
+
+// Body: { name, description, pattern, flags, action, message, enabled, examples: { match, noMatch } }.
+// Rejected with the failing examples if the rule does not pass its own fixtures.
+app.post('/api/admin/moderation/rules', requirePermission('moderation:manage'), async (req, res) => {
+    try {
+        const rule = await moderationService.createRule(req.body, req.user.email);
+        await audit(req, 'moderation_rule.create', rule.id, { after: rule });
+        res.status(201).json({ message: 'Rule created', rule });
+    } catch (error) {
+        logger.warn('Failed to create moderation rule', { error: error.message, adminEmail: req.user.email });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create rule', failures: error.failures });
+    }
+});
+
+app.put('/api/admin/moderation/rules/:ruleId', requirePermission('moderation:manage'), async (req, res) => {
+    const { ruleId } = req.params;
+    try {
+        const { rule, previous } = await moderationService.updateRule(ruleId, req.body, req.user.email);
+        await audit(req, 'moderation_rule.update', ruleId, { before: previous, after: rule });
+        res.json({ message: 'Rule updated', rule });
+    } catch (error) {
+        logger.warn('Failed to update moderation rule', { ruleId, error: error.message, adminEmail: req.user.email });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update rule', failures: error.failures });
+    }
+});
+
+app.delete('/api/admin/moderation/rules/:ruleId', requirePermission('moderation:manage'), async (req, res) => {
+    const { ruleId } = req.params;
+    try {
+        const rule = await moderationService.deleteRule(ruleId, req.user.email);
+        if (!rule) return res.status(404).json({ error: 'Rule not found' });
+        await audit(req, 'moderation_rule.delete', ruleId, { before: rule });
+        res.json({ message: 'Rule deleted' });
+    } catch (error) {
+        logger.error('Failed to delete moderation rule', { ruleId, error: error.message });
+        res.status(500).json({ error: 'Failed to delete rule' });
+    }
+});
+
+// Tries a prompt against the current rules (and classifier, if on) without recording anything
+app.post('/api/admin/moderation/test', requirePermission('moderation:view'), async (req, res) => {
+    const { text } = req.body;
+    if (!text || !text.trim()) return res.status(400).json({ error: 'Text is required' });
+
+    try {
+        res.json({ decision: await moderationService.evaluate(text, { dryRun: true }) });
+    } catch (error) {
+        logger.error('Failed to test moderation rules', { error: error.message });
+        res.status(500).json({ error: 'Failed to test rules' });
+    }
+});
+
+// Prompts that matched a rule, newest first. Paginated with ?limit=&offset=; filter with ?action=&rule=
+app.get('/api/admin/moderation/decisions', requirePermission('moderation:view'), async (req, res) => {
+    try {
+        const { action, rule } = req.query;
+        res.json(await moderationService.listDecisions({ action, rule }, req.query));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to retrieve moderation decisions' });
+    }
+});
+
+// How many prompts each action and rule caught over the last ?days= (default 30)
+app.get('/api/admin/moderation/stats', requirePermission('moderation:view'), async (req, res) => {
+    try {
+        res.json({ stats: await moderationService.getStats(req.query.days) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to retrieve moderation stats' });
+    }
+});
+
+// --- Assignments ---
+
+app.get('/api/admin/assignments', requirePermission('assignments:manage'), async (req, res) => {
+    try {
+        res.json({ assignments: await assignmentService.listAssignments(), matchingEnabled: assignmentService.enabled });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to retrieve assignments' });
+    }
+});
+
+// Problem statements and reference solutions are only returned here, never to students
+app.get('/api/admin/assignments/:assignmentId', requirePermission('assignments:manage'), async (req, res) => {
+    try {
+        const assignment = await assignmentService.getAssignment(req.params.assignmentId);
+        if (!assignment) return res.status(404).json({ error: 'Assignment not found' });
+        res.json({ assignment });
+    } catch (error) {
+        logger.error('Failed to get assignment', { assignmentId: req.params.assignmentId, error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve assignment' });
+    }
+});
+
+// Body: { title, problems: [text], solutions: [text], live }
+app.post('/api/admin/assignments', requirePermission('assignments:manage'), async (req, res) => {
+    try {
+        const assignment = await assignmentService.createAssignment(req.body, req.user.email);
+        await audit(req, 'assignment.create', assignment.id, { after: assignment });
+        res.status(201).json({ message: 'Assignment registered', assignment });
+    } catch (error) {
+        logger.warn('Failed to register assignment', { error: error.message, adminEmail: req.user.email });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to register assignment' });
+    }
+});
+
+app.put('/api/admin/assignments/:assignmentId', requirePermission('assignments:manage'), async (req, res) => {
+    const { assignmentId } = req.params;
+    try {
+        const { assignment, previous } = await assignmentService.updateAssignment(assignmentId, req.body, req.user.email);
+        await audit(req, 'assignment.update', assignmentId, { before: previous, after: assignment });
+        res.json({ message: 'Assignment updated', assignment });
+    } catch (error) {
+        logger.warn('Failed to update assignment', { assignmentId, error: error.message, adminEmail: req.user.email });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update assignment' });
+    }
+});
+
+app.delete('/api/admin/assignments/:assignmentId', requirePermission('assignments:manage'), async (req, res) => {
+    const { assignmentId } = req.params;
+    try {
+        const assignment = await assignmentService.deleteAssignment(assignmentId, req.user.email);
+        if (!assignment) return res.status(404).json({ error: 'Assignment not found' });
+        await audit(req, 'assignment.delete', assignmentId, { before: assignment });
+        res.json({ message: 'Assignment deleted' });
+    } catch (error) {
+        logger.error('Failed to delete assignment', { assignmentId, error: error.message });
+        res.status(500).json({ error: 'Failed to delete assignment' });
+    }
+});
+
+// --- Help queue ---
+
+// Active requests oldest first, or closed ones with ?status=resolved|cancelled. Paginated with ?limit=&offset=
+app.get('/api/admin/help', requirePermission('help:respond'), async (req, res) => {
+    try {
+        const page = await helpRequestService.listRequests({ status: req.query.status || 'active' }, req.query);
+        const onDuty = await helpRequestService.listOnDuty();
+        res.json({ ...page, statuses: REQUEST_STATUSES, onDuty, youAreOnDuty: onDuty.some(ta => ta.email === req.user.email) });
+    } catch (error) {
+        logger.error('Failed to get help requests', { error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to retrieve help requests' });
+    }
+});
+
+// Body: { onDuty: boolean }. Only on-duty TAs can claim requests and are emailed about new ones.
+app.put('/api/admin/help/duty', requirePermission('help:respond'), async (req, res) => {
+    try {
+        const onDuty = req.body.onDuty === true;
+        await helpRequestService.setOnDuty(req.user.email, onDuty);
+        await audit(req, onDuty ? 'help_duty.start' : 'help_duty.end', req.user.email);
+        res.json({ message: onDuty ? 'You are on duty' : 'You are off duty', onDuty });
+    } catch (error) {
+        logger.error('Failed to change duty status', { error: error.message, email: req.user.email });
+        res.status(500).json({ error: 'Failed to change duty status' });
+    }
+});
+
+// The request with the live conversation it is about
+app.get('/api/admin/help/:requestId', requirePermission('help:respond'), async (req, res) => {
+    try {
+        const request = await helpRequestService.getRequest(req.params.requestId);
+        if (!request) return res.status(404).json({ error: 'Help request not found' });
+
+        const conversation = await conversationService.getConversation(request.userEmail, request.conversationId);
+        res.json({ request, history: conversation ? llmService.formatHistoryForStorage(conversation.history) : [] });
+    } catch (error) {
+        logger.error('Failed to get help request', { requestId: req.params.requestId, error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve help request' });
+    }
+});
+
+app.post('/api/admin/help/:requestId/claim', requirePermission('help:respond'), async (req, res) => {
+    const { requestId } = req.params;
+    try {
+        const { request, previous } = await helpRequestService.claimRequest(requestId, req.user.email);
+        await audit(req, 'help_request.claim', requestId, { before: { status: previous.status }, after: { status: request.status, claimedBy: request.claimedBy } });
+        res.json({ message: 'Request claimed. The bot is paused for this conversation.', request });
+    } catch (error) {
+        logger.warn('Failed to claim help request', { requestId, error: error.message, email: req.user.email });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to claim help request' });
+    }
+});
+
+// Body: { body }. Added to the student's chat thread; the student is emailed.
+app.post('/api/admin/help/:requestId/replies', requirePermission('help:respond'), async (req, res) => {
+    const { requestId } = req.params;
+    try {
+        const reply = await helpRequestService.replyToRequest(requestId, req.user.email, req.body.body);
+        res.status(201).json({ message: 'Reply sent', reply });
+    } catch (error) {
+        logger.warn('Failed to reply to help request', { requestId, error: error.message, email: req.user.email });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to send reply' });
+    }
+});
+
+// Closes the request and hands the conversation back to the bot
+app.post('/api/admin/help/:requestId/resolve', requirePermission('help:respond'), async (req, res) => {
+    const { requestId } = req.params;
+    try {
+        const { request, previous } = await helpRequestService.closeRequest(requestId, req.user.email, 'resolved');
+        await audit(req, 'help_request.resolve', requestId, { before: { status: previous.status }, after: { status: request.status } });
+        res.json({ message: 'Request resolved. The bot is answering this conversation again.', request });
+    } catch (error) {
+        logger.warn('Failed to resolve help request', { requestId, error: error.message, email: req.user.email });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to resolve help request' });
+    }
+});
+
+// Rated answers with the prompt, response and retrieved context each was rated on.
+// Paginated with ?limit=&offset=; filter with ?rating=&reason=&q=&from=&to=
+app.get('/api/admin/ratings', requirePermission('feedback:view'), async (req, res) => {
+    try {
+        const { rating, reason, q, from, to } = req.query;
+        res.json(await ratingService.listRatings({ rating, reason, q, from, to }, req.query));
+    } catch (error) {
+        logger.error('Failed to get message ratings', { error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to retrieve ratings.' });
+    }
+});
+
+app.get('/api/admin/ratings/summary', requirePermission('feedback:view'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        res.json({ summary: await ratingService.getSummary({ from, to }), reasons: RATING_REASONS });
+    } catch (error) {
+        logger.error('Failed to summarise message ratings', { error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to summarise ratings.' });
+    }
+});
+
+// The signed-in student's own reports with their reply threads
+app.get('/api/feedback', requireAuth, async (req, res) => {
+    try {
+        const reports = await feedbackService.getReportsForUser(req.user.email);
+        res.json({ reports });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to retrieve your reports' });
+    }
+});
+
+app.post('/api/feedback/:reportId/replies', requireAuth, async (req, res) => {
+    const { reportId } = req.params;
+
+    try {
+        const reply = await feedbackService.addReply(reportId, req.body.body, req.user.email, false);
+        res.status(201).json({ message: 'Reply sent', reply });
+    } catch (error) {
+        logger.warn('Student reply to report failed', { reportId, userEmail: req.user.email, error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to send reply' });
+    }
+});
+
+app.post('/api/feedback', requireAuth, async (req, res) => {
+    const { feedback, conversationId } = req.body;
+    const userEmail = req.user.email;
+
+    try {
+        if (!feedback) return res.status(400).json({ error: 'Feedback text is required' });
+
+        const conversation = await conversationService.getConversation(userEmail, conversationId || req.session.conversationId);
+        const chatHistory = conversation ? conversation.history : [];
+
+        // Detailed session debugging
+        logger.info('Feedback submission debug:', {
+            userEmail,
+            sessionId: req.session.id,
+            sessionAge: req.session.cookie.maxAge,
+            sessionIsNew: req.session.isNew,
+            conversationId: conversation?.id || null,
+            historyLength: chatHistory.length,
+            historyPreview: chatHistory.slice(-2), // Last 2 messages for debugging
+            redisConnected: redisClient.isReady,
+            redisStatus: redisClient.status,
+            sessionKeys: Object.keys(req.session)
+        });
+
+        const result = await feedbackService.submitFeedback(
+            userEmail,
+            'general_feedback',
+            feedback,
+            chatHistory
+        );
+
+        if (result.success) {
+            logger.info('Feedback submitted successfully:', { 
+                userEmail, 
+                reportId: result.reportId,
+                conversationLength: chatHistory.length 
+            });
+            res.json({ message: 'Feedback submitted successfully' });
+        } else {
+            throw new Error('Feedback submission failed');
+        }
+    } catch (error) {
+        logger.error('Feedback submission error:', { 
+            userEmail, 
+            error: error.message,
+            sessionId: req.session.id 
+        });
+        res.status(500).json({ error: 'Failed to submit feedback' });
+    }
+});
+
+//DEBUG test session persistence
+
+app.post('/api/debug/session-test', requireAuth, (req, res) => {
+    const { testData } = req.body;
+    
+    if (!req.session.testHistory) {
+        req.session.testHistory = [];
+    }
+    
+    req.session.testHistory.push({
+        timestamp: new Date().toISOString(),
+        data: testData || 'test message',
+        count: req.session.testHistory.length + 1
+    });
+    
+    logger.info('Session test data stored:', {
+        sessionId: req.session.id,
+        historyLength: req.session.testHistory.length
+    });
+    
+    res.json({
+        message: 'Test data stored in session',
+        sessionId: req.session.id,
+        testHistory: req.session.testHistory,
+        totalMessages: req.session.testHistory.length
+    });
+});
+
+app.get('/api/debug/session-test', requireAuth, (req, res) => {
+    res.json({
+        sessionId: req.session.id,
+        testHistory: req.session.testHistory || [],
+        conversationId: req.session.conversationId || null,
+        sessionKeys: Object.keys(req.session)
+    });
+});
+
+
+// --- Conversations ---
+
+app.get('/api/conversations', requireAuth, async (req, res) => {
+    try {
+        const conversations = await conversationService.listConversations(req.user.email);
+        res.json({ conversations, activeConversationId: req.session.conversationId || null });
+    } catch (error) {
+        logger.error('Error listing conversations', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to list conversations' });
+    }
+});
+
+app.post('/api/conversations', requireAuth, async (req, res) => {
+    try {
+        const conversation = await conversationService.createConversation(req.user.email, req.body.title);
+        req.session.conversationId = conversation.id;
+        res.status(201).json({ conversation });
+    } catch (error) {
+        logger.error('Error creating conversation', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to create conversation' });
+    }
+});
+
+app.patch('/api/conversations/:conversationId', requireAuth, async (req, res) => {
+    const { title } = req.body;
+    if (!title || !title.trim()) return res.status(400).json({ error: 'Title is required' });
+
+    try {
+        const conversation = await conversationService.renameConversation(req.user.email, req.params.conversationId, title);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+        res.json({ conversation });
+    } catch (error) {
+        logger.error('Error renaming conversation', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to rename conversation' });
+    }
+});
+
+/**
+ * Formats a conversation's history for the client, with the user's own
+ * rating attached to each assistant message they have rated.
+ */
+async function historyWithRatings(email, history) {
+    const messages = llmService.formatHistoryForStorage(history);
+    const ratings = await ratingService.getRatingsFor(email, messages.filter(message => message.id).map(message => message.id));
+    return messages.map(message => ratings[message.id] ? { ...message, rating: ratings[message.id] } : message);
+}
+
+// Makes a conversation the session's active one and returns its messages
+app.post('/api/conversations/:conversationId/activate', requireAuth, async (req, res) => {
+    try {
+        const conversation = await conversationService.getConversation(req.user.email, req.params.conversationId);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+        req.session.conversationId = conversation.id;
+        const { history, ...summary } = conversation;
+        const helpRequest = await helpRequestService.getActiveRequest(conversation.id);
+        res.json({
+            conversation: summary,
+            history: await historyWithRatings(req.user.email, history),
+            helpRequest: helpRequestForStudent(helpRequest)
+        });
+    } catch (error) {
+        logger.error('Error switching conversation', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to switch conversation' });
+    }
+});
+
+// Asks a TA for help with the conversation, which is attached to the help request. Only
+// offered once the student has used every hint on a problem; asking again returns the
+// conversation's open request. Body: { message } (optional note for the TA)
+app.post('/api/conversations/:conversationId/escalate', requireAuth, async (req, res) => {
+    const { conversationId } = req.params;
+    const userEmail = req.user.email;
+
+    try {
+        const conversation = await conversationService.getConversation(userEmail, conversationId);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+        const active = await helpRequestService.getActiveRequest(conversationId);
+        if (!active && !await hintLadderService.canEscalate(conversationId)) {
+            return res.status(409).json({ error: 'You can ask a TA once you have used every hint on a problem.' });
+        }
+
+        const { created, request } = await helpRequestService.createRequest(userEmail, conversation, {
+            reason: 'hint_cap',
+            note: req.body.message
+        });
+        res.status(created ? 201 : 200).json({
+            message: created
+                ? 'A TA has been asked to help. They will reply here, and you will get an email when they do.'
+                : 'A TA has already been asked to help with this conversation.',
+            helpRequest: helpRequestForStudent(request)
+        });
+    } catch (error) {
+        logger.error('Error escalating conversation', { error: error.message, userEmail, conversationId });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to contact a TA' });
+    }
+});
+
+// The conversation's active help request and any TA replies after ?since= (an ISO
+// timestamp), for the chat to poll while it waits for a TA
+app.get('/api/conversations/:conversationId/help', requireAuth, async (req, res) => {
+    const { conversationId } = req.params;
+    try {
+        const conversation = await conversationService.getConversation(req.user.email, conversationId);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+        const since = Date.parse(req.query.since) || 0;
+        const messages = llmService.formatHistoryForStorage(conversation.history)
+            .filter(message => message.staff && Date.parse(message.timestamp) > since);
+        const helpRequest = await helpRequestService.getActiveRequest(conversationId);
+        res.json({ helpRequest: helpRequestForStudent(helpRequest), messages });
+    } catch (error) {
+        logger.error('Error checking help request', { error: error.message, userEmail: req.user.email, conversationId });
+        res.status(500).json({ error: 'Failed to check for a TA reply' });
+    }
+});
+
+// Withdraws the conversation's help request and hands it back to the bot
+app.delete('/api/conversations/:conversationId/help', requireAuth, async (req, res) => {
+    const { conversationId } = req.params;
+    try {
+        const request = await helpRequestService.getActiveRequest(conversationId);
+        if (!request || request.userEmail !== req.user.email) return res.status(404).json({ error: 'No open help request' });
+
+        await helpRequestService.closeRequest(request.id, req.user.email, 'cancelled');
+        res.json({ message: 'Help request cancelled' });
+    } catch (error) {
+        logger.error('Error cancelling help request', { error: error.message, userEmail: req.user.email, conversationId });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to cancel help request' });
+    }
+});
+
+app.delete('/api/conversations/:conversationId', requireAuth, async (req, res) => {
+    const { conversationId } = req.params;
+    try {
+        const deleted = await conversationService.deleteConversation(req.user.email, conversationId);
+        if (!deleted) return res.status(404).json({ error: 'Conversation not found' });
+        await hintLadderService.reset(conversationId);
+        const helpRequest = await helpRequestService.getActiveRequest(conversationId);
+        if (helpRequest) await helpRequestService.closeRequest(helpRequest.id, req.user.email, 'cancelled');
+
+        if (req.session.conversationId === conversationId) req.session.conversationId = null;
+        res.json({ message: 'Conversation deleted' });
+    } catch (error) {
+        logger.error('Error deleting conversation', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+});
+
+app.get('/api/history', requireAuth, async (req, res) => {
+    try {
+        const conversationId = req.query.conversationId || req.session.conversationId;
+        const conversation = await conversationService.getConversation(req.user.email, conversationId);
+        if (req.query.conversationId && !conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+        const chatHistory = conversation ? conversation.history : [];
+        res.json({ 
+            conversationId: conversation?.id || null,
+            history: await historyWithRatings(req.user.email, chatHistory),
+            summary: llmService.getConversationSummary(chatHistory)
+        });
+    } catch (error) {
+        logger.error('Error retrieving chat history', { error: error.message, userEmail: req.user.email });
+        res.status(500).json({ error: 'Failed to retrieve chat history' });
+    }
+});
+
+app.post('/api/clear-history', requireAuth, async (req, res) => {
+    try {
+        const conversationId = req.body.conversationId || req.session.conversationId;
+        if (conversationId) {
+            const cleared = await conversationService.clearHistory(req.user.email, conversationId);
+            if (!cleared) return res.status(404).json({ error: 'Conversation not found' });
+            await hintLadderService.reset(conversationId);
+        }
+        logger.info('Chat history cleared', { userEmail: req.user.email, sessionId: req.session.id, conversationId });
         res.json({ message: 'Chat history cleared' });
     } catch (error) {
         logger.error('Error clearing chat history', { error: error.message, userEmail: req.user.email });
@@ -502,7 +1830,7 @@ app.get('/api/debug/redis', requireAuth, async (req, res) => {
                 id: req.session.id,
                 isNew: req.session.isNew,
                 keys: Object.keys(req.session),
-                chatHistoryLength: req.session.chatHistory?.length || 0
+                conversationId: req.session.conversationId || null
             },
             environment: {
                 redisUrl: process.env.REDIS_URL ? 'SET' : 'NOT SET',
@@ -555,7 +1883,7 @@ app.listen(PORT, () => {
     logger.info(`Server is running on http://localhost:${PORT}`);
     logger.info(`Prometheus metrics available at http://localhost:${PORT}/metrics`);
     logger.info(`Authentication required - visit http://localhost:${PORT}/auth.html to login`);
-    logger.info(`Using Gemini AI model exclusively`);
+    logger.info(`Using LLM provider: ${llmService.providerDisplayName}`);
 });
 
 
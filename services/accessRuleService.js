@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import { Logger } from '../logger.js';
+import { redisClient } from '../redisClient.js';
+
+const logger = new Logger();
+
+const RULE_TYPES = ['email', 'domain', 'pattern', 'regex'];
+const RULE_EFFECTS = ['allow', 'deny'];
+
+/**
+ * Access rules deciding who may sign in. A rule matches emails by
+ *   email   - exact address
+ *   domain  - everything at a domain, e.g. "ashoka.edu.in"
+ *   pattern - a wildcard pattern where * matches anything, e.g. "*_ug2025@ashoka.edu.in"
+ *   regex   - a regular expression tested against the whole address
+ * and either allows or denies them, optionally until an expiry date. Deny
+ * rules win over allow rules; expired rules are ignored.
+ *
+ * Rules live in the Redis hash `access_rules` as ruleId -> JSON.
+ */
+class AccessRuleService {
+    constructor() {
+        this.rulesKey = 'access_rules';
+    }
+
+    /**
+     * Checks a rule definition and returns it normalised.
+     * @throws {Error} - If the definition is invalid.
+     */
+    validateRule({ type, value, effect = 'allow', expiresAt = null, note = '' }) {
+        if (!RULE_TYPES.includes(type)) {
+            throw new Error(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+        }
+        if (!RULE_EFFECTS.includes(effect)) {
+            throw new Error(`Rule effect must be one of: ${RULE_EFFECTS.join(', ')}`);
+        }
+        if (!value || typeof value !== 'string' || !value.trim()) {
+            throw new Error('Rule value is required');
+        }
+        if (expiresAt && isNaN(Date.parse(expiresAt))) {
+            throw new Error('expiresAt must be a valid date');
+        }
+
+        const rule = {
+            type,
+            value: type === 'regex' ? value.trim() : value.trim().toLowerCase().replace(/^@/, ''),
+            effect,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            note: String(note || '').trim()
+        };
+        // Fails early on a regex that would not compile
+        this.#matcherFor(rule);
+        return rule;
+    }
+
+    #matcherFor(rule) {
+        switch (rule.type) {
+            case 'email':
+                return email => email === rule.value;
+            case 'domain':
+                return email => email.endsWith(`@${rule.value}`);
+            case 'pattern': {
+                const escaped = rule.value.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+                const regex = new RegExp(`^${escaped}$`);
+                return email => regex.test(email);
+            }
+            case 'regex': {
+                // Anchored so the expression has to match the whole address, not part of it.
+                // An invalid expression throws a SyntaxError describing the problem
+                const regex = new RegExp(`^(?:${rule.value})$`, 'i');
+                return email => regex.test(email);
+            }
+            default:
+                return () => false;
+        }
+    }
+
+    isExpired(rule, now = Date.now()) {
+        return !!rule.expiresAt && Date.parse(rule.expiresAt) <= now;
+    }
+
+    async listRules() {
+        try {
+            const stored = await redisClient.hGetAll(this.rulesKey);
+            return Object.values(stored)
+                .map(json => JSON.parse(json))
+                .map(rule => ({ ...rule, expired: this.isExpired(rule) }))
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        } catch (error) {
+            logger.error('Failed to list access rules', { error: error.message });
+            throw error;
+        }
+    }
+
+    async getRule(ruleId) {
+        const stored = await redisClient.hGet(this.rulesKey, ruleId);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async createRule(definition, createdBy) {
+        const rule = {
+            id: `rule_${crypto.randomUUID()}`,
+            ...this.validateRule(definition),
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+
+        await redisClient.hSet(this.rulesKey, rule.id, JSON.stringify(rule));
+        logger.info('Access rule created', { ruleId: rule.id, type: rule.type, value: rule.value, effect: rule.effect, createdBy });
+        return rule;
+    }
+
+    /**
+     * Changes the value, effect, expiry or note of a rule.
+     * @returns {object|null} - The updated rule, or null if it does not exist.
+     */
+    async updateRule(ruleId, changes, updatedBy) {
+        const stored = await redisClient.hGet(this.rulesKey, ruleId);
+        if (!stored) return null;
+
+        const existing = JSON.parse(stored);
+        const rule = {
+            ...existing,
+            ...this.validateRule({ ...existing, ...changes }),
+            updatedBy,
+            updatedAt: new Date().toISOString()
+        };
+
+        await redisClient.hSet(this.rulesKey, ruleId, JSON.stringify(rule));
+        logger.info('Access rule updated', { ruleId, updatedBy });
+        return rule;
+    }
+
+    /**
+     * @returns {boolean} - False if the rule does not exist.
+     */
+    async deleteRule(ruleId, deletedBy) {
+        const removed = await redisClient.hDel(this.rulesKey, ruleId);
+        if (removed) logger.info('Access rule deleted', { ruleId, deletedBy });
+        return removed === 1;
+    }
+
+    /**
+     * Evaluates the rules for an email.
+     * @param {string} email
+     * @returns {object} - { allowed, rule } where rule is the deciding rule, or null if none matched.
+     */
+    async evaluate(email) {
+        const normalised = String(email || '').trim().toLowerCase();
+        const now = Date.now();
+        const active = (await this.listRules()).filter(rule => !this.isExpired(rule, now));
+        const matching = active.filter(rule => this.#matcherFor(rule)(normalised));
+
+        const deny = matching.find(rule => rule.effect === 'deny');
+        if (deny) return { allowed: false, rule: deny };
+
+        const allow = matching.find(rule => rule.effect === 'allow');
+        return { allowed: !!allow, rule: allow || null };
+    }
+}
+
+export { AccessRuleService };
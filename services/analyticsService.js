@@ -0,0 +1,152 @@
+import { Logger } from '../logger.js';
+import authService from './authService.js';
+import { UserService } from './userService.js';
+import { ConversationService } from './conversationService.js';
+import { RosterService } from './rosterService.js';
+
+const logger = new Logger();
+
+const DEFAULT_DAYS = 14;
+// Daily query counts are only kept for 30 days
+const MAX_DAYS = 30;
+const HEAVY_USER_COUNT = 10;
+
+/**
+ * Usage analytics for the admin dashboard, computed straight from the
+ * per-user daily counters in Redis (`user_queries:{email}` and
+ * `limit_hits:{date}`) so they work without Prometheus. Staff (TAs,
+ * instructors, admins) are left out; the numbers are about students.
+ */
+class AnalyticsService {
+    constructor() {
+        this.userService = new UserService();
+        this.conversationService = new ConversationService();
+        this.rosterService = new RosterService();
+    }
+
+    /**
+     * The last `days` dates up to today (UTC) as YYYY-MM-DD, oldest first.
+     */
+    dateRange(days) {
+        const count = Math.min(Math.max(parseInt(days) || DEFAULT_DAYS, 1), MAX_DAYS);
+        const today = new Date();
+        return Array.from({ length: count }, (_, index) => new Date(Date.UTC(
+            today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - (count - 1 - index)
+        )).toISOString().split('T')[0]);
+    }
+
+    async #staffEmails() {
+        const members = await authService.getRoleMembers();
+        return new Set(Object.values(members).flat());
+    }
+
+    /**
+     * Course-wide usage over the last `days` days.
+     * @param {number} days
+     * @returns {object} - { dates, daily, totals, heavyUsers } where daily has one
+     *   { date, queries, activeStudents, limitHits } per date and heavyUsers lists the
+     *   students with the most queries in the range.
+     */
+    async getOverview(days) {
+        try {
+            const dates = this.dateRange(days);
+            const [allStats, limitHits, staff, profiles] = await Promise.all([
+                this.userService.getAllUserStats(),
+                this.userService.getLimitHits(dates),
+                this.#staffEmails(),
+                this.rosterService.getProfiles()
+            ]);
+
+            const students = Object.entries(allStats).filter(([email]) => !staff.has(email));
+
+            const daily = dates.map(date => {
+                const active = students.filter(([, stats]) => stats[date] > 0);
+                return {
+                    date,
+                    queries: active.reduce((sum, [, stats]) => sum + stats[date], 0),
+                    activeStudents: active.length,
+                    limitHits: Object.entries(limitHits[date])
+                        .filter(([email]) => !staff.has(email))
+                        .reduce((sum, [, count]) => sum + count, 0)
+                };
+            });
+
+            const perStudent = students.map(([email, stats]) => {
+                const counts = dates.map(date => stats[date] || 0);
+                return {
+                    email,
+                    name: profiles[email]?.name || '',
+                    section: profiles[email]?.section || '',
+                    queries: counts.reduce((sum, count) => sum + count, 0),
+                    activeDays: counts.filter(count => count > 0).length,
+                    limitHits: dates.reduce((sum, date) => sum + (limitHits[date][email] || 0), 0)
+                };
+            }).filter(student => student.queries > 0);
+
+            const heavyUsers = [...perStudent]
+                .sort((a, b) => b.queries - a.queries || b.limitHits - a.limitHits)
+                .slice(0, HEAVY_USER_COUNT);
+
+            return {
+                dates: { from: dates[0], to: dates[dates.length - 1] },
+                daily,
+                totals: {
+                    queries: daily.reduce((sum, day) => sum + day.queries, 0),
+                    activeStudents: perStudent.length,
+                    limitHits: daily.reduce((sum, day) => sum + day.limitHits, 0)
+                },
+                heavyUsers
+            };
+        } catch (error) {
+            logger.error('Failed to compute usage analytics', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * One student's usage history: queries and limit hits per day, their
+     * current quota, and their conversations (titles and sizes, not content).
+     * @param {string} email
+     * @param {number} days
+     */
+    async getStudent(email, days) {
+        try {
+            const dates = this.dateRange(days);
+            const [stats, limitHits, profile, role, quota, conversations] = await Promise.all([
+                this.userService.getUserStats(email),
+                this.userService.getLimitHits(dates),
+                this.rosterService.getProfile(email),
+                authService.getRole(email),
+                this.userService.checkQueryLimit(email),
+                this.conversationService.listConversations(email)
+            ]);
+
+            const daily = dates.map(date => ({
+                date,
+                queries: stats[date] || 0,
+                limitHits: limitHits[date][email] || 0
+            }));
+
+            return {
+                email,
+                name: profile?.name || '',
+                section: profile?.section || '',
+                role,
+                dates: { from: dates[0], to: dates[dates.length - 1] },
+                daily,
+                totals: {
+                    queries: daily.reduce((sum, day) => sum + day.queries, 0),
+                    activeDays: daily.filter(day => day.queries > 0).length,
+                    limitHits: daily.reduce((sum, day) => sum + day.limitHits, 0)
+                },
+                quota,
+                conversations
+            };
+        } catch (error) {
+            logger.error('Failed to compute student analytics', { email, error: error.message });
+            throw error;
+        }
+    }
+}
+
+export { AnalyticsService };
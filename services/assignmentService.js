@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import { Logger } from '../logger.js';
+import { redisClient } from '../redisClient.js';
+import { chunkText } from './chunkers.js';
+import { assignmentGuardTotal } from '../metrics.js';
+
+const logger = new Logger();
+
+const TITLE_MAX_LENGTH = 120;
+// Replies are compared as a whole and code block by code block, up to this many blocks
+const MAX_REPLY_BLOCKS = 3;
+
+const LEAK_REPLY = "I can't share that, because it is too close to the solution of a graded assignment. " +
+    "Let's work through it together instead: what have you tried so far, and where are you stuck?";
+
+function assignmentError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Private registry of assignments, used to keep the tutor from leaking
+ * graded work. Instructors register each assignment's problem statements and
+ * reference solutions; prompts close to a problem statement of a live
+ * assignment put the tutor in hint-only mode, and replies close to a
+ * reference solution are blocked.
+ *
+ * The text lives in the Redis hash `assignments` (assignmentId -> JSON) and
+ * the embeddings in a separate Qdrant collection (ASSIGNMENT_COLLECTION),
+ * which is never searched for chat context. ASSIGNMENT_PROBLEM_THRESHOLD and
+ * ASSIGNMENT_SOLUTION_THRESHOLD set the similarity cutoffs. Without Qdrant
+ * (retrieval turned off) assignments can still be stored but nothing is
+ * matched.
+ */
+class AssignmentService {
+    /**
+     * @param {object} options - { qdrant: QdrantService, or null when retrieval is off }
+     */
+    constructor({ qdrant = null } = {}) {
+        this.assignmentsKey = 'assignments';
+        this.qdrant = qdrant;
+        this.collectionName = process.env.ASSIGNMENT_COLLECTION || `${qdrant?.collections_name || 'icslearningtechv2'}_assignments`;
+        this.thresholds = {
+            problem: parseFloat(process.env.ASSIGNMENT_PROBLEM_THRESHOLD) || 0.8,
+            solution: parseFloat(process.env.ASSIGNMENT_SOLUTION_THRESHOLD) || 0.85
+        };
+    }
+
+    get enabled() {
+        return this.qdrant !== null;
+    }
+
+    /**
+     * Checks an assignment definition and returns it normalised.
+     * @throws {Error} - With status 400 if it is invalid.
+     */
+    validateAssignment({ title, problems = [], solutions = [], live = true }) {
+        const cleanTitle = String(title || '').trim();
+        if (!cleanTitle || cleanTitle.length > TITLE_MAX_LENGTH) {
+            throw assignmentError(`An assignment needs a title of at most ${TITLE_MAX_LENGTH} characters`, 400);
+        }
+
+        const cleanList = list => (Array.isArray(list) ? list : []).map(text => String(text).trim()).filter(Boolean);
+        const assignment = { title: cleanTitle, problems: cleanList(problems), solutions: cleanList(solutions), live: live !== false };
+        if (assignment.problems.length === 0 && assignment.solutions.length === 0) {
+            throw assignmentError('An assignment needs at least one problem statement or reference solution', 400);
+        }
+        return assignment;
+    }
+
+    #summary(assignment) {
+        const { problems, solutions, ...summary } = assignment;
+        return { ...summary, problemCount: problems.length, solutionCount: solutions.length };
+    }
+
+    /**
+     * Every assignment without its problem and solution text.
+     */
+    async listAssignments() {
+        try {
+            const stored = await redisClient.hGetAll(this.assignmentsKey);
+            return Object.values(stored)
+                .map(json => this.#summary(JSON.parse(json)))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        } catch (error) {
+            logger.error('Failed to list assignments', { error: error.message });
+            throw error;
+        }
+    }
+
+    async getAssignment(assignmentId) {
+        const stored = await redisClient.hGet(this.assignmentsKey, assignmentId);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    // Replaces the assignment's vectors with ones for its current text
+    async #index(assignment) {
+        if (!this.enabled) return 0;
+
+        await this.qdrant.initializePrivateCollection(this.collectionName, ['assignmentId', 'kind']);
+        await this.qdrant.deletePrivateVectors(this.collectionName, { must: [{ key: 'assignmentId', match: { value: assignment.id } }] });
+
+        const items = [];
+        for (const [kind, texts] of [['problem', assignment.problems], ['solution', assignment.solutions]]) {
+            texts.forEach((text, itemIndex) => {
+                chunkText(text).forEach((chunk, chunkIndex) => items.push({
+                    id: this.qdrant.chunkId(`assignment:${assignment.id}:${kind}:${itemIndex}`, chunkIndex, chunk),
+                    text: chunk,
+                    payload: { assignmentId: assignment.id, kind, itemIndex, chunkIndex }
+                }));
+            });
+        }
+        return this.qdrant.upsertPrivateVectors(this.collectionName, items);
+    }
+
+    /**
+     * Registers an assignment and embeds its problems and solutions.
+     * @returns {object} - The assignment summary.
+     */
+    async createAssignment(definition, createdBy) {
+        const assignment = {
+            id: `assignment_${crypto.randomUUID()}`,
+            ...this.validateAssignment(definition),
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await redisClient.hSet(this.assignmentsKey, assignment.id, JSON.stringify(assignment));
+            const vectors = await this.#index(assignment);
+            logger.info('Assignment registered', { assignmentId: assignment.id, title: assignment.title, vectors, createdBy });
+            return this.#summary(assignment);
+        } catch (error) {
+            logger.error('Failed to register assignment', { title: assignment.title, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Updates an assignment. Its vectors are rebuilt when the text changes.
+     * @returns {object} - { assignment, previous } as summaries.
+     */
+    async updateAssignment(assignmentId, definition, updatedBy) {
+        const previous = await this.getAssignment(assignmentId);
+        if (!previous) throw assignmentError('Assignment not found', 404);
+
+        const assignment = {
+            ...previous,
+            ...this.validateAssignment({ ...previous, ...definition }),
+            updatedBy,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            await redisClient.hSet(this.assignmentsKey, assignmentId, JSON.stringify(assignment));
+            const textChanged = JSON.stringify([previous.problems, previous.solutions]) !== JSON.stringify([assignment.problems, assignment.solutions]);
+            if (textChanged) await this.#index(assignment);
+
+            logger.info('Assignment updated', { assignmentId, live: assignment.live, reindexed: textChanged, updatedBy });
+            return { assignment: this.#summary(assignment), previous: this.#summary(previous) };
+        } catch (error) {
+            logger.error('Failed to update assignment', { assignmentId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {object|null} - The deleted assignment's summary, or null if it did not exist.
+     */
+    async deleteAssignment(assignmentId, deletedBy) {
+        const assignment = await this.getAssignment(assignmentId);
+        if (!assignment) return null;
+
+        try {
+            if (this.enabled) {
+                await this.qdrant.initializePrivateCollection(this.collectionName, ['assignmentId', 'kind']);
+                await this.qdrant.deletePrivateVectors(this.collectionName, { must: [{ key: 'assignmentId', match: { value: assignmentId } }] });
+            }
+            await redisClient.hDel(this.assignmentsKey, assignmentId);
+            logger.info('Assignment deleted', { assignmentId, deletedBy });
+            return this.#summary(assignment);
+        } catch (error) {
+            logger.error('Failed to delete assignment', { assignmentId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * The best match of the texts against one kind of material of the live
+     * assignments, if it reaches the threshold for that kind.
+     * @returns {object|null} - { assignmentId, title, itemIndex, score, solutionCount }; itemIndex
+     *   is the position of the matched problem or solution within the assignment.
+     */
+    async #closestLive(kind, texts) {
+        if (!this.enabled) return null;
+
+        const live = (await this.listAssignments()).filter(assignment => assignment.live);
+        if (live.length === 0) return null;
+
+        const [best] = await this.qdrant.searchPrivateVectors(this.collectionName, texts, {
+            limit: 1,
+            filter: {
+                must: [
+                    { key: 'kind', match: { value: kind } },
+                    { key: 'assignmentId', match: { any: live.map(assignment => assignment.id) } }
+                ]
+            }
+        });
+        if (!best || best.score < this.thresholds[kind]) return null;
+
+        const assignment = live.find(entry => entry.id === best.payload.assignmentId);
+        return {
+            assignmentId: assignment.id,
+            title: assignment.title,
+            itemIndex: best.payload.itemIndex,
+            score: best.score,
+            solutionCount: assignment.solutionCount
+        };
+    }
+
+    /**
+     * Whether a prompt is (close to) a problem statement of a live assignment.
+     * Fails open: errors are logged and treated as no match.
+     * @returns {object|null} - { assignmentId, title, itemIndex, score, solutionCount }
+     */
+    async matchProblem(prompt) {
+        try {
+            const match = await this.#closestLive('problem', [prompt]);
+            if (match) {
+                assignmentGuardTotal.inc({ outcome: 'hint_only' });
+                logger.info('Prompt matches an assignment problem', match);
+            }
+            return match;
+        } catch (error) {
+            logger.error('Failed to match prompt against assignments', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Checks a reply against the reference solutions of live assignments, as
+     * a whole and code block by code block. Meant as an LLMService replyCheck.
+     * Fails open: errors are logged and the reply is let through.
+     * @returns {object|null} - { blocked, replacement, assignmentId, title, score } when it
+     *   is too close to a solution, else null.
+     */
+    async checkReply(text) {
+        try {
+            const blocks = [...text.matchAll(/```[^\n`]*\n([\s\S]*?)(?:```|$)/g)]
+                .map(match => match[1].trim())
+                .filter(Boolean)
+                .slice(0, MAX_REPLY_BLOCKS);
+
+            const match = await this.#closestLive('solution', [text, ...blocks]);
+            if (!match) return null;
+
+            assignmentGuardTotal.inc({ outcome: 'leak_blocked' });
+            logger.warn('Reply blocked as too close to a reference solution', match);
+            return { blocked: true, replacement: LEAK_REPLY, ...match };
+        } catch (error) {
+            logger.error('Failed to check reply against reference solutions', { error: error.message });
+            return null;
+        }
+    }
+}
+
+export { AssignmentService };
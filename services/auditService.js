@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import { Logger } from '../logger.js';
+import { redisClient } from '../redisClient.js';
+import { dateRangeBounds } from './dateRange.js';
+
+const logger = new Logger();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Append-only audit trail of privileged actions. Each entry records who did
+ * what to which target, the value before and after, the client IP and when.
+ *
+ * Entries live in the Redis sorted set `audit_log` as JSON scored by their
+ * timestamp in milliseconds. Nothing in the app updates or removes them.
+ */
+class AuditService {
+    constructor() {
+        this.logKey = 'audit_log';
+    }
+
+    /**
+     * Appends an entry. A failure is logged but not thrown, so a Redis hiccup
+     * never undoes or blocks the action being audited.
+     * @param {object} entry - { actor, action, target, before, after, ip, details }
+     * @returns {object|null} - The stored entry, or null if it could not be written.
+     */
+    async record({ actor, action, target = null, before = null, after = null, ip = null, details = null }) {
+        const now = Date.now();
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date(now).toISOString(),
+            actor: actor || 'system',
+            action,
+            target,
+            before,
+            after,
+            ip,
+            details
+        };
+
+        try {
+            await redisClient.zAdd(this.logKey, { score: now, value: JSON.stringify(entry) });
+            return entry;
+        } catch (error) {
+            logger.error('Failed to write audit log entry', { action, actor: entry.actor, target, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Entries matching the filters, newest first.
+     * @param {object} filters
+     * @param {string} filters.actor - Exact actor email.
+     * @param {string} filters.action - An action such as "whitelist.add", or a prefix such as "whitelist".
+     * @param {string} filters.target - Exact target.
+     * @param {string} filters.from - Earliest timestamp (inclusive), any date Date.parse accepts.
+     * @param {string} filters.to - Latest timestamp (inclusive); a bare date includes that whole day.
+     * @returns {Array<object>}
+     */
+    async findEntries({ actor, action, target, from, to } = {}) {
+        const { min, max } = dateRangeBounds(from, to);
+        if (Number.isNaN(min) || Number.isNaN(max)) {
+            const error = new Error('from and to must be valid dates');
+            error.status = 400;
+            throw error;
+        }
+
+        try {
+            const stored = await redisClient.zRange(
+                this.logKey,
+                max === Infinity ? '+inf' : max,
+                min === -Infinity ? '-inf' : min,
+                { BY: 'SCORE', REV: true }
+            );
+
+            const normalise = value => String(value).trim().toLowerCase();
+            return stored
+                .map(json => JSON.parse(json))
+                .filter(entry => !actor || normalise(entry.actor) === normalise(actor))
+                .filter(entry => !action || entry.action === action || entry.action.startsWith(`${action}.`))
+                .filter(entry => !target || (entry.target !== null && normalise(entry.target) === normalise(target)));
+        } catch (error) {
+            logger.error('Failed to read audit log', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * One page of matching entries.
+     * @returns {object} - { entries, total, limit, offset }
+     */
+    async query(filters = {}, { limit, offset } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const start = Math.max(parseInt(offset) || 0, 0);
+
+        const entries = await this.findEntries(filters);
+        return {
+            entries: entries.slice(start, start + pageSize),
+            total: entries.length,
+            limit: pageSize,
+            offset: start
+        };
+    }
+
+    /**
+     * Matching entries as JSON Lines, oldest first.
+     * @returns {string}
+     */
+    async exportJsonl(filters = {}) {
+        const entries = await this.findEntries(filters);
+        return entries.reverse().map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+    }
+}
+
+export { AuditService };
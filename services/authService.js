@@ -1,16 +1,42 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import emailService from './emailService.js';
 import { redisClient } from '../redisClient.js';
+import { AccessRuleService } from './accessRuleService.js';
+import { isValidRole } from './permissions.js';
 
 //kept redis for the following: if the admin panel wants to add admin-emails dynamically then redis will be a good use case.
 // Authservice class implementation
 class AuthService {
     constructor() {
 
-        this.tempCodes = {};
         this.whitelistKey = 'whitelisted_emails';
         this.adminEmails = 'admin_emails';
+        // Staff roles are Redis sets of emails, checked from most to least privileged.
+        // Anyone in none of them is a student.
+        this.roleKeys = {
+            admin: this.adminEmails,
+            instructor: 'instructor_emails',
+            ta: 'ta_emails'
+        };
+        this.accessRules = new AccessRuleService();
+        this.config = {
+            codeTtlSeconds: 10 * 60,
+            maxFailedAttempts: parseInt(process.env.VERIFICATION_MAX_ATTEMPTS) || 5,
+            resendCooldownSeconds: parseInt(process.env.VERIFICATION_RESEND_COOLDOWN) || 60,
+            maxRequestsPerEmailPerHour: parseInt(process.env.VERIFICATION_EMAIL_HOURLY_LIMIT) || 5,
+            maxRequestsPerIpPerHour: parseInt(process.env.VERIFICATION_IP_HOURLY_LIMIT) || 20,
+            accessTokenTtlSeconds: parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60,
+            refreshTokenTtlSeconds: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60,
+            // Lifetime of tokens issued before refresh tokens existed
+            legacyTokenTtlSeconds: 24 * 60 * 60
+        };
+    }
+
+    // Pending code for an email: hash { code (bcrypt), attempts, locked }, expires with the code
+    verificationKey(email) {
+        return `verification_code:${email}`;
     }
 
     async getAdminlist(){
@@ -55,6 +81,17 @@ class AuthService {
         return result === 1;
     }
 
+    // Access rules decide first: a matching deny rule blocks the email even if it
+    // is whitelisted. Otherwise an allow rule or the legacy whitelist lets it in.
+    async isEmailAllowed(email) {
+        const { allowed, rule } = await this.accessRules.evaluate(email);
+        if (rule && rule.effect === 'deny') {
+            console.warn(`${email} is denied by access rule ${rule.id}.`);
+            return false;
+        }
+        return allowed || await this.isEmailWhitelisted(email);
+    }
+
     async isEmailAdmin(email){
         const result = await redisClient.sIsMember(this.adminEmails, email)
         if (result == 1) {
@@ -65,35 +102,111 @@ class AuthService {
     }
 
 
+    async getRole(email) {
+        for (const [role, key] of Object.entries(this.roleKeys)) {
+            if (await redisClient.sIsMember(key, email)) return role;
+        }
+        return 'student';
+    }
+
+    /**
+     * Moves an email into a role's set, taking it out of the other role sets.
+     * Students are simply not in any set.
+     */
+    async setRole(email, role) {
+        if (!isValidRole(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        for (const [setRole, key] of Object.entries(this.roleKeys)) {
+            if (setRole === role) await redisClient.sAdd(key, email);
+            else await redisClient.sRem(key, email);
+        }
+        console.log(`Role of ${email} set to ${role}.`);
+    }
+
+    // { admin: [...], instructor: [...], ta: [...] }
+    async getRoleMembers() {
+        const members = {};
+        for (const [role, key] of Object.entries(this.roleKeys)) {
+            members[role] = await redisClient.sMembers(key);
+        }
+        return members;
+    }
+
     generateVerificationCode() {
         return Math.floor(100000 + Math.random() * 900000).toString();
     }
 
-    async requestVerification(email) {
+    // Error the routes turn into a 429 with a Retry-After header
+    throttleError(message, retryAfter) {
+        const error = new Error(message);
+        error.status = 429;
+        error.retryAfter = retryAfter;
+        return error;
+    }
+
+    /**
+     * Counts a request against an hourly window and throws once the limit is passed.
+     */
+    async checkHourlyLimit(key, limit, message) {
+        const count = await redisClient.incr(key);
+        if (count === 1) {
+            await redisClient.expire(key, 60 * 60);
+        }
+        if (count > limit) {
+            const ttl = await redisClient.ttl(key);
+            throw this.throttleError(message, ttl > 0 ? ttl : 60 * 60);
+        }
+    }
+
+    async requestVerification(email, ip = null) {
         // for any  user even the admin, we need to request for verification
         console.log(`Verification requested for: ${email}`);
-        const count = await redisClient.SCARD(this.whitelistKey);
-        console.log(`Current whitelist has ${count} emails`);
+
+        // Checked before the whitelist so the endpoint cannot be used to probe emails quickly
+        if (ip) {
+            await this.checkHourlyLimit(
+                `verification_requests:ip:${ip}`,
+                this.config.maxRequestsPerIpPerHour,
+                'Too many verification requests from this network. Please try again later.'
+            );
+        }
         
-        if (!(await this.isEmailWhitelisted(email))) {
+        if (!(await this.isEmailAllowed(email))) {
             console.warn(`Email not authorized: ${email}`);
             throw new Error('Email not authorized');
         }
 
+        // SET NX only succeeds when no code was sent to this email within the cooldown
+        const cooldownKey = `verification_cooldown:${email}`;
+        const cooldownSet = await redisClient.set(cooldownKey, '1', { NX: true, EX: this.config.resendCooldownSeconds });
+        if (!cooldownSet) {
+            const ttl = await redisClient.ttl(cooldownKey);
+            throw this.throttleError('Please wait before requesting another code.', ttl > 0 ? ttl : this.config.resendCooldownSeconds);
+        }
+
+        await this.checkHourlyLimit(
+            `verification_requests:email:${email}`,
+            this.config.maxRequestsPerEmailPerHour,
+            'Too many verification codes requested for this email. Please try again later.'
+        );
+
         const code = this.generateVerificationCode();
         const hashedCode = await bcrypt.hash(code, 10);
         
-        // Store temporarily (expires in 10 minutes)
-        this.tempCodes[email] = {
-            code: hashedCode,
-            expires: Date.now() + 10 * 60 * 1000 // 10 minutes
-        };
+        // A new code replaces any previous one and resets the attempt count.
+        // Redis drops it on its own once the TTL passes.
+        const key = this.verificationKey(email);
+        await redisClient.del(key);
+        await redisClient.hSet(key, { code: hashedCode, attempts: 0, locked: 0 });
+        await redisClient.expire(key, this.config.codeTtlSeconds);
         
         console.log(`Generated verification code for ${email}`);
         
         // Send email
         const emailSent = await emailService.sendVerificationCode(email, code);
         if (!emailSent) {
+            await redisClient.del(key);
             throw new Error('Failed to send verification email');
         }
         
@@ -101,57 +214,246 @@ class AuthService {
         return true;
     }
 
-    getTempCodes() {
-        return this.tempCodes;
-    }
-
-    async verifyCode(email, code) {
+    async verifyCode(email, code, client = {}) {
         console.log(`Verifying code for: ${email}`);
         
-        const storedData = this.tempCodes[email];
+        const key = this.verificationKey(email);
+        const storedData = await redisClient.hGetAll(key);
         
-        if (!storedData) {
+        // Expired codes are removed by their TTL, so they look the same as missing ones
+        if (!storedData.code) {
             console.log(`No verification code found for: ${email}`);
-            throw new Error('No verification code found');
+            throw new Error('No verification code found or it has expired');
         }
-        
-        if (Date.now() > storedData.expires) {
-            delete this.tempCodes[email];
-            console.log(`Verification code expired for: ${email}`);
-            throw new Error('Verification code expired');
+
+        if (storedData.locked === '1') {
+            console.log(`Verification code locked for: ${email}`);
+            throw this.throttleError('Too many failed attempts. Please request a new code.', await redisClient.ttl(key));
         }
         
-        const isValid = await bcrypt.compare(code, storedData.code);
+        const isValid = await bcrypt.compare(String(code), storedData.code);
         if (!isValid) {
-            console.log(`Invalid verification code for: ${email}`);
+            // The code may have expired since it was read, and writing to the hash would
+            // then bring the key back without a TTL. EXPIRE NX gives such a key one again
+            // and leaves the TTL of a live code alone.
+            const [attempts] = await redisClient.multi()
+                .hIncrBy(key, 'attempts', 1)
+                .expire(key, this.config.codeTtlSeconds, 'NX')
+                .exec();
+            console.log(`Invalid verification code for: ${email} (attempt ${attempts})`);
+
+            if (attempts >= this.config.maxFailedAttempts) {
+                await redisClient.multi()
+                    .hSet(key, 'locked', 1)
+                    .expire(key, this.config.codeTtlSeconds, 'NX')
+                    .exec();
+                throw this.throttleError('Too many failed attempts. Please request a new code.', await redisClient.ttl(key));
+            }
             throw new Error('Invalid verification code');
         }
         
         // Clean up used code
-        delete this.tempCodes[email];
+        await redisClient.del(key);
 
-        const isAdmin = await this.isEmailAdmin(email);          
-        // Generate JWT token
-        const token = jwt.sign(
-            { email: email,
-                role: isAdmin ? "admin" : "user"
-             },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-        
+        const tokens = await this.createSession(email, client);
         console.log(`Successfully verified and generated token for: ${email}`);
-        return token;
+        return tokens;
     }
 
-    verifyToken(token) {
+    verifyToken(token, options = {}) {
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const decoded = jwt.verify(token, process.env.JWT_SECRET, options);
             return decoded;
         } catch (error) {
             throw new Error('Invalid token');
         }
     }
+
+    // --- Sessions and refresh tokens ---
+    //
+    // Each sign-in creates a session with a short-lived JWT access token and an
+    // opaque refresh token. Refresh tokens are stored hashed and rotated on every
+    // use. Revoking a session deletes it and denylists its ID for as long as an
+    // access token issued for it could still be valid.
+
+    sessionKey(sessionId) {
+        return `auth_session:${sessionId}`;
+    }
+
+    userSessionsKey(email) {
+        return `user_sessions:${email}`;
+    }
+
+    refreshTokenKey(refreshToken) {
+        return `refresh_token:${crypto.createHash('sha256').update(refreshToken).digest('hex')}`;
+    }
+
+    async issueAccessToken(email, sessionId) {
+        // The role claim is informational; requests re-read the current role from Redis
+        const role = await this.getRole(email);
+        return jwt.sign(
+            { email: email,
+                role: role,
+                sid: sessionId,
+                // `iat` only has whole seconds; revocation needs to tell apart a
+                // token issued just before a sign-out from one issued just after
+                iatMs: Date.now()
+             },
+            process.env.JWT_SECRET,
+            { expiresIn: this.config.accessTokenTtlSeconds, jwtid: crypto.randomUUID() }
+        );
+    }
+
+    async issueRefreshToken(email, sessionId) {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        await redisClient.set(
+            this.refreshTokenKey(refreshToken),
+            JSON.stringify({ email, sessionId }),
+            { EX: this.config.refreshTokenTtlSeconds }
+        );
+        return refreshToken;
+    }
+
+    /**
+     * Starts a new sign-in session.
+     * @param {string} email
+     * @param {object} client - { ip, userAgent } of the device signing in.
+     * @returns {object} - { token, refreshToken, expiresIn, sessionId }
+     */
+    async createSession(email, client = {}) {
+        const sessionId = crypto.randomUUID();
+        const refreshToken = await this.issueRefreshToken(email, sessionId);
+        const now = new Date().toISOString();
+
+        await redisClient.hSet(this.sessionKey(sessionId), {
+            id: sessionId,
+            email,
+            createdAt: now,
+            lastUsedAt: now,
+            ip: client.ip || '',
+            userAgent: client.userAgent || '',
+            refreshKey: this.refreshTokenKey(refreshToken)
+        });
+        await redisClient.expire(this.sessionKey(sessionId), this.config.refreshTokenTtlSeconds);
+        await redisClient.sAdd(this.userSessionsKey(email), sessionId);
+
+        return {
+            token: await this.issueAccessToken(email, sessionId),
+            refreshToken,
+            expiresIn: this.config.accessTokenTtlSeconds,
+            sessionId
+        };
+    }
+
+    /**
+     * Swaps a refresh token for a new access token and a new refresh token. The
+     * email is checked against the access rules again, so someone who lost
+     * access cannot keep refreshing.
+     */
+    async refreshSession(refreshToken) {
+        const key = this.refreshTokenKey(String(refreshToken || ''));
+        const stored = await redisClient.get(key);
+        if (!stored) throw new Error('Invalid or expired refresh token');
+
+        // Single use: the old refresh token stops working whatever happens next
+        await redisClient.del(key);
+        const { email, sessionId } = JSON.parse(stored);
+
+        const session = await redisClient.hGetAll(this.sessionKey(sessionId));
+        if (!session.id) throw new Error('Session has been revoked');
+
+        if (!(await this.isEmailAllowed(email))) {
+            await this.revokeSession(email, sessionId);
+            throw new Error('Email not authorized');
+        }
+
+        const newRefreshToken = await this.issueRefreshToken(email, sessionId);
+        await redisClient.hSet(this.sessionKey(sessionId), {
+            lastUsedAt: new Date().toISOString(),
+            refreshKey: this.refreshTokenKey(newRefreshToken)
+        });
+        await redisClient.expire(this.sessionKey(sessionId), this.config.refreshTokenTtlSeconds);
+
+        return {
+            token: await this.issueAccessToken(email, sessionId),
+            refreshToken: newRefreshToken,
+            expiresIn: this.config.accessTokenTtlSeconds,
+            sessionId
+        };
+    }
+
+    /**
+     * A user's active sessions, most recently used first.
+     * @returns {Array<object>} - { id, createdAt, lastUsedAt, ip, userAgent }
+     */
+    async listSessions(email) {
+        const sessionIds = await redisClient.sMembers(this.userSessionsKey(email));
+        const sessions = [];
+
+        for (const sessionId of sessionIds) {
+            const session = await redisClient.hGetAll(this.sessionKey(sessionId));
+            if (!session.id) {
+                // Expired on its own
+                await redisClient.sRem(this.userSessionsKey(email), sessionId);
+                continue;
+            }
+            const { refreshKey, ...details } = session;
+            sessions.push(details);
+        }
+
+        return sessions.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+    }
+
+    /**
+     * Ends one session immediately: its refresh token stops working and any
+     * access token issued for it is rejected by requireAuth.
+     * @returns {boolean} - False if the user has no such session.
+     */
+    async revokeSession(email, sessionId) {
+        const session = await redisClient.hGetAll(this.sessionKey(sessionId));
+        if (!session.id || session.email !== email) return false;
+
+        if (session.refreshKey) await redisClient.del(session.refreshKey);
+        await redisClient.del(this.sessionKey(sessionId));
+        await redisClient.sRem(this.userSessionsKey(email), sessionId);
+        await redisClient.set(`revoked_session:${sessionId}`, '1', { EX: this.config.accessTokenTtlSeconds });
+
+        console.log(`Session ${sessionId} of ${email} revoked.`);
+        return true;
+    }
+
+    /**
+     * Signs a user out everywhere. Tokens issued before this moment are rejected,
+     * including ones from before sessions were tracked.
+     * @returns {number} - How many sessions were ended.
+     */
+    async revokeAllSessions(email) {
+        const sessionIds = await redisClient.sMembers(this.userSessionsKey(email));
+        let revoked = 0;
+        for (const sessionId of sessionIds) {
+            if (await this.revokeSession(email, sessionId)) revoked++;
+        }
+
+        const ttl = Math.max(this.config.accessTokenTtlSeconds, this.config.legacyTokenTtlSeconds);
+        await redisClient.set(`revoked_user:${email}`, String(Date.now()), { EX: ttl });
+
+        console.log(`All sessions of ${email} revoked (${revoked}).`);
+        return revoked;
+    }
+
+    /**
+     * Checks the denylist for a decoded access token. Sign-outs are compared in
+     * milliseconds, so signing in again right after one is not caught by it.
+     */
+    async isTokenRevoked(decoded) {
+        if (decoded.sid && await redisClient.exists(`revoked_session:${decoded.sid}`)) {
+            return true;
+        }
+        const revokedAt = await redisClient.get(`revoked_user:${decoded.email}`);
+        // Tokens from before the millisecond claim fall back to the start of their second
+        const issuedAt = decoded.iatMs ?? decoded.iat * 1000;
+        return !!revokedAt && issuedAt <= parseInt(revokedAt);
+    }
 }
 
 export default new AuthService();
\ No newline at end of file
@@ -0,0 +1,324 @@
+import { marked } from 'marked';
+
+// Chunkers used by QdrantService when ingesting course material. Each returns
+// an array of { text, metadata } where metadata carries whatever structure the
+// source had (section title path, page number).
+
+export const SECTION_SEPARATOR = ' › ';
+
+/**
+ * Splits plain text into chunks of roughly maxChunkSize characters on sentence
+ * boundaries, keeping the punctuation. Consecutive chunks share about
+ * `overlap` characters of trailing words.
+ * @param {string} text
+ * @param {number} maxChunkSize
+ * @param {number} overlap
+ * @returns {string[]}
+ */
+export function chunkText(text, maxChunkSize = 1000, overlap = 100) {
+    const chunks = [];
+    // Split after sentence-ending punctuation that is followed by whitespace, so
+    // "List.map" or "3.14" are not broken apart
+    const sentences = text
+        .split(/(?<=[.!?])\s+|\n{2,}/)
+        .map(s => s.trim())
+        .filter(s => s.length > 0);
+
+    let currentChunk = '';
+
+    for (const sentence of sentences) {
+        if (currentChunk.length + sentence.length > maxChunkSize && currentChunk) {
+            chunks.push(currentChunk.trim());
+
+            // Start new chunk with overlap
+            const words = currentChunk.split(' ');
+            const overlapWords = words.slice(-Math.floor(overlap / 10));
+            currentChunk = overlapWords.join(' ') + ' ' + sentence;
+        } else {
+            currentChunk += (currentChunk ? ' ' : '') + sentence;
+        }
+    }
+
+    if (currentChunk.trim()) {
+        chunks.push(currentChunk.trim());
+    }
+
+    return chunks.length > 0 ? chunks : [text];
+}
+
+function sectionMetadata(sectionPath) {
+    return {
+        sectionPath: [...sectionPath],
+        section: sectionPath.length > 0 ? sectionPath.join(SECTION_SEPARATOR) : null
+    };
+}
+
+/**
+ * Chunks markdown along its heading hierarchy. A chunk never spans two
+ * sections, fenced code blocks are never split (an oversized block becomes a
+ * chunk of its own), and each chunk records the heading path it sits under.
+ * The path also opens the chunk's text, so a chunk whose body never names its
+ * topic is still embedded and keyword-matched under its headings.
+ * @param {string} markdown
+ * @param {number} maxChunkSize
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+export function chunkMarkdown(markdown, maxChunkSize = 1000) {
+    const tokens = marked.lexer(markdown);
+    const chunks = [];
+    const headingStack = []; // [{ depth, text }]
+    let blocks = [];
+    let blocksLength = 0;
+
+    const currentPath = () => headingStack.map(h => h.text);
+
+    const flush = () => {
+        if (blocks.length === 0) return;
+        const metadata = sectionMetadata(currentPath());
+        const body = blocks.join('\n\n');
+        chunks.push({ text: metadata.section ? `${metadata.section}\n\n${body}` : body, metadata });
+        blocks = [];
+        blocksLength = 0;
+    };
+
+    const addBlock = (block) => {
+        if (blocksLength + block.length > maxChunkSize && blocks.length > 0) flush();
+        blocks.push(block);
+        blocksLength += block.length;
+    };
+
+    for (const token of tokens) {
+        if (token.type === 'space') continue;
+
+        if (token.type === 'heading') {
+            flush();
+            while (headingStack.length > 0 && headingStack[headingStack.length - 1].depth >= token.depth) {
+                headingStack.pop();
+            }
+            headingStack.push({ depth: token.depth, text: token.text.trim() });
+            continue;
+        }
+
+        const block = token.raw.trim();
+        if (!block) continue;
+
+        if (token.type === 'code') {
+            // Keep code whole, together with its surrounding explanation when it fits
+            if (blocksLength + block.length > maxChunkSize) flush();
+            addBlock(block);
+        } else if (block.length > maxChunkSize) {
+            flush();
+            chunkText(block, maxChunkSize).forEach(addBlock);
+            flush();
+        } else {
+            addBlock(block);
+        }
+    }
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Chunks paginated text (e.g. a PDF) page by page so every chunk carries the
+ * page it came from.
+ * @param {string[]} pages - Text of each page, in order.
+ * @param {number} maxChunkSize
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+export function chunkPages(pages, maxChunkSize = 1000) {
+    const chunks = [];
+    pages.forEach((pageText, index) => {
+        if (!pageText.trim()) return;
+        for (const text of chunkText(pageText, maxChunkSize)) {
+            chunks.push({ text, metadata: { page: index + 1 } });
+        }
+    });
+    return chunks;
+}
+
+// Keywords that start a top-level OCaml item when they appear in column 0.
+// `and` is deliberately absent: it continues the previous definition.
+const OCAML_TOP_LEVEL = /^(let|type|module|exception|open|include|val|external|class|#)\b/;
+const OCAML_DEFINITION_NAME = /^(let(?:\s+rec)?|type(?:\s+nonrec)?|module(?:\s+type)?|exception|val|external|class)\s+([^\s=:]+)/;
+
+/**
+ * Records, for every line, whether it begins inside a comment or string and
+ * whether it opens a comment. Handles nested comments, string escapes and
+ * character literals so that a `let` inside a comment or string is not
+ * mistaken for a top-level definition.
+ */
+function scanOcamlLines(source) {
+    const lines = source.split('\n');
+    const info = [];
+    let depth = 0;
+    let inString = false;
+
+    for (const line of lines) {
+        const state = inString ? 'string' : depth > 0 ? 'comment' : 'code';
+        info.push({ state, startsComment: state === 'code' && line.startsWith('(*') });
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            const next = line[i + 1];
+
+            if (inString) {
+                if (ch === '\\') i++;
+                else if (ch === '"') inString = false;
+            } else if (ch === '(' && next === '*') {
+                depth++;
+                i++;
+            } else if (depth > 0 && ch === '*' && next === ')') {
+                depth--;
+                i++;
+            } else if (ch === '"') {
+                inString = true;
+            } else if (depth === 0 && ch === "'" && line[i + 2] === "'") {
+                i += 2; // character literal such as '"'
+            }
+        }
+    }
+    return { lines, info };
+}
+
+/**
+ * Chunks OCaml source (.ml / .mli) into one chunk per top-level definition.
+ * Comments directly above a definition (doc comments included) stay with it,
+ * consecutive `open`/`include` lines are grouped, and a definition is never
+ * split however long it is.
+ * @param {string} source
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+export function chunkOcaml(source) {
+    const { lines, info } = scanOcamlLines(source);
+
+    const boundaries = [];
+    lines.forEach((line, index) => {
+        if (info[index].state === 'code' && OCAML_TOP_LEVEL.test(line)) boundaries.push(index);
+    });
+
+    // Pull each boundary up over the comment block sitting directly above it
+    const starts = boundaries.map(boundary => {
+        let start = boundary;
+        for (let j = boundary - 1; j >= 0 && lines[j].trim() !== ''; j--) {
+            if (info[j].startsComment) start = j;
+            else if (info[j].state !== 'comment') break;
+        }
+        return { start, definitionLine: boundary };
+    });
+
+    const segments = [];
+    if (starts.length === 0 || starts[0].start > 0) {
+        const end = starts.length > 0 ? starts[0].start : lines.length;
+        segments.push({ start: 0, end, definitionLine: null });
+    }
+    starts.forEach((entry, index) => {
+        const end = index + 1 < starts.length ? starts[index + 1].start : lines.length;
+        segments.push({ ...entry, end });
+    });
+
+    const chunks = [];
+    for (const segment of segments) {
+        const text = lines.slice(segment.start, segment.end).join('\n').trim();
+        if (!text) continue;
+
+        const definition = segment.definitionLine !== null ? lines[segment.definitionLine] : '';
+        const isImport = /^(open|include)\b/.test(definition);
+        const previous = chunks[chunks.length - 1];
+
+        if (isImport && previous?.isImport) {
+            previous.text += '\n' + text;
+            continue;
+        }
+
+        const match = definition.match(OCAML_DEFINITION_NAME);
+        const name = match ? `${match[1].replace(/\s+/g, ' ')} ${match[2]}` : null;
+        chunks.push({
+            text,
+            isImport,
+            metadata: {
+                section: name,
+                definition: name,
+                startLine: segment.start + 1
+            }
+        });
+    }
+
+    return chunks.map(({ text, metadata }) => ({ text, metadata }));
+}
+
+function cellSource(cell) {
+    return Array.isArray(cell.source) ? cell.source.join('') : (cell.source || '');
+}
+
+/**
+ * Chunks a Jupyter notebook, keeping markdown and code cells interleaved in
+ * their original order. Headings in markdown cells start a new chunk and set
+ * the section path, code cells are fenced with the notebook's language and
+ * never split, and each chunk records which cells it holds and their tags.
+ * @param {object} notebook - Parsed .ipynb JSON.
+ * @param {number} maxChunkSize
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+export function chunkNotebook(notebook, maxChunkSize = 1000) {
+    const language = notebook.metadata?.language_info?.name || notebook.metadata?.kernelspec?.language || '';
+    const chunks = [];
+    const headingStack = [];
+    let cells = [];
+    let cellsLength = 0;
+
+    const flush = () => {
+        if (cells.length === 0) return;
+        chunks.push({
+            text: cells.map(c => c.text).join('\n\n'),
+            metadata: {
+                ...sectionMetadata(headingStack.map(h => h.text)),
+                cellIndices: cells.map(c => c.index),
+                cellTypes: cells.map(c => c.type),
+                cellTags: [...new Set(cells.flatMap(c => c.tags))]
+            }
+        });
+        cells = [];
+        cellsLength = 0;
+    };
+
+    const addCell = (cell) => {
+        if (cellsLength + cell.text.length > maxChunkSize && cells.length > 0) flush();
+        cells.push(cell);
+        cellsLength += cell.text.length;
+    };
+
+    (notebook.cells || []).forEach((cell, index) => {
+        const source = cellSource(cell).trim();
+        if (!source || (cell.cell_type !== 'markdown' && cell.cell_type !== 'code')) return;
+
+        const tags = cell.metadata?.tags || [];
+
+        if (cell.cell_type === 'code') {
+            addCell({ index, type: 'code', tags, text: `\`\`\`${language}\n${source}\n\`\`\`` });
+            return;
+        }
+
+        const headings = marked.lexer(source).filter(token => token.type === 'heading');
+        if (headings.length > 0) {
+            flush();
+            for (const heading of headings) {
+                while (headingStack.length > 0 && headingStack[headingStack.length - 1].depth >= heading.depth) {
+                    headingStack.pop();
+                }
+                headingStack.push({ depth: heading.depth, text: heading.text.trim() });
+            }
+        }
+
+        if (source.length > maxChunkSize) {
+            flush();
+            chunkText(source, maxChunkSize).forEach(text => addCell({ index, type: 'markdown', tags, text }));
+            flush();
+        } else {
+            addCell({ index, type: 'markdown', tags, text: source });
+        }
+    });
+    flush();
+
+    return chunks;
+}
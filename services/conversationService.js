@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import { Logger } from '../logger.js';
+import { redisClient, withWatch } from '../redisClient.js';
+
+const logger = new Logger();
+
+const DEFAULT_TITLE = 'New conversation';
+const TITLE_MAX_LENGTH = 80;
+
+/**
+ * Stores each user's conversations in Redis so they outlive the browser
+ * session and follow the user across devices.
+ *
+ * Keys:
+ *   conversation:{id}          hash - id, userEmail, title, createdAt, updatedAt, history (JSON)
+ *   user_conversations:{email} sorted set of conversation IDs scored by last update
+ */
+class ConversationService {
+    constructor() {
+        this.config = {
+            // Conversations untouched for this long are dropped by Redis
+            ttlSeconds: (parseInt(process.env.CONVERSATION_TTL_DAYS) || 180) * 24 * 60 * 60,
+            maxPerUser: parseInt(process.env.CONVERSATION_LIMIT) || 50
+        };
+    }
+
+    conversationKey(conversationId) {
+        return `conversation:${conversationId}`;
+    }
+
+    userKey(email) {
+        return `user_conversations:${email}`;
+    }
+
+    #toSummary(hash) {
+        const history = JSON.parse(hash.history || '[]');
+        return {
+            id: hash.id,
+            title: hash.title,
+            createdAt: hash.createdAt,
+            updatedAt: hash.updatedAt,
+            messageCount: history.length
+        };
+    }
+
+    /**
+     * Lists a user's conversations, most recently used first.
+     * @param {string} email
+     * @returns {Array<object>} - { id, title, createdAt, updatedAt, messageCount }
+     */
+    async listConversations(email) {
+        try {
+            const ids = await redisClient.zRange(this.userKey(email), 0, -1, { REV: true });
+            const conversations = [];
+            const expired = [];
+
+            for (const id of ids) {
+                const hash = await redisClient.hGetAll(this.conversationKey(id));
+                if (!hash.id) expired.push(id);
+                else conversations.push(this.#toSummary(hash));
+            }
+
+            // The conversation hash expired on its own; drop it from the index too
+            if (expired.length > 0) await redisClient.zRem(this.userKey(email), expired);
+
+            return conversations;
+        } catch (error) {
+            logger.error('Failed to list conversations', { email, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Creates an empty conversation for a user. The oldest conversations are
+     * deleted once the user has more than the configured maximum.
+     * @param {string} email
+     * @param {string} title - Optional; the first question becomes the title otherwise.
+     * @returns {object} - The conversation summary.
+     */
+    async createConversation(email, title = '') {
+        try {
+            const now = new Date().toISOString();
+            const conversation = {
+                id: crypto.randomUUID(),
+                userEmail: email,
+                title: this.#cleanTitle(title) || DEFAULT_TITLE,
+                createdAt: now,
+                updatedAt: now,
+                history: '[]'
+            };
+
+            await redisClient.hSet(this.conversationKey(conversation.id), conversation);
+            await redisClient.expire(this.conversationKey(conversation.id), this.config.ttlSeconds);
+            await redisClient.zAdd(this.userKey(email), { score: Date.now(), value: conversation.id });
+            await redisClient.expire(this.userKey(email), this.config.ttlSeconds);
+            await this.#enforceLimit(email);
+
+            logger.info('Conversation created', { email, conversationId: conversation.id });
+            return this.#toSummary(conversation);
+        } catch (error) {
+            logger.error('Failed to create conversation', { email, error: error.message });
+            throw error;
+        }
+    }
+
+    async #enforceLimit(email) {
+        const count = await redisClient.zCard(this.userKey(email));
+        if (count <= this.config.maxPerUser) return;
+
+        const oldest = await redisClient.zRange(this.userKey(email), 0, count - this.config.maxPerUser - 1);
+        for (const id of oldest) {
+            await redisClient.del(this.conversationKey(id));
+        }
+        await redisClient.zRem(this.userKey(email), oldest);
+        logger.info('Oldest conversations removed over the per-user limit', { email, removed: oldest.length });
+    }
+
+    /**
+     * Loads a conversation with its history, provided it belongs to the user.
+     * @param {string} email
+     * @param {string} conversationId
+     * @returns {object|null} - The summary plus `history`, or null if not found.
+     */
+    async getConversation(email, conversationId) {
+        try {
+            if (!conversationId) return null;
+            const hash = await redisClient.hGetAll(this.conversationKey(conversationId));
+            if (!hash.id || hash.userEmail !== email) return null;
+
+            return { ...this.#toSummary(hash), history: JSON.parse(hash.history || '[]') };
+        } catch (error) {
+            logger.error('Failed to load conversation', { email, conversationId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Replaces the history of a conversation. New messages should go through
+     * appendMessages(), which keeps messages added in the meantime. A
+     * conversation still carrying the default title is named after the prompt.
+     * @param {string} email
+     * @param {string} conversationId
+     * @param {Array} history - Chat history in the LLM service's storage format.
+     * @param {string} prompt - The question that produced this history.
+     */
+    async saveHistory(email, conversationId, history, prompt = '') {
+        try {
+            const conversation = await this.getConversation(email, conversationId);
+            if (!conversation) throw new Error('Conversation not found');
+
+            const fields = {
+                history: JSON.stringify(history),
+                updatedAt: new Date().toISOString()
+            };
+            if (conversation.title === DEFAULT_TITLE && prompt) {
+                fields.title = this.#cleanTitle(prompt);
+            }
+
+            await redisClient.hSet(this.conversationKey(conversationId), fields);
+            await redisClient.expire(this.conversationKey(conversationId), this.config.ttlSeconds);
+            await redisClient.zAdd(this.userKey(email), { score: Date.now(), value: conversationId });
+            await redisClient.expire(this.userKey(email), this.config.ttlSeconds);
+        } catch (error) {
+            logger.error('Failed to save conversation history', { email, conversationId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Adds messages to the end of a conversation: a finished exchange with the
+     * model, or a message to or from a TA during a handoff. The history is
+     * watched while it is extended, so messages added at the same time (a TA
+     * replying while a reply streams) are all kept. A conversation still
+     * carrying the default title is named after the first user message.
+     * @param {string} email - The student who owns the conversation.
+     * @param {string} conversationId
+     * @param {Array} messages - Entries in the LLM service's storage format.
+     * @returns {boolean} - False if the conversation was not found.
+     */
+    async appendMessages(email, conversationId, messages) {
+        const key = this.conversationKey(conversationId);
+
+        try {
+            const appended = await withWatch(key, async client => {
+                const hash = await client.hGetAll(key);
+                if (!hash.id || hash.userEmail !== email) return false;
+
+                const fields = {
+                    history: JSON.stringify([...JSON.parse(hash.history || '[]'), ...messages]),
+                    updatedAt: new Date().toISOString()
+                };
+                const prompt = messages.find(message => message.role === 'user')?.parts?.[0]?.text || '';
+                if (hash.title === DEFAULT_TITLE && prompt) {
+                    fields.title = this.#cleanTitle(prompt);
+                }
+
+                await client.multi()
+                    .hSet(key, fields)
+                    .expire(key, this.config.ttlSeconds)
+                    .exec();
+                return true;
+            });
+            if (!appended) return false;
+
+            await redisClient.zAdd(this.userKey(email), { score: Date.now(), value: conversationId });
+            await redisClient.expire(this.userKey(email), this.config.ttlSeconds);
+            return true;
+        } catch (error) {
+            logger.error('Failed to append to conversation', { email, conversationId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {object|null} - The renamed conversation summary, or null if not found.
+     */
+    async renameConversation(email, conversationId, title) {
+        try {
+            const conversation = await this.getConversation(email, conversationId);
+            if (!conversation) return null;
+
+            const cleanTitle = this.#cleanTitle(title);
+            if (!cleanTitle) throw new Error('Title cannot be empty');
+
+            await redisClient.hSet(this.conversationKey(conversationId), 'title', cleanTitle);
+            logger.info('Conversation renamed', { email, conversationId });
+            const { history, ...summary } = conversation;
+            return { ...summary, title: cleanTitle };
+        } catch (error) {
+            logger.error('Failed to rename conversation', { email, conversationId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {boolean} - False if the conversation was not found.
+     */
+    async deleteConversation(email, conversationId) {
+        try {
+            const conversation = await this.getConversation(email, conversationId);
+            if (!conversation) return false;
+
+            await redisClient.del(this.conversationKey(conversationId));
+            await redisClient.zRem(this.userKey(email), conversationId);
+            logger.info('Conversation deleted', { email, conversationId });
+            return true;
+        } catch (error) {
+            logger.error('Failed to delete conversation', { email, conversationId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Empties a conversation's history but keeps the thread.
+     * @returns {boolean} - False if the conversation was not found.
+     */
+    async clearHistory(email, conversationId) {
+        const conversation = await this.getConversation(email, conversationId);
+        if (!conversation) return false;
+
+        await this.saveHistory(email, conversationId, []);
+        return true;
+    }
+
+    #cleanTitle(title) {
+        const clean = String(title || '').replace(/\s+/g, ' ').trim();
+        return clean.length > TITLE_MAX_LENGTH ? `${clean.slice(0, TITLE_MAX_LENGTH - 1)}…` : clean;
+    }
+}
+
+export { ConversationService };
@@ -0,0 +1,19 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A date without a time part, as sent by <input type="date">
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Millisecond bounds of an inclusive from/to filter. Missing bounds are open.
+ * A `to` that is a bare date covers the whole of that day (UTC) instead of
+ * stopping at its midnight. Unparseable bounds come back as NaN for the caller
+ * to reject.
+ * @param {string} from
+ * @param {string} to
+ * @returns {object} - { min, max }
+ */
+export function dateRangeBounds(from, to) {
+    const min = from ? Date.parse(from) : -Infinity;
+    let max = to ? Date.parse(to) : Infinity;
+    if (to && DATE_ONLY.test(String(to).trim())) max += DAY_MS - 1;
+    return { min, max };
+}
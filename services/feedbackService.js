@@ -1,12 +1,28 @@
+import crypto from 'crypto';
 import { Logger } from '../logger.js';
 import EmailService from './emailService.js';
 import authService from './authService.js';
-import { redisClient } from '../redisClient.js';
+import { redisClient, withWatch } from '../redisClient.js';
+import { dateRangeBounds } from './dateRange.js';
 // add REST APIs for all the admin friendly functions to the server code
 
 
 const logger = new Logger();
 
+const REPORT_STATUSES = ['pending', 'reviewed', 'resolved', 'dismissed'];
+const MESSAGE_MAX_LENGTH = 5000;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+// Reports the tutor files about a student's conversation for staff to review;
+// the student neither sees them nor can reply to them
+const SYSTEM_REPORT_TYPES = ['solution_leak'];
+
+function reportError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
 class FeedbackService {
     constructor() {
         this.config = {
@@ -55,7 +71,12 @@ class FeedbackService {
                 description,
                 conversationHistory: this.formatConversationForReport(conversationHistory),
                 status: 'pending',
-                priority: this.determinePriority(attackType)
+                priority: this.determinePriority(attackType),
+                assignee: null,
+                // Internal notes are only ever shown to staff; replies are shown to the student too
+                notes: [],
+                replies: [],
+                statusHistory: [{ from: null, to: 'pending', by: userEmail, at: new Date().toISOString() }]
             };
 
             // Convert the report object to a JSON string.
@@ -87,23 +108,109 @@ class FeedbackService {
         }
     }
 
+    async #readReports() {
+        const reportStrings = await redisClient.lRange(this.reportsKey, 0, -1);
+        return reportStrings.map(reportJson => JSON.parse(reportJson));
+    }
+
+    /**
+     * Applies a change to one report and writes it back in place. The list is
+     * watched, so a report submitted or changed in the meantime makes the
+     * update start over instead of overwriting the wrong entry or the other
+     * change; mutate may therefore run more than once.
+     * @param {string} reportId
+     * @param {Function} mutate - Receives the report and changes it.
+     * @returns {object} - The updated report.
+     */
+    async #updateReport(reportId, mutate) {
+        return withWatch(this.reportsKey, async client => {
+            const reports = (await client.lRange(this.reportsKey, 0, -1)).map(reportJson => JSON.parse(reportJson));
+            const reportIndex = reports.findIndex(r => r.id === reportId);
+            if (reportIndex === -1) {
+                throw reportError('Report not found', 404);
+            }
+
+            const report = reports[reportIndex];
+            mutate(report);
+            report.updatedAt = new Date().toISOString();
+
+            // LSET updates an element at a specific index in the list.
+            await client.multi().lSet(this.reportsKey, reportIndex, JSON.stringify(report)).exec();
+            return report;
+        });
+    }
+
+    #cleanMessage(body) {
+        const text = String(body || '').trim();
+        if (!text) throw reportError('Message cannot be empty', 400);
+        if (text.length > MESSAGE_MAX_LENGTH) {
+            throw reportError(`Message too long. Please keep it under ${MESSAGE_MAX_LENGTH} characters.`, 400);
+        }
+        return text;
+    }
+
     /**
      * Retrieves all feedback reports from Redis.
      * @param {number} limit - The maximum number of reports to retrieve.
      * @returns {Array} - An array of report objects.
      */
     async getAllReports(limit = 50, status = null) {
-        try {
-            // LRANGE retrieves all elements to filter them in the app.
-            const reportStrings = await redisClient.lRange(this.reportsKey, 0, -1);
-            let reports = reportStrings.map(reportJson => JSON.parse(reportJson));
+        const { reports } = await this.queryReports({ status }, { limit });
+        return reports;
+    }
 
-            if (status) {
-                reports = reports.filter(report => report.status === status);
-            }
+    /**
+     * Finds reports matching the filters, newest first, one page at a time.
+     * @param {object} filters
+     * @param {string} filters.status
+     * @param {string} filters.type - The report's attackType.
+     * @param {string} filters.priority
+     * @param {string} filters.assignee - An email, or "unassigned".
+     * @param {string} filters.q - Text searched in the description, reporter, replies and notes.
+     * @param {string} filters.from - Earliest submission date (inclusive).
+     * @param {string} filters.to - Latest submission date (inclusive; a bare date includes that whole day).
+     * @returns {object} - { reports, total, limit, offset }
+     */
+    async queryReports({ status, type, priority, assignee, q, from, to } = {}, { limit, offset } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const start = Math.max(parseInt(offset) || 0, 0);
+        const { min, max } = dateRangeBounds(from, to);
+        if (Number.isNaN(min) || Number.isNaN(max)) {
+            throw reportError('from and to must be valid dates', 400);
+        }
+
+        try {
+            const search = String(q || '').trim().toLowerCase();
+            const assigneeFilter = String(assignee || '').trim().toLowerCase();
 
             // The list is already sorted newest first due to LPUSH.
-            return reports.slice(0, limit);
+            const reports = (await this.#readReports()).filter(report => {
+                const submitted = Date.parse(report.timestamp);
+                if (status && report.status !== status) return false;
+                if (type && report.attackType !== type) return false;
+                if (priority && report.priority !== priority) return false;
+                if (assigneeFilter === 'unassigned' && report.assignee) return false;
+                if (assigneeFilter && assigneeFilter !== 'unassigned' && (report.assignee || '').toLowerCase() !== assigneeFilter) return false;
+                if (submitted < min || submitted > max) return false;
+                if (search) {
+                    const haystack = [
+                        report.id,
+                        report.userEmail,
+                        report.description,
+                        ...(report.replies || []).map(reply => reply.body),
+                        ...(report.notes || []).map(note => note.body)
+                    ].join('\n').toLowerCase();
+                    if (!haystack.includes(search)) return false;
+                }
+                return true;
+            });
+
+            return {
+                reports: reports.slice(start, start + pageSize),
+                total: reports.length,
+                limit: pageSize,
+                offset: start
+            };
         } catch (error) {
             logger.error('Failed to get all reports from Redis', { error: error.message });
             throw error;
@@ -111,40 +218,152 @@ class FeedbackService {
     }
 
     /**
-     * Updates the status of a specific report.
+     * @returns {object|null} - The full report, or null if it does not exist.
+     */
+    async getReport(reportId) {
+        const reports = await this.#readReports();
+        return reports.find(report => report.id === reportId) || null;
+    }
+
+    /**
+     * Updates the status of a specific report and records the change in its
+     * status history.
      * @param {string} reportId - The ID of the report to update.
      * @param {string} status - The new status.
      * @param {string} adminEmail - The email of the admin making the change.
+     * @param {string} note - Optional reason for the change, kept in the history.
      * @returns {object} - A success object.
      */
-    async updateReportStatus(reportId, status, adminEmail) {
+    async updateReportStatus(reportId, status, adminEmail, note = '') {
         try {
-            const validStatuses = ['pending', 'reviewed', 'resolved', 'dismissed'];
-            if (!validStatuses.includes(status)) {
-                throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+            if (!REPORT_STATUSES.includes(status)) {
+                throw reportError(`Invalid status. Must be one of: ${REPORT_STATUSES.join(', ')}`, 400);
             }
 
-            const reportStrings = await redisClient.lRange(this.reportsKey, 0, -1);
-            const reports = reportStrings.map(r => JSON.parse(r));
-            const reportIndex = reports.findIndex(r => r.id === reportId);
+            let previousStatus;
+            await this.#updateReport(reportId, report => {
+                previousStatus = report.status;
+                report.status = status;
+                report.updatedBy = adminEmail;
+                report.statusHistory = [
+                    ...(report.statusHistory || []),
+                    { from: previousStatus, to: status, by: adminEmail, at: new Date().toISOString(), note: String(note || '').trim() }
+                ];
+            });
 
-            if (reportIndex === -1) {
-                throw new Error('Report not found');
+            logger.info('Report status updated in Redis', { reportId, status, adminEmail });
+
+            return { success: true, reportId, previousStatus, newStatus: status };
+        } catch (error) {
+            logger.error('Failed to update report status in Redis', { reportId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Assigns a report to a member of staff, or unassigns it. The assignee is
+     * emailed.
+     * @param {string} reportId
+     * @param {string|null} assignee - Email of a TA, instructor or admin; null to unassign.
+     * @param {string} adminEmail - Who made the assignment.
+     * @returns {object} - { report, previousAssignee }
+     */
+    async assignReport(reportId, assignee, adminEmail) {
+        try {
+            const email = assignee ? String(assignee).trim().toLowerCase() : null;
+            if (email && await authService.getRole(email) === 'student') {
+                throw reportError('Reports can only be assigned to a TA, instructor or admin', 400);
             }
 
-            // Update the report object
-            reports[reportIndex].status = status;
-            reports[reportIndex].updatedAt = new Date().toISOString();
-            reports[reportIndex].updatedBy = adminEmail;
+            let previousAssignee;
+            const report = await this.#updateReport(reportId, report => {
+                previousAssignee = report.assignee || null;
+                report.assignee = email;
+                report.assignedBy = adminEmail;
+                report.assignedAt = new Date().toISOString();
+            });
 
-            // LSET updates an element at a specific index in the list.
-            await redisClient.lSet(this.reportsKey, reportIndex, JSON.stringify(reports[reportIndex]));
+            logger.info('Report assigned', { reportId, assignee: email, adminEmail });
+            if (email && email !== adminEmail) await this.sendAssignmentNotification(report, adminEmail);
 
-            logger.info('Report status updated in Redis', { reportId, status, adminEmail });
+            return { report, previousAssignee };
+        } catch (error) {
+            logger.error('Failed to assign report', { reportId, error: error.message });
+            throw error;
+        }
+    }
 
-            return { success: true, reportId, newStatus: status };
+    /**
+     * Adds an internal note to a report. Notes are never shown to the student.
+     * @returns {object} - The note.
+     */
+    async addNote(reportId, body, authorEmail) {
+        const note = {
+            id: crypto.randomUUID(),
+            author: authorEmail,
+            body: this.#cleanMessage(body),
+            createdAt: new Date().toISOString()
+        };
+
+        await this.#updateReport(reportId, report => {
+            report.notes = [...(report.notes || []), note];
+        });
+        logger.info('Internal note added to report', { reportId, author: authorEmail });
+        return note;
+    }
+
+    /**
+     * Adds a reply to a report's thread. Staff replies are emailed to the
+     * student; a student's reply is emailed to the assignee, if there is one.
+     * @param {string} reportId
+     * @param {string} body
+     * @param {string} authorEmail
+     * @param {boolean} fromStaff - True for staff, false for the student who filed the report.
+     * @returns {object} - The reply.
+     */
+    async addReply(reportId, body, authorEmail, fromStaff) {
+        const reply = {
+            id: crypto.randomUUID(),
+            author: authorEmail,
+            fromStaff: !!fromStaff,
+            body: this.#cleanMessage(body),
+            createdAt: new Date().toISOString()
+        };
+
+        const report = await this.#updateReport(reportId, report => {
+            if (!fromStaff && (report.userEmail !== authorEmail || SYSTEM_REPORT_TYPES.includes(report.attackType))) {
+                throw reportError('Report not found', 404);
+            }
+            report.replies = [...(report.replies || []), reply];
+        });
+        logger.info('Reply added to report', { reportId, author: authorEmail, fromStaff: !!fromStaff });
+
+        if (fromStaff) await this.sendReplyNotification(report, reply, report.userEmail);
+        else if (report.assignee) await this.sendReplyNotification(report, reply, report.assignee);
+
+        return reply;
+    }
+
+    /**
+     * A student's own reports as they may see them: status and the reply
+     * thread, without internal notes, assignment or conversation history.
+     * @param {string} email
+     * @returns {Array<object>}
+     */
+    async getReportsForUser(email) {
+        try {
+            const reports = (await this.#readReports())
+                .filter(report => report.userEmail === email && !SYSTEM_REPORT_TYPES.includes(report.attackType));
+            return reports.map(report => ({
+                id: report.id,
+                timestamp: report.timestamp,
+                description: report.description,
+                status: report.status,
+                updatedAt: report.updatedAt || report.timestamp,
+                replies: report.replies || []
+            }));
         } catch (error) {
-            logger.error('Failed to update report status in Redis', { reportId, error: error.message });
+            logger.error('Failed to get user reports from Redis', { email, error: error.message });
             throw error;
         }
     }
@@ -201,7 +420,7 @@ class FeedbackService {
     }
 
     determinePriority(attackType) {
-        const highPriorityTypes = ['jailbreak_attempt', 'prompt_injection', 'system_manipulation'];
+        const highPriorityTypes = ['jailbreak_attempt', 'prompt_injection', 'system_manipulation', 'solution_leak'];
         const mediumPriorityTypes = ['answer_seeking', 'academic_dishonesty'];
         if (highPriorityTypes.includes(attackType)) return 'high';
         if (mediumPriorityTypes.includes(attackType)) return 'medium';
@@ -225,6 +444,41 @@ class FeedbackService {
         }
     }
 
+    async sendAssignmentNotification(report, assignedBy) {
+        try {
+            const subject = `ICS TA Bot Report assigned to you - ${report.attackType} (${report.priority.toUpperCase()})`;
+            const htmlContent = `
+                <p>${this.escapeHtml(assignedBy)} assigned you a feedback report.</p>
+                ${this.generateEmailContent(report)}`;
+            await EmailService.sendEmail(report.assignee, subject, htmlContent);
+            logger.info('Assignment notification sent', { reportId: report.id, assignee: report.assignee });
+        } catch (error) {
+            logger.error('Failed to send assignment notification', { reportId: report.id, error: error.message });
+        }
+    }
+
+    async sendReplyNotification(report, reply, recipient) {
+        try {
+            const subject = reply.fromStaff
+                ? 'ICS TA Bot - A TA replied to your feedback'
+                : `ICS TA Bot Report - ${report.userEmail} replied`;
+            const htmlContent = `
+                <body style="font-family: Arial, sans-serif; line-height: 1.6;">
+                    <div style="max-width: 800px; margin: 20px auto; padding: 20px; border: 1px solid #ddd; border-radius: 10px;">
+                        <p><strong>${this.escapeHtml(reply.author)}</strong> wrote:</p>
+                        <div style="padding: 15px; background: #f8f9fa; border-radius: 8px;">${this.escapeHtml(reply.body)}</div>
+                        <h3>Original feedback</h3>
+                        <p>${this.escapeHtml(report.description)}</p>
+                        <p style="color: #666; font-size: 0.9em;">Open ICS TA Bot and choose "My Reports" to see the whole thread and reply.</p>
+                    </div>
+                </body>`;
+            await EmailService.sendEmail(recipient, subject, htmlContent);
+            logger.info('Reply notification sent', { reportId: report.id, to: recipient });
+        } catch (error) {
+            logger.error('Failed to send reply notification', { reportId: report.id, error: error.message });
+        }
+    }
+
     escapeHtml(text) {
         if (!text) return '';
         return text
@@ -267,4 +521,4 @@ class FeedbackService {
     }
 }
 
-export { FeedbackService };
+export { FeedbackService, SYSTEM_REPORT_TYPES };
@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import { Logger } from '../logger.js';
+import { redisClient, withWatch } from '../redisClient.js';
+import EmailService from './emailService.js';
+
+const logger = new Logger();
+
+const REQUEST_STATUSES = ['open', 'claimed', 'resolved', 'cancelled'];
+// Open and claimed requests are in the queue; the others are closed
+const ACTIVE_STATUSES = ['open', 'claimed'];
+const MESSAGE_MAX_LENGTH = 2000;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+function helpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/\n/g, '<br>');
+}
+
+/**
+ * Hands a conversation over from the bot to a human TA. A student who has
+ * run out of hints opens a help request with their conversation attached;
+ * TAs who are on duty see it in the queue and are emailed about it. Once a
+ * TA claims the request the bot is paused for that conversation: the
+ * student's messages go to the TA and the TA's replies are added to the same
+ * chat thread, with an email to the student. Resolving or cancelling the
+ * request hands the conversation back to the bot.
+ *
+ * Keys:
+ *   help_requests         hash - requestId -> JSON
+ *   help_requests:active  hash - conversationId -> ID of its open or claimed request
+ *   help_duty             hash - email of each on-duty TA -> when they went on duty
+ */
+class HelpRequestService {
+    /**
+     * @param {object} options - { conversationService: ConversationService, used to add TA replies to the thread }
+     */
+    constructor({ conversationService }) {
+        this.conversationService = conversationService;
+        this.requestsKey = 'help_requests';
+        this.activeKey = 'help_requests:active';
+        this.dutyKey = 'help_duty';
+    }
+
+    async getRequest(requestId) {
+        const stored = await redisClient.hGet(this.requestsKey, requestId);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    /**
+     * The open or claimed request for a conversation, if there is one.
+     */
+    async getActiveRequest(conversationId) {
+        if (!conversationId) return null;
+        const requestId = await redisClient.hGet(this.activeKey, conversationId);
+        return requestId ? this.getRequest(requestId) : null;
+    }
+
+    async #save(request) {
+        await redisClient.hSet(this.requestsKey, request.id, JSON.stringify(request));
+    }
+
+    /**
+     * Applies a change to a request and stores it. The requests are watched
+     * while the change is made, so of two TAs claiming at once only one
+     * succeeds, and a timestamp update cannot undo a close landing with it.
+     * @param {Function} mutate - Receives the request; may throw to reject the change.
+     * @returns {object} - { request, previous }
+     */
+    async #update(requestId, mutate) {
+        return withWatch(this.requestsKey, async client => {
+            const stored = await client.hGet(this.requestsKey, requestId);
+            if (!stored) throw helpError('Help request not found', 404);
+
+            const previous = JSON.parse(stored);
+            const request = structuredClone(previous);
+            mutate(request);
+            request.updatedAt = new Date().toISOString();
+
+            const transaction = client.multi().hSet(this.requestsKey, request.id, JSON.stringify(request));
+            if (!ACTIVE_STATUSES.includes(request.status)) {
+                transaction.hDel(this.activeKey, request.conversationId);
+            }
+            await transaction.exec();
+            return { request, previous };
+        });
+    }
+
+    /**
+     * Opens a help request for a conversation. A conversation has at most one
+     * active request; asking again returns that one.
+     * @param {string} userEmail - The student asking for help.
+     * @param {object} conversation - The conversation summary from ConversationService.
+     * @param {object} details - { reason, note }; reason says why the student was offered a TA.
+     * @returns {object} - { created, request }
+     */
+    async createRequest(userEmail, conversation, { reason = 'student', note = '' } = {}) {
+        const cleanNote = String(note || '').trim();
+        if (cleanNote.length > MESSAGE_MAX_LENGTH) {
+            throw helpError(`Message too long. Please keep it under ${MESSAGE_MAX_LENGTH} characters.`, 400);
+        }
+
+        const now = new Date().toISOString();
+        const request = {
+            id: `help_${crypto.randomUUID()}`,
+            conversationId: conversation.id,
+            conversationTitle: conversation.title,
+            userEmail,
+            reason,
+            note: cleanNote,
+            status: 'open',
+            createdAt: now,
+            updatedAt: now,
+            claimedBy: null,
+            claimedAt: null,
+            closedBy: null,
+            closedAt: null,
+            lastStaffReplyAt: null,
+            lastStudentMessageAt: null
+        };
+
+        try {
+            // HSETNX so that two clicks cannot open two requests for one conversation
+            const reserved = await redisClient.hSetNX(this.activeKey, conversation.id, request.id);
+            if (!reserved) {
+                return { created: false, request: await this.getActiveRequest(conversation.id) };
+            }
+
+            await this.#save(request);
+            logger.info('Help request opened', { requestId: request.id, userEmail, conversationId: conversation.id, reason });
+            await this.#notifyOnDuty(request);
+            return { created: true, request };
+        } catch (error) {
+            logger.error('Failed to open help request', { userEmail, conversationId: conversation.id, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Requests in the queue, oldest first, or closed ones, newest first.
+     * @param {object} filters - { status: one of REQUEST_STATUSES, or "active" (the default) for open and claimed }
+     * @returns {object} - { requests, total, limit, offset }
+     */
+    async listRequests({ status = 'active' } = {}, { limit, offset } = {}) {
+        if (status !== 'active' && !REQUEST_STATUSES.includes(status)) {
+            throw helpError(`Status must be "active" or one of: ${REQUEST_STATUSES.join(', ')}`, 400);
+        }
+        const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const start = Math.max(parseInt(offset) || 0, 0);
+        const statuses = status === 'active' ? ACTIVE_STATUSES : [status];
+
+        try {
+            const stored = await redisClient.hGetAll(this.requestsKey);
+            const requests = Object.values(stored)
+                .map(json => JSON.parse(json))
+                .filter(request => statuses.includes(request.status))
+                .sort((a, b) => statuses.every(s => ACTIVE_STATUSES.includes(s))
+                    ? a.createdAt.localeCompare(b.createdAt)
+                    : b.updatedAt.localeCompare(a.updatedAt));
+
+            return { requests: requests.slice(start, start + pageSize), total: requests.length, limit: pageSize, offset: start };
+        } catch (error) {
+            logger.error('Failed to list help requests', { error: error.message });
+            throw error;
+        }
+    }
+
+    async isOnDuty(email) {
+        return Boolean(await redisClient.hGet(this.dutyKey, email));
+    }
+
+    /**
+     * @returns {Array<object>} - { email, since } for each on-duty TA.
+     */
+    async listOnDuty() {
+        const duty = await redisClient.hGetAll(this.dutyKey);
+        return Object.entries(duty).map(([email, since]) => ({ email, since }));
+    }
+
+    async setOnDuty(email, onDuty) {
+        if (onDuty) await redisClient.hSet(this.dutyKey, email, new Date().toISOString());
+        else await redisClient.hDel(this.dutyKey, email);
+        logger.info(onDuty ? 'TA went on duty' : 'TA went off duty', { email });
+    }
+
+    /**
+     * Claims an open request for an on-duty TA, pausing the bot for its conversation.
+     * @returns {object} - { request, previous }
+     */
+    async claimRequest(requestId, taEmail) {
+        if (!await this.isOnDuty(taEmail)) {
+            throw helpError('Go on duty before claiming help requests', 403);
+        }
+
+        const result = await this.#update(requestId, request => {
+            if (request.status !== 'open') {
+                throw helpError(request.status === 'claimed' ? `Already claimed by ${request.claimedBy}` : `Request is ${request.status}`, 409);
+            }
+            request.status = 'claimed';
+            request.claimedBy = taEmail;
+            request.claimedAt = new Date().toISOString();
+        });
+        logger.info('Help request claimed', { requestId, taEmail });
+        return result;
+    }
+
+    /**
+     * Adds the claiming TA's reply to the student's chat thread and emails the student.
+     * @returns {object} - The reply as stored in the conversation.
+     */
+    async replyToRequest(requestId, taEmail, body) {
+        const text = String(body || '').trim();
+        if (!text) throw helpError('Message cannot be empty', 400);
+        if (text.length > MESSAGE_MAX_LENGTH) {
+            throw helpError(`Message too long. Please keep it under ${MESSAGE_MAX_LENGTH} characters.`, 400);
+        }
+
+        const request = await this.getRequest(requestId);
+        if (!request) throw helpError('Help request not found', 404);
+        if (request.status !== 'claimed' || request.claimedBy !== taEmail) {
+            throw helpError('Only the TA who claimed this request can reply to it', 409);
+        }
+
+        const message = { role: 'model', parts: [{ text }], staff: { email: taEmail }, timestamp: new Date().toISOString() };
+        try {
+            const appended = await this.conversationService.appendMessages(request.userEmail, request.conversationId, [message]);
+            if (!appended) throw helpError('The student has deleted this conversation', 410);
+
+            await this.#update(requestId, stored => {
+                stored.lastStaffReplyAt = message.timestamp;
+            });
+            logger.info('TA replied to help request', { requestId, taEmail });
+            await this.#notifyStudent(request, text, taEmail);
+            return message;
+        } catch (error) {
+            logger.error('Failed to reply to help request', { requestId, taEmail, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Adds a student's message to a conversation the bot is paused for.
+     * @returns {object} - The message as stored in the conversation.
+     */
+    async relayStudentMessage(request, prompt) {
+        const message = { role: 'user', parts: [{ text: prompt }], toStaff: true, timestamp: new Date().toISOString() };
+        const appended = await this.conversationService.appendMessages(request.userEmail, request.conversationId, [message]);
+        if (!appended) throw helpError('Conversation not found', 404);
+
+        await this.#update(request.id, stored => {
+            stored.lastStudentMessageAt = message.timestamp;
+        });
+        logger.info('Student message relayed to TA', { requestId: request.id, taEmail: request.claimedBy });
+        return message;
+    }
+
+    /**
+     * Closes an active request, handing the conversation back to the bot.
+     * @param {string} status - "resolved" by a TA or "cancelled" by the student.
+     * @returns {object} - { request, previous }
+     */
+    async closeRequest(requestId, closedBy, status = 'resolved') {
+        if (!['resolved', 'cancelled'].includes(status)) {
+            throw helpError('A request can only be resolved or cancelled', 400);
+        }
+
+        const result = await this.#update(requestId, request => {
+            if (!ACTIVE_STATUSES.includes(request.status)) throw helpError(`Request is already ${request.status}`, 409);
+            request.status = status;
+            request.closedBy = closedBy;
+            request.closedAt = new Date().toISOString();
+        });
+        logger.info(`Help request ${status}`, { requestId, closedBy });
+        return result;
+    }
+
+    async #notifyOnDuty(request) {
+        try {
+            const onDuty = await this.listOnDuty();
+            if (onDuty.length === 0) {
+                logger.warn('No TAs on duty for new help request', { requestId: request.id });
+                return;
+            }
+
+            const htmlContent = `
+                <body style="font-family: Arial, sans-serif; line-height: 1.6;">
+                    <div style="max-width: 800px; margin: 20px auto; padding: 20px; border: 1px solid #ddd; border-radius: 10px;">
+                        <p><strong>${escapeHtml(request.userEmail)}</strong> asked for a TA in "${escapeHtml(request.conversationTitle)}".</p>
+                        ${request.note ? `<div style="padding: 15px; background: #f8f9fa; border-radius: 8px;">${escapeHtml(request.note)}</div>` : ''}
+                        <p style="color: #666; font-size: 0.9em;">Open the Help Queue in the admin dashboard to claim it.</p>
+                    </div>
+                </body>`;
+            for (const { email } of onDuty) {
+                await EmailService.sendEmail(email, 'ICS TA Bot - A student is asking for a TA', htmlContent);
+            }
+        } catch (error) {
+            logger.error('Failed to notify on-duty TAs', { requestId: request.id, error: error.message });
+        }
+    }
+
+    async #notifyStudent(request, text, taEmail) {
+        try {
+            const htmlContent = `
+                <body style="font-family: Arial, sans-serif; line-height: 1.6;">
+                    <div style="max-width: 800px; margin: 20px auto; padding: 20px; border: 1px solid #ddd; border-radius: 10px;">
+                        <p><strong>${escapeHtml(taEmail)}</strong> replied in your conversation "${escapeHtml(request.conversationTitle)}":</p>
+                        <div style="padding: 15px; background: #f8f9fa; border-radius: 8px;">${escapeHtml(text)}</div>
+                        <p style="color: #666; font-size: 0.9em;">Open ICS TA Bot and go to that conversation to reply.</p>
+                    </div>
+                </body>`;
+            await EmailService.sendEmail(request.userEmail, 'ICS TA Bot - A TA replied to your question', htmlContent);
+            logger.info('Help reply notification sent', { requestId: request.id, to: request.userEmail });
+        } catch (error) {
+            logger.error('Failed to send help reply notification', { requestId: request.id, error: error.message });
+        }
+    }
+}
+
+export { HelpRequestService, REQUEST_STATUSES };
@@ -0,0 +1,143 @@
+import { Logger } from '../logger.js';
+import { redisClient } from '../redisClient.js';
+
+const logger = new Logger();
+
+// Prompts that ask for a hint or say the student is stuck
+const HINT_REQUEST_PATTERNS = [
+    /\b(stuck|hints?|clues?|nudge)\b/i,
+    /\b(still|so|really|completely)\s+(confused|lost)\b/i,
+    /\bi\s+(still\s+)?(don'?t|do\s+not|can'?t|cannot)\s+(get|understand|figure\s+out|see)\s+(it|this|that|how|why|what)\b/i,
+    /\b(need|give\s+me|want)\s+(some\s+|more\s+|a\s+little\s+|another\s+)?help\b/i
+];
+
+// Each hint request on a problem moves one rung up; the last rung is the cap
+const LADDER = [
+    {
+        level: 'nudge',
+        instruction: 'Give a conceptual nudge only: name the idea or concept that unlocks the problem and ask one guiding question. ' +
+            'Do not point at specific functions, lines or steps, and do not write code.'
+    },
+    {
+        level: 'pointer',
+        instruction: 'Give a pointer: tell the student exactly where to look, such as the missing case, the suspect line, the relevant ' +
+            'library function or the course section that covers it, and ask what they notice there. Still do not write code for them.'
+    },
+    {
+        level: 'structure',
+        instruction: 'Give a partial structure: show the shape of a solution with the key logic left out, for example a skeleton with ' +
+            '`(* TODO *)` holes or an outline of the cases to handle. Leave every hole for the student to fill in.'
+    }
+];
+
+const CAP_REACHED = {
+    level: 'cap_reached',
+    instruction: 'The student has used every hint for this problem. Do not give a further or more detailed hint. Briefly recap the ' +
+        'structure from your last hint, encourage them, and suggest they ask a TA with the "Ask a TA" button under your reply.'
+};
+
+/**
+ * Tracks hint requests per conversation and per problem, since the model
+ * cannot reliably count them across turns. Each hint request on a problem
+ * moves the reply one rung up the ladder (conceptual nudge, pointer, partial
+ * structure); once the last rung is reached the student is offered a TA
+ * (see HelpRequestService).
+ *
+ * Keys:
+ *   hint_ladder:{conversationId}  hash - problem:{key} -> hint requests so far
+ * The hash expires with the conversation (CONVERSATION_TTL_DAYS).
+ */
+class HintLadderService {
+    constructor() {
+        this.cap = LADDER.length;
+        this.ttlSeconds = (parseInt(process.env.CONVERSATION_TTL_DAYS) || 180) * 24 * 60 * 60;
+    }
+
+    ladderKey(conversationId) {
+        return `hint_ladder:${conversationId}`;
+    }
+
+    isHintRequest(prompt) {
+        return HINT_REQUEST_PATTERNS.some(pattern => pattern.test(prompt || ''));
+    }
+
+    /**
+     * The problem a prompt is about: the matched assignment problem, or
+     * "general" for anything else.
+     * @param {object|null} match - From AssignmentService.matchProblem().
+     */
+    problemKey(match) {
+        return match ? `${match.assignmentId}:${match.itemIndex}` : 'general';
+    }
+
+    #describe(problem, count, advance) {
+        const rung = count > this.cap ? CAP_REACHED : LADDER[count - 1];
+        return { problem, count, cap: this.cap, level: rung.level, instruction: rung.instruction, escalate: count >= this.cap, advance };
+    }
+
+    /**
+     * Where a reply on the problem sits on the ladder. A hint request moves it
+     * one rung up; any other prompt stays on the current rung, and gets no
+     * ladder step at all before the first hint request. Nothing is stored
+     * here: pass the step to recordHint() once the reply has been produced, so
+     * a failed or cancelled reply does not use up a hint.
+     * @param {string} conversationId
+     * @param {string} problem - From problemKey().
+     * @param {object} options - { advance: true for a hint request }
+     * @returns {object|null} - { problem, count, cap, level, instruction, escalate, advance }
+     */
+    async step(conversationId, problem, { advance = false } = {}) {
+        try {
+            const stored = parseInt(await redisClient.hGet(this.ladderKey(conversationId), `problem:${problem}`)) || 0;
+            const count = advance ? stored + 1 : stored;
+            return count > 0 ? this.#describe(problem, count, advance) : null;
+        } catch (error) {
+            logger.error('Failed to read hint ladder', { conversationId, problem, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Counts the hint request behind a step, once its reply has been given.
+     * @param {string} conversationId
+     * @param {object|null} step - From step(); steps that did not advance are ignored.
+     */
+    async recordHint(conversationId, step) {
+        if (!step?.advance) return;
+        const key = this.ladderKey(conversationId);
+
+        try {
+            const count = await redisClient.hIncrBy(key, `problem:${step.problem}`, 1);
+            await redisClient.expire(key, this.ttlSeconds);
+            logger.info('Hint given', { conversationId, problem: step.problem, count });
+        } catch (error) {
+            logger.error('Failed to update hint ladder', { conversationId, problem: step.problem, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {object} - problem -> hint requests so far
+     */
+    async getCounts(conversationId) {
+        const hash = await redisClient.hGetAll(this.ladderKey(conversationId));
+        return Object.fromEntries(Object.entries(hash).map(([field, value]) => [field.slice('problem:'.length), parseInt(value)]));
+    }
+
+    /**
+     * Whether the student has reached the cap on any problem in the conversation.
+     */
+    async canEscalate(conversationId) {
+        const counts = await this.getCounts(conversationId);
+        return Object.values(counts).some(count => count >= this.cap);
+    }
+
+    /**
+     * Starts the ladder over, e.g. when the conversation is cleared or deleted.
+     */
+    async reset(conversationId) {
+        await redisClient.del(this.ladderKey(conversationId));
+    }
+}
+
+export { HintLadderService };
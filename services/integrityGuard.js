@@ -0,0 +1,269 @@
+import { Logger } from '../logger.js';
+import { integrityGuardTriggersTotal } from '../metrics.js';
+
+const logger = new Logger();
+
+const MODES = ['rewrite', 'redact', 'off'];
+const OCAML_LANGUAGES = ['ocaml', 'ml', 'caml'];
+
+// Unlabelled code blocks are treated as OCaml when they look like it
+const OCAML_HINTS = [
+    /^\s*let\s+(rec\s+)?[a-z_(][^=]*=/m,
+    /\bmatch\b[\s\S]*\bwith\b/,
+    /^\s*\|.*->/m,
+    /;;/,
+    /\bfun(ction)?\b.*->/,
+    /\b(List|Array|String|Printf)\.[a-z_]+/
+];
+
+// Markers of deliberately unfinished code, which the rules allow
+const PLACEHOLDER = /\.\.\.|\?\?\?|\b_{2,}\b|\(\*\s*(todo|your code|fill|fix|complete)|failwith\s+"(todo|not implemented|unimplemented)/i;
+
+const ENTRY_POINT = /^\s*let\s+(main\b|\(\s*\)\s*=|_\s*=)/m;
+
+const REDACTION_NOTE = "> That looks too much like a full solution. Let's break it into smaller pieces so you can fill in the gaps yourself.";
+
+const RULE_DESCRIPTIONS = {
+    too_long: 'more than {maxLines} consecutive lines of OCaml',
+    entry_point: 'an entry point such as `let main =` or `let () =`',
+    complete_definition: 'a complete top-level function definition'
+};
+
+/**
+ * Enforces the OCaml part of the academic-integrity rules on generated
+ * replies, since the system prompt alone does not stop the model from
+ * breaking them. A reply is flagged when one of its OCaml code blocks has
+ * more than `maxLines` consecutive code lines, an entry point, or a complete
+ * top-level function definition (recursive or spanning several lines; short
+ * one-line syntax examples are allowed).
+ *
+ * In "rewrite" mode the model is asked once to rewrite a flagged reply, and
+ * offending blocks are redacted if the rewrite still breaks the rules; in
+ * "redact" mode they are redacted straight away. INTEGRITY_GUARD_MODE picks
+ * the mode and INTEGRITY_MAX_OCAML_LINES the line limit.
+ */
+class IntegrityGuard {
+    constructor({
+        mode = process.env.INTEGRITY_GUARD_MODE || 'rewrite',
+        maxLines = parseInt(process.env.INTEGRITY_MAX_OCAML_LINES) || 3
+    } = {}) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown integrity guard mode "${mode}". Must be one of: ${MODES.join(', ')}`);
+        }
+        this.mode = mode;
+        this.maxLines = maxLines;
+    }
+
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Fenced code blocks in a reply. A block left open at the end of the reply
+     * (e.g. cut off by the token limit) runs to the end.
+     * @returns {Array<object>} - { raw, language, code, start, end }
+     */
+    parseCodeBlocks(text) {
+        return [...text.matchAll(/```([^\n`]*)\n([\s\S]*?)(?:```|$)/g)].map(match => ({
+            raw: match[0],
+            language: match[1].trim().toLowerCase(),
+            code: match[2],
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
+    #isOCaml({ language, code }) {
+        if (language) return OCAML_LANGUAGES.includes(language);
+        return OCAML_HINTS.some(hint => hint.test(code));
+    }
+
+    // Lines that are neither blank nor a comment on their own
+    #isCodeLine(line) {
+        const trimmed = line.trim();
+        return trimmed !== '' && !/^\(\*.*\*\)$/.test(trimmed);
+    }
+
+    #longestRun(code) {
+        let longest = 0;
+        let run = 0;
+        for (const line of code.split('\n')) {
+            run = this.#isCodeLine(line) ? run + 1 : 0;
+            longest = Math.max(longest, run);
+        }
+        return longest;
+    }
+
+    // Top-level definitions start at column 0; each runs until the next one
+    #completeDefinitions(code) {
+        const definitions = code.split(/\n(?=(?:let|and)\s)/).filter(item => /^(let|and)\s/.test(item));
+        return definitions.filter(definition => {
+            const header = definition.match(/^(?:let\s+(rec\s+)?|and\s+)([a-z_][\w']*)([^=]*)=(?!=)([\s\S]*)$/);
+            if (!header) return false;
+            const [, rec, , params, body] = header;
+
+            const isFunction = (params.trim() !== '' && !params.trim().startsWith(':')) || /^\s*fun(ction)?\b/.test(body);
+            if (!isFunction || !body.trim() || PLACEHOLDER.test(body)) return false;
+
+            const bodyLines = body.split('\n').filter(line => this.#isCodeLine(line)).length;
+            return Boolean(rec) || definition.startsWith('and') || bodyLines > 1;
+        }).map(definition => definition.split('\n')[0].trim());
+    }
+
+    /**
+     * Checks a single code block against the rules.
+     * @returns {string[]} - The rules it breaks; empty if it is fine or not OCaml.
+     */
+    inspectBlock(block) {
+        if (!this.#isOCaml(block)) return [];
+
+        const rules = [];
+        if (this.#longestRun(block.code) > this.maxLines) rules.push('too_long');
+        if (ENTRY_POINT.test(block.code)) rules.push('entry_point');
+        if (this.#completeDefinitions(block.code).length > 0) rules.push('complete_definition');
+        return rules;
+    }
+
+    /**
+     * Checks every code block in a reply.
+     * @returns {Array<object>} - { index, language, lines, rules } for each offending block.
+     */
+    inspect(text) {
+        return this.parseCodeBlocks(text)
+            .map((block, index) => ({
+                index,
+                language: block.language || null,
+                lines: this.#longestRun(block.code),
+                rules: this.inspectBlock(block)
+            }))
+            .filter(block => block.rules.length > 0);
+    }
+
+    /**
+     * Replaces every offending OCaml block with a note asking the student to
+     * work through the pieces themselves.
+     */
+    redact(text) {
+        let redacted = '';
+        let position = 0;
+        for (const block of this.parseCodeBlocks(text)) {
+            if (this.inspectBlock(block).length === 0) continue;
+            redacted += text.slice(position, block.start) + REDACTION_NOTE;
+            position = block.end;
+        }
+        return redacted + text.slice(position);
+    }
+
+    describe(violations) {
+        const rules = [...new Set(violations.flatMap(block => block.rules))];
+        return rules.map(rule => RULE_DESCRIPTIONS[rule].replace('{maxLines}', this.maxLines)).join('; ');
+    }
+
+    /**
+     * The follow-up instruction that asks the model to rewrite a flagged draft.
+     */
+    rewriteInstruction(violations) {
+        return `Your previous reply broke the course's academic integrity rules because it contained ${this.describe(violations)}. ` +
+            `Rewrite that reply for the student. Keep the explanation and your questions, but show at most ${this.maxLines} ` +
+            `consecutive lines of OCaml, no entry point and no complete function definitions; leave the key logic for the ` +
+            `student to fill in. Reply with the rewritten answer only.`;
+    }
+
+    /**
+     * Enforces the rules on a finished reply.
+     * @param {string} text - The model's reply.
+     * @param {function} rewrite - async (instruction) => string; asks the model for a new reply.
+     * @returns {object} - { text, triggered, action, rules, violations } where action is
+     *   "none", "rewritten" or "redacted".
+     */
+    async enforce(text, rewrite) {
+        const violations = this.enabled ? this.inspect(text) : [];
+        if (violations.length === 0) {
+            return { text, triggered: false, action: 'none', rules: [], violations };
+        }
+
+        const rules = [...new Set(violations.flatMap(block => block.rules))];
+        let finalText = null;
+        let action = 'redacted';
+
+        if (this.mode === 'rewrite') {
+            try {
+                const rewritten = await rewrite(this.rewriteInstruction(violations));
+                if (rewritten?.trim() && this.inspect(rewritten).length === 0) {
+                    finalText = rewritten;
+                    action = 'rewritten';
+                } else {
+                    finalText = this.redact(rewritten?.trim() ? rewritten : text);
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                logger.error('Integrity guard rewrite failed, redacting instead', { error: error.message });
+            }
+        }
+
+        finalText = finalText ?? this.redact(text);
+        rules.forEach(rule => integrityGuardTriggersTotal.inc({ rule, action }));
+        logger.warn('Integrity guard triggered', { rules, action, blocks: violations.length });
+
+        return { text: finalText, triggered: true, action, rules, violations };
+    }
+
+    /**
+     * Wraps a streaming token callback so OCaml code is only shown once its
+     * block has closed and passed inspection. After a block fails, nothing
+     * more is streamed; the enforced reply replaces the streamed text when
+     * generation finishes.
+     * @param {function} onToken - Receives the text that is safe to show.
+     * @returns {object} - { push(text), flush() }; flush() returns true if output was held back.
+     */
+    createStreamFilter(onToken) {
+        let buffer = '';
+        let inBlock = false;
+        let withheld = false;
+
+        const drain = (final) => {
+            while (!withheld && buffer) {
+                if (!inBlock) {
+                    const fence = buffer.indexOf('```');
+                    if (fence === -1) {
+                        // A trailing backtick could be the start of a fence
+                        const safe = final ? buffer.length : buffer.replace(/`{1,2}$/, '').length;
+                        if (safe > 0) onToken(buffer.slice(0, safe));
+                        buffer = buffer.slice(safe);
+                        return;
+                    }
+                    if (fence > 0) onToken(buffer.slice(0, fence));
+                    buffer = buffer.slice(fence);
+                    inBlock = true;
+                }
+
+                const close = buffer.indexOf('```', 3);
+                if (close === -1 && !final) return;
+
+                const end = close === -1 ? buffer.length : close + 3;
+                const [block] = this.parseCodeBlocks(buffer.slice(0, end));
+                if (block && this.inspectBlock(block).length > 0) {
+                    withheld = true;
+                    return;
+                }
+                onToken(buffer.slice(0, end));
+                buffer = buffer.slice(end);
+                inBlock = false;
+            }
+        };
+
+        return {
+            push: (text) => {
+                if (!this.enabled) return onToken(text);
+                buffer += text;
+                drain(false);
+            },
+            flush: () => {
+                drain(true);
+                return withheld;
+            }
+        };
+    }
+}
+
+export { IntegrityGuard, REDACTION_NOTE };
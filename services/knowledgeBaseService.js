@@ -0,0 +1,222 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { Logger } from '../logger.js';
+
+const logger = new Logger();
+
+class KnowledgeBaseService {
+    constructor(kbDirectory = process.env.KB_DIRECTORY || 'kb') {
+        // Same relative path ingestDocuments.js uses, so manifest keys line up
+        this.kbDirectory = kbDirectory;
+        this.qdrantService = null;
+        this.jobs = new Map();
+        this.activeJobId = null;
+        this.maxJobsKept = 20;
+    }
+
+    // QdrantService needs Qdrant and Gemini credentials, so it is only loaded once
+    // an admin actually touches the knowledge base.
+    async #getQdrant() {
+        if (!this.qdrantService) {
+            const { QdrantService } = await import('./qdrantService.js');
+            this.qdrantService = new QdrantService();
+        }
+        return this.qdrantService;
+    }
+
+    /**
+     * Resolves a path given by an admin to a path inside the KB directory,
+     * rejecting anything that would escape it.
+     * @param {string} relativePath - Path relative to the KB directory.
+     * @returns {string} - The path as used in manifest keys, e.g. "kb/week1/notes.md".
+     */
+    resolvePath(relativePath) {
+        const resolved = path.normalize(path.join(this.kbDirectory, relativePath || ''));
+        const root = path.normalize(this.kbDirectory);
+        if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+            throw new Error('Path must be inside the knowledge base directory');
+        }
+        return resolved;
+    }
+
+    // Paths coming back from listDocuments() already include the KB directory
+    #resolveDocumentPath(filePath) {
+        return this.resolvePath(path.relative(this.kbDirectory, filePath || ''));
+    }
+
+    async getSupportedExtensions() {
+        const qdrant = await this.#getQdrant();
+        return Object.keys(qdrant.fileProcessors);
+    }
+
+    /**
+     * Saves an uploaded file into the KB directory. It is picked up by the next
+     * ingestion job.
+     * @param {string} originalName - The uploaded file name.
+     * @param {Buffer} buffer - File contents.
+     * @param {string} folder - Optional subfolder, e.g. "week3".
+     * @returns {string} - The stored file path.
+     */
+    async saveUpload(originalName, buffer, folder = '') {
+        const extensions = await this.getSupportedExtensions();
+        const ext = path.extname(originalName).toLowerCase();
+        if (!extensions.includes(ext)) {
+            throw new Error(`Unsupported file type "${ext}". Supported: ${extensions.join(', ')}`);
+        }
+
+        const filePath = this.resolvePath(path.join(folder, path.basename(originalName)));
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        logger.info('Knowledge base file uploaded', { filePath, size: buffer.length });
+        return filePath;
+    }
+
+    /**
+     * Lists files in the KB directory together with what the manifest says was
+     * ingested for them. Files ingested earlier but since deleted from disk are
+     * included with status "missing" until the next ingestion removes them.
+     */
+    async listDocuments() {
+        const qdrant = await this.#getQdrant();
+        const manifest = await qdrant.loadManifest();
+
+        let filesOnDisk = [];
+        try {
+            filesOnDisk = await qdrant.listSupportedFiles(this.kbDirectory, true);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const documents = filesOnDisk.map(filePath => {
+            const entry = manifest[filePath];
+            return {
+                filePath,
+                fileType: path.extname(filePath).toLowerCase(),
+                status: entry ? 'ingested' : 'pending',
+                chunkCount: entry?.chunkCount || 0,
+                ingestedAt: entry?.ingestedAt || null,
+                release: entry?.release || null
+            };
+        });
+
+        for (const [filePath, entry] of Object.entries(manifest)) {
+            if (!filesOnDisk.includes(filePath)) {
+                documents.push({
+                    filePath,
+                    fileType: entry.fileType,
+                    status: 'missing',
+                    chunkCount: entry.chunkCount,
+                    ingestedAt: entry.ingestedAt,
+                    release: entry.release || null
+                });
+            }
+        }
+
+        return documents.sort((a, b) => a.filePath.localeCompare(b.filePath));
+    }
+
+    async getDocumentChunks(filePath) {
+        const qdrant = await this.#getQdrant();
+        return qdrant.getFileChunks(this.#resolveDocumentPath(filePath));
+    }
+
+    /**
+     * Deletes a document's vectors and manifest entry, and by default the file
+     * itself so the next ingestion does not bring it back.
+     */
+    async deleteDocument(filePath, removeFile = true) {
+        const resolved = this.#resolveDocumentPath(filePath);
+        const qdrant = await this.#getQdrant();
+        await qdrant.forgetFile(resolved);
+
+        if (removeFile) {
+            await fs.rm(resolved, { force: true });
+        }
+        return resolved;
+    }
+
+    async getSchedule() {
+        const qdrant = await this.#getQdrant();
+        return qdrant.releaseSchedule.getSchedule();
+    }
+
+    /**
+     * Replaces the release schedule and re-tags already ingested chunks so the
+     * change takes effect on the next search.
+     * @param {object} schedule - { termStart, entries }
+     * @returns {object} - { schedule, filesChanged }
+     */
+    async updateSchedule(schedule) {
+        const qdrant = await this.#getQdrant();
+        const saved = await qdrant.releaseSchedule.saveSchedule(schedule);
+        const filesChanged = await qdrant.applyReleaseSchedule();
+        return { schedule: saved, filesChanged };
+    }
+
+    /**
+     * Starts an incremental ingestion of the KB directory in the background.
+     * Only one job runs at a time.
+     * @param {string} startedBy - Email of the admin who triggered it.
+     * @returns {object} - The job record.
+     */
+    startIngestion(startedBy) {
+        if (this.activeJobId) {
+            const error = new Error('An ingestion job is already running');
+            error.jobId = this.activeJobId;
+            throw error;
+        }
+
+        const job = {
+            id: randomUUID(),
+            status: 'running',
+            startedBy,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            progress: { processed: 0, total: 0, currentFile: null },
+            summary: null,
+            error: null
+        };
+        this.jobs.set(job.id, job);
+        this.activeJobId = job.id;
+        this.#pruneJobs();
+
+        this.#runIngestion(job);
+        return job;
+    }
+
+    async #runIngestion(job) {
+        try {
+            const qdrant = await this.#getQdrant();
+            job.summary = await qdrant.syncDirectory(this.kbDirectory, true, {
+                onProgress: (progress) => { job.progress = progress; }
+            });
+            job.status = 'completed';
+            logger.info('Knowledge base ingestion job completed', { jobId: job.id });
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            logger.error('Knowledge base ingestion job failed', { jobId: job.id, error: error.message });
+        } finally {
+            job.finishedAt = new Date().toISOString();
+            this.activeJobId = null;
+        }
+    }
+
+    #pruneJobs() {
+        const ids = [...this.jobs.keys()];
+        for (const id of ids.slice(0, Math.max(0, ids.length - this.maxJobsKept))) {
+            if (id !== this.activeJobId) this.jobs.delete(id);
+        }
+    }
+
+    getJob(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    listJobs() {
+        return [...this.jobs.values()].reverse();
+    }
+}
+
+export { KnowledgeBaseService };
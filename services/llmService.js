@@ -0,0 +1,541 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import crypto from 'crypto';
+import { Logger } from "../logger.js";
+import { IntegrityGuard } from './integrityGuard.js';
+
+const logger = new Logger();
+
+const SYSTEM_PROMPT = `
+## **Optimized Socratic Teaching Assistant with OCaml Safety Filter**
+
+You are a **concise, friendly, and thought-provoking teaching assistant** for CS-1102 Introduction to Computer Science.
+Your job is to help students **learn by thinking critically**, **not** by handing out answers.
+
+---
+
+### **Core Teaching Principles**
+
+1. **Always be Socratic** — every response should include **at least one reflective, open-ended question** before giving any factual explanation.
+2. **Motivate** — acknowledge effort, highlight progress, and encourage persistence.
+3. **Academic honesty** — never give complete solutions, direct algorithms, or runnable code that solves the student’s assignment.
+4. **Focus on understanding** — clarify concepts, restate problems in simpler terms, and push the student to explain their own thinking.
+5. **Do not escalate help** into a step-by-step solution, even if they insist.
+
+---
+
+### **General Response Loop**
+
+For **every** student message:
+
+1. **Identify intent**: concept clarification, problem understanding, debugging, proof, etc.
+2. **Restate & Reframe**: Summarize in your own words.
+3. **Ask a Socratic Question**: Nudge deeper thinking.
+4. **Feedback & Motivation**:
+
+   * If correct/partial → affirm and extend.
+   * If wrong → gently challenge and ask why.
+5. **Guardrail**: Never give full, runnable solutions.
+
+---
+
+### **Special Cases**
+
+* **Concept Explanation**
+
+  * Use analogies + short illustrative examples (max 3 lines of code).
+  * Avoid giving full working programs.
+  * Follow up: *“How would you explain that in your own words?”*
+
+* **Problem Statements**
+
+  * If no approach given → *“Tell me your first idea and why it might work.”*
+  * If an approach is given → Validate or redirect with a question.
+
+* **Syntax Fixing**
+
+  * Identify error type/location.
+  * Do **not** rewrite whole code.
+  * Ask them to fix it.
+
+* **Debugging**
+
+  * Ask for failing test cases or suspected bug lines.
+  * Point to the suspect area and ask *“Why might this cause an issue?”*
+
+* **Proofs**
+
+  * Ask if they want induction or loop invariants.
+  * Guide base case → inductive step → conclusion.
+  * Never write the whole proof.
+
+---
+
+### **OCaml / Full-Solution Safeguard**
+
+When teaching:
+
+* **Allowed**:
+
+  * Small, isolated OCaml syntax examples (≤ 3 lines)
+  * Partial code missing key logic
+  * Pseudocode or natural language
+* **Forbidden**:
+
+  * Complete OCaml programs that can be copied & run to solve the given problem
+  * Any example with an entry point (let main =) or complete function solving the task
+
+**Detection Rule** (conceptual, enforced by you):
+If your draft contains:
+
+* More than 3 consecutive OCaml code lines **OR**
+* An entry point (let main =) **OR**
+* A fully working solution with no missing steps
+  → Stop and rewrite it as:
+
+> “That looks too much like a full solution. Let’s break it into smaller pieces so you can fill in the gaps yourself.”
+
+---
+
+### **Student Resistance or Prompt Injection**
+
+* If they keep insisting without effort:
+
+  * *“You already have the knowledge to solve this. Which part feels most unclear to you?”*
+* If they say “stuck” or ask for “hints”, follow the **Hint Level** section when one is given below. The server counts their hint requests; do not count them yourself.
+
+---
+
+### **Tone**
+
+* Friendly, encouraging, concise.
+* Never shame mistakes.
+* Celebrate curiosity and persistence.
+
+---
+
+**Remember**:
+You are here to **guide** students to discover answers, not to hand them answers.
+If OCaml syntax is required for teaching, use **minimal, incomplete examples** that help them learn without enabling direct copying.
+
+---
+`;
+
+// Appended to the system prompt when the question matches a live graded assignment
+const HINT_ONLY_PROMPT = `
+### **Hint-Only Mode (graded assignment)**
+
+The student's question closely matches a problem from a graded assignment that is currently open.
+* Give conceptual hints and guiding questions only.
+* Do not write any OCaml for this problem, not even partial code or pseudocode that maps line by line onto a solution.
+* Do not state the algorithm step by step or confirm whether a full approach is correct.
+* Point the student to the relevant course material and ask what they have tried.
+`;
+
+// Appended to the system prompt with the rung of the hint ladder the reply is on
+function hintLevelPrompt(hint) {
+    return `
+### **Hint Level ${Math.min(hint.count, hint.cap)} of ${hint.cap}**
+
+${hint.instruction}
+`;
+}
+
+// Generation settings shared by every provider
+const GENERATION_CONFIG = {
+    temperature: 0.5,
+    maxOutputTokens: 1024
+};
+
+// Provider-neutral safety levels ('none' | 'high' | 'medium' | 'low'); each
+// provider maps these onto whatever its API supports.
+const SAFETY_SETTINGS = {
+    harassment: 'medium',
+    hateSpeech: 'medium',
+    sexuallyExplicit: 'medium',
+    dangerousContent: 'medium'
+};
+
+// Provider modules are imported lazily so that, for example, the fake provider
+// does not require a GEMINI_API_KEY to be set.
+const PROVIDERS = {
+    gemini: async () => (await import('./providers/geminiProvider.js')).GeminiProvider,
+    openai: async () => (await import('./providers/openaiProvider.js')).OpenAIProvider,
+    fake: async () => (await import('./providers/fakeProvider.js')).FakeProvider
+};
+
+/**
+ * Owns everything about talking to a model that is not provider specific: the
+ * system prompt, the chat history format, retrieval context injection and
+ * safety settings. Providers only need to implement:
+ *   generate({ systemPrompt, history, message, generationConfig, safetySettings, signal }) -> Promise<string>
+ *   generateStream(sameRequest) -> AsyncGenerator<string>
+ * where history is [{ role: 'user' | 'assistant', content }].
+ */
+class LLMService {
+    constructor(provider, { retriever = null, integrityGuard = null } = {}) {
+        this.provider = provider;
+        this.retriever = retriever;
+        this.integrityGuard = integrityGuard;
+        this.providerName = provider.name;
+        this.providerDisplayName = provider.displayName;
+    }
+
+    // Session history is stored as [{ role: 'user' | 'model', parts: [{ text }] }]
+    #normalizeHistory(history) {
+        if (!Array.isArray(history)) return [];
+
+        return history
+            .map(message => {
+                const content = message.content || message.parts?.[0]?.text || '';
+                if (!content.trim()) return null;
+                return {
+                    role: message.role === 'model' ? 'assistant' : message.role,
+                    content
+                };
+            })
+            .filter(Boolean);
+    }
+
+    // Human readable location of a chunk within its file, e.g. "Recursion › Tail calls, p.12"
+    #describeLocation(metadata = {}) {
+        const parts = [];
+        if (metadata.section) parts.push(metadata.section);
+        if (metadata.page) parts.push(`p.${metadata.page}`);
+        if (parts.length === 0 && Number.isInteger(metadata.chunkIndex)) parts.push(`chunk ${metadata.chunkIndex + 1}`);
+        return parts.length > 0 ? parts.join(', ') : null;
+    }
+
+    async #buildPromptWithContext(prompt) {
+        if (!this.retriever) {
+            return { fullPrompt: prompt, sources: [] };
+        }
+
+        const contextResults = await this.retriever.searchSimilarTexts(prompt);
+        let fullPrompt = prompt;
+
+        // Clean and filter context results, numbering them so the model can cite them
+        const sources = contextResults
+            .filter(r => r.text?.trim()) // remove empty/null/whitespace
+            .map((r, index) => ({
+                id: index + 1,
+                file: r.metadata?.fileName || 'Course material',
+                location: this.#describeLocation(r.metadata),
+                snippet: r.text.trim(),
+                score: r.score
+            }));
+
+        if (sources.length > 0) {
+            const contextBlocks = sources.map(source =>
+                `[${source.id}] (${source.file}${source.location ? `, ${source.location}` : ''})\n${source.snippet}`
+            );
+            const context = `---\n[BACKGROUND CONTEXT - from course materials, not student answer]\n` +
+                `Each source is numbered. When you use a source, cite it inline with its number in square brackets, e.g. [1]. Do not cite sources you did not use.\n\n` +
+                `${contextBlocks.join("\n\n")}\n[END BACKGROUND CONTEXT]\n---\n\n`;
+
+            fullPrompt = `${context}Now here is the student's question:\n${prompt}`;
+
+            logger.info('Added context to prompt', {
+                originalPromptLength: prompt.length,
+                contextChunks: sources.length,
+                fullPromptLength: fullPrompt.length,
+                contextPreview: sources.slice(0, 2).map(s => s.snippet).join(" | ").slice(0, 200)
+            });
+        } else {
+            logger.info('No relevant context found', { promptLength: prompt.length });
+        }
+
+        return { fullPrompt, sources };
+    }
+
+    async #buildRequest(prompt, sessionHistory, { signal, hintOnly = false, hint = null } = {}) {
+        const { fullPrompt, sources } = await this.#buildPromptWithContext(prompt);
+        return {
+            request: {
+                systemPrompt: [SYSTEM_PROMPT, hintOnly && HINT_ONLY_PROMPT, hint && hintLevelPrompt(hint)].filter(Boolean).join(''),
+                history: this.#normalizeHistory(sessionHistory),
+                message: fullPrompt,
+                generationConfig: GENERATION_CONFIG,
+                safetySettings: SAFETY_SETTINGS,
+                signal
+            },
+            sources
+        };
+    }
+
+    /**
+     * Marks which retrieved sources the reply actually cites and trims snippets
+     * down to something the chat UI can show under the answer.
+     */
+    #resolveCitations(responseText, sources) {
+        const cited = new Set(
+            [...responseText.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1], 10))
+        );
+
+        return sources.map(source => ({
+            ...source,
+            snippet: source.snippet.length > 300 ? `${source.snippet.slice(0, 300)}...` : source.snippet,
+            cited: cited.has(source.id)
+        }));
+    }
+
+    /**
+     * Runs the reply through the integrity guard, asking the model for a
+     * rewrite in the same conversation when the guard wants one.
+     */
+    async #enforceIntegrity(request, responseText) {
+        if (!this.integrityGuard) {
+            return { text: responseText, triggered: false, action: 'none', rules: [], violations: [] };
+        }
+
+        return this.integrityGuard.enforce(responseText, instruction => this.provider.generate({
+            ...request,
+            history: [
+                ...request.history,
+                { role: 'user', content: request.message },
+                { role: 'assistant', content: responseText }
+            ],
+            message: instruction
+        }));
+    }
+
+    /**
+     * Runs the caller's reply check (e.g. AssignmentService.checkReply) and
+     * swaps in its replacement when it blocks the reply.
+     * @returns {object} - { text, leak } where leak is the check's result, or null.
+     */
+    async #checkReply(replyCheck, responseText) {
+        const leak = replyCheck ? await replyCheck(responseText) : null;
+        if (!leak?.blocked) return { text: responseText, leak: null };
+        return { text: leak.replacement, leak };
+    }
+
+    #buildResult(prompt, responseText, sessionHistory, retrievedSources, integrity, { hintOnly = false, leak = null, hint = null } = {}) {
+        const sources = this.#resolveCitations(responseText, retrievedSources);
+        const timestamp = new Date().toISOString();
+        const messageId = crypto.randomUUID();
+        // `context` keeps the retrieved chunks in full so a rating can be tied to exactly what the model saw
+        const context = retrievedSources.map((source, index) => ({ ...source, cited: sources[index].cited }));
+        const exchange = [
+            { role: 'user', parts: [{ text: prompt }], timestamp },
+            {
+                role: 'model', id: messageId, parts: [{ text: responseText }], sources, context, timestamp,
+                ...(integrity.triggered && { integrity: { action: integrity.action, rules: integrity.rules } }),
+                ...(hintOnly && { hintOnly }),
+                ...(leak && { leak: { assignmentId: leak.assignmentId, score: leak.score } }),
+                ...(hint && { hint: { problem: hint.problem, level: hint.level, count: hint.count, escalate: hint.escalate } })
+            }
+        ];
+        const updatedHistory = [...sessionHistory, ...exchange];
+
+        logger.info('LLM response generated successfully', {
+            provider: this.providerName,
+            promptLength: prompt.length,
+            responseLength: responseText.length,
+            historyLength: updatedHistory.length,
+            contextUsed: sources.length > 0,
+            citedSources: sources.filter(s => s.cited).length,
+            integrityAction: integrity.action,
+            hintOnly,
+            leakBlocked: Boolean(leak),
+            hintLevel: hint?.level || null
+        });
+
+        return {
+            response: responseText,
+            messageId,
+            updatedHistory,
+            exchange,
+            integrity,
+            hintOnly,
+            leak,
+            hint,
+            sources,
+            contextUsed: sources.length > 0,
+            contextChunks: sources.length
+        };
+    }
+
+    /**
+     * @param {string} prompt - The student's question.
+     * @param {Array} sessionHistory - The existing chat history.
+     * @param {object} options - { hintOnly: restrict the model to hints, replyCheck: async (text) =>
+     *   { blocked, replacement, ... } | null, run on the final reply, hint: the hint ladder step
+     *   from HintLadderService.step() }
+     * @returns {object} - { response, messageId, updatedHistory, exchange, integrity, hintOnly, leak, hint, sources, ... }
+     *   where exchange is the prompt and reply entries that updatedHistory adds.
+     */
+    async sendMessage(prompt, sessionHistory = [], { hintOnly = false, replyCheck = null, hint = null } = {}) {
+        try {
+            const { request, sources } = await this.#buildRequest(prompt, sessionHistory, { hintOnly, hint });
+            const draft = await this.provider.generate(request);
+            const integrity = await this.#enforceIntegrity(request, draft);
+            const { text, leak } = await this.#checkReply(replyCheck, integrity.text);
+
+            return this.#buildResult(prompt, text, sessionHistory, sources, integrity, { hintOnly, leak, hint });
+
+        } catch (error) {
+            logger.error('Failed to get response from LLM provider', {
+                provider: this.providerName,
+                error: error.message,
+                promptLength: prompt.length
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Streams a reply, calling onToken for each text chunk as it arrives.
+     * The updated history is only built once the stream completes, so an aborted
+     * reply never ends up in the conversation. OCaml code is held back until the
+     * integrity guard has seen it, and the returned response (not the streamed
+     * tokens) is the final text when the guard rewrote or redacted the reply or
+     * the reply check blocked it.
+     * @param {string} prompt - The student's question.
+     * @param {Array} sessionHistory - The existing chat history.
+     * @param {object} options - { onToken: (text) => void, signal: AbortSignal, plus the
+     *   hintOnly, replyCheck and hint options of sendMessage() }
+     * @returns {object} - Same shape as sendMessage().
+     */
+    async sendMessageStream(prompt, sessionHistory = [], { onToken = () => {}, signal, hintOnly = false, replyCheck = null, hint = null } = {}) {
+        try {
+            const { request, sources } = await this.#buildRequest(prompt, sessionHistory, { signal, hintOnly, hint });
+
+            const filter = this.integrityGuard ? this.integrityGuard.createStreamFilter(onToken) : { push: onToken, flush: () => false };
+            let responseText = '';
+            for await (const text of this.provider.generateStream(request)) {
+                if (signal?.aborted) break;
+                responseText += text;
+                filter.push(text);
+            }
+
+            if (signal?.aborted) {
+                const abortError = new Error('Stream aborted by client');
+                abortError.name = 'AbortError';
+                throw abortError;
+            }
+
+            filter.flush();
+            const integrity = await this.#enforceIntegrity(request, responseText);
+            const { text, leak } = await this.#checkReply(replyCheck, integrity.text);
+
+            return this.#buildResult(prompt, text, sessionHistory, sources, integrity, { hintOnly, leak, hint });
+
+        } catch (error) {
+            if (error.name === 'AbortError' || signal?.aborted) {
+                logger.info('LLM stream cancelled', { provider: this.providerName, promptLength: prompt.length });
+            } else {
+                logger.error('Failed to stream response from LLM provider', {
+                    provider: this.providerName,
+                    error: error.message,
+                    promptLength: prompt.length
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * A one-off completion with no history or retrieval, for internal checks
+     * such as the moderation classifier.
+     * @returns {Promise<string>}
+     */
+    async complete(systemPrompt, message) {
+        return this.provider.generate({
+            systemPrompt,
+            history: [],
+            message,
+            generationConfig: { temperature: 0, maxOutputTokens: 200 },
+            safetySettings: SAFETY_SETTINGS
+        });
+    }
+
+    formatHistoryForStorage(geminiHistory) {
+        if (!Array.isArray(geminiHistory)) return [];
+
+        return geminiHistory.map(message => {
+            const role = message.role === 'model' ? 'assistant' : (message.role || 'user');
+            const textParts = (message.parts || [])
+                .filter(part => typeof part?.text === 'string')
+                .map(part => part.text)
+                .join('\n');
+
+            return {
+                role,
+                content: textParts,
+                ...(message.id && { id: message.id }),
+                ...(message.sources && { sources: message.sources }),
+                ...(message.hint?.escalate && { escalate: true }),
+                // Messages written by a TA during a handoff, and the student's messages to them
+                ...(message.staff && { staff: message.staff }),
+                ...(message.toStaff && { toStaff: true }),
+                timestamp: message.timestamp || new Date().toISOString()
+            };
+        });
+    }
+
+    clearChat() {
+        return [];
+    }
+
+    getConversationSummary(history) {
+        if (!Array.isArray(history)) {
+            return { messageCount: 0, userMessages: 0, assistantMessages: 0 };
+        }
+
+        const messageCount = history.length;
+        const userMessages = history.filter(msg => msg.role === 'user').length;
+        const assistantMessages = history.filter(msg => msg.role === 'model' || msg.role === 'assistant').length;
+
+        return {
+            messageCount,
+            userMessages,
+            assistantMessages,
+            totalCharacters: history.reduce((total, msg) => 
+                total + (msg.content || msg.parts?.[0]?.text || '').length, 0
+            )
+        };
+    }
+}
+
+
+/**
+ * Builds an LLMService from configuration. Each deployment picks its provider
+ * through LLM_PROVIDER (gemini | openai | fake) and optionally LLM_MODEL.
+ * Retrieval is on by default except for the fake provider, which is meant to
+ * run without network access; RETRIEVAL_ENABLED overrides either way.
+ * @param {object} options - { provider, model, retrieval }
+ * @returns {LLMService}
+ */
+async function createLLMService({
+    provider = process.env.LLM_PROVIDER || 'gemini',
+    model = process.env.LLM_MODEL,
+    retrieval
+} = {}) {
+    if (retrieval === undefined) {
+        retrieval = process.env.RETRIEVAL_ENABLED
+            ? process.env.RETRIEVAL_ENABLED === 'true'
+            : provider !== 'fake';
+    }
+
+    const loadProvider = PROVIDERS[provider];
+    if (!loadProvider) {
+        throw new Error(`Unknown LLM provider "${provider}". Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const ProviderClass = await loadProvider();
+    const providerInstance = new ProviderClass(model ? { model } : {});
+
+    let retriever = null;
+    if (retrieval) {
+        const { QdrantService } = await import('./qdrantService.js');
+        retriever = new QdrantService();
+    }
+
+    const integrityGuard = new IntegrityGuard();
+
+    logger.info('LLM service configured', { provider, model: providerInstance.model, retrieval, integrityGuard: integrityGuard.mode });
+    return new LLMService(providerInstance, { retriever, integrityGuard });
+}
+
+export { LLMService, createLLMService };
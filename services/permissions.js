@@ -0,0 +1,47 @@
+// Roles and what each may do. Roles are ordered from least to most privileged;
+// every role has the permissions listed for it plus those of the roles below.
+
+export const ROLES = ['student', 'ta', 'instructor', 'admin'];
+
+const ROLE_GRANTS = {
+    student: ['chat:use'],
+    ta: [
+        'admin:access',
+        'feedback:view',
+        'feedback:triage',
+        'usage:view',
+        'kb:view',
+        'roster:view',
+        'moderation:view',
+        'help:respond'
+    ],
+    instructor: [
+        'kb:manage',
+        'quota:manage',
+        'assignments:manage'
+    ],
+    admin: [
+        'roster:manage',
+        'access:manage',
+        'roles:manage',
+        'audit:view',
+        'moderation:manage'
+    ]
+};
+
+export const ROLE_PERMISSIONS = Object.fromEntries(ROLES.map((role, index) => [
+    role,
+    [...new Set(ROLES.slice(0, index + 1).flatMap(lower => ROLE_GRANTS[lower]))]
+]));
+
+export function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+export function permissionsFor(role) {
+    return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.student;
+}
+
+export function hasPermission(role, permission) {
+    return permissionsFor(role).includes(permission);
+}
@@ -0,0 +1,38 @@
+/**
+ * Offline provider that never touches the network. Replies are a deterministic
+ * function of the prompt, so the server can be run and exercised locally
+ * without any API keys.
+ */
+class FakeProvider {
+    constructor({ model = 'fake-tutor' } = {}) {
+        this.name = 'fake';
+        this.displayName = 'Local stub';
+        this.model = model;
+    }
+
+    #buildReply({ history, message }) {
+        // The student's own words follow the context block when retrieval was used
+        const question = message.split("Now here is the student's question:\n").pop().trim();
+        const preview = question.length > 80 ? `${question.slice(0, 80)}...` : question;
+        const turn = Math.floor(history.length / 2) + 1;
+        const citation = message.includes('[BACKGROUND CONTEXT') ? ' The course notes cover this [1].' : '';
+
+        return `**[${this.model}] Turn ${turn}**\n\n` +
+            `You asked: "${preview}"${citation}\n\n` +
+            `What have you tried so far, and which part feels most unclear to you?`;
+    }
+
+    async generate(request) {
+        return this.#buildReply(request);
+    }
+
+    async *generateStream(request) {
+        const words = this.#buildReply(request).split(/(\s+)/);
+        for (const word of words) {
+            if (request.signal?.aborted) return;
+            yield word;
+        }
+    }
+}
+
+export { FakeProvider };
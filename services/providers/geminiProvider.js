@@ -0,0 +1,82 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import { GoogleGenAI } from "@google/genai";
+import { Logger } from "../../logger.js";
+
+const logger = new Logger();
+
+// Maps the provider-neutral safety levels used by LLMService onto Gemini's thresholds.
+const SAFETY_CATEGORIES = {
+    harassment: 'HARM_CATEGORY_HARASSMENT',
+    hateSpeech: 'HARM_CATEGORY_HATE_SPEECH',
+    sexuallyExplicit: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    dangerousContent: 'HARM_CATEGORY_DANGEROUS_CONTENT'
+};
+
+const SAFETY_THRESHOLDS = {
+    none: 'BLOCK_NONE',
+    high: 'BLOCK_ONLY_HIGH',
+    medium: 'BLOCK_MEDIUM_AND_ABOVE',
+    low: 'BLOCK_LOW_AND_ABOVE'
+};
+
+class GeminiProvider {
+    constructor({ model = 'gemini-2.0-flash' } = {}) {
+        if (!process.env.GEMINI_API_KEY) {
+            throw new Error('GEMINI_API_KEY is not set in the environment');
+        }
+
+        this.name = 'gemini';
+        this.displayName = 'Gemini';
+        this.model = model;
+        this.ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+    }
+
+    #formatSafetySettings(safetySettings = {}) {
+        return Object.entries(safetySettings)
+            .filter(([category]) => SAFETY_CATEGORIES[category])
+            .map(([category, level]) => ({
+                category: SAFETY_CATEGORIES[category],
+                threshold: SAFETY_THRESHOLDS[level] || SAFETY_THRESHOLDS.medium
+            }));
+    }
+
+    #createChat({ systemPrompt, history, generationConfig, safetySettings, signal }) {
+        try {
+            return this.ai.chats.create({
+                history: history.map(message => ({
+                    role: message.role === 'assistant' ? 'model' : message.role,
+                    parts: [{ text: message.content }]
+                })),
+                model: this.model,
+                config: {
+                    temperature: generationConfig.temperature,
+                    maxOutputTokens: generationConfig.maxOutputTokens,
+                    safetySettings: this.#formatSafetySettings(safetySettings),
+                    systemInstruction: systemPrompt,
+                    ...(signal && { abortSignal: signal })
+                }
+            });
+        } catch (error) {
+            logger.error('Failed to create a new Gemini chat session', { error: error.message });
+            throw error;
+        }
+    }
+
+    async generate(request) {
+        const chat = this.#createChat(request);
+        const response = await chat.sendMessage({ message: request.message });
+        return response.text || '';
+    }
+
+    async *generateStream(request) {
+        const chat = this.#createChat(request);
+        const stream = await chat.sendMessageStream({ message: request.message });
+
+        for await (const chunk of stream) {
+            if (chunk.text) yield chunk.text;
+        }
+    }
+}
+
+export { GeminiProvider };
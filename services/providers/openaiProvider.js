@@ -0,0 +1,85 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import OpenAI from 'openai';
+import { Logger } from "../../logger.js";
+import { openaiRequestsTotal, openaiRequestDuration } from '../../metrics.js';
+
+const logger = new Logger();
+
+class OpenAIProvider {
+    constructor({ model = 'gpt-4o-mini' } = {}) {
+        if (!process.env.OPENAI_API_KEY) {
+            throw new Error('OPENAI_API_KEY is not set in the environment');
+        }
+
+        this.name = 'openai';
+        this.displayName = 'OpenAI';
+        this.model = model;
+        this.client = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY,
+            dangerouslyAllowBrowser: false
+        });
+    }
+
+    #buildMessages({ systemPrompt, history, message }) {
+        return [
+            { role: 'system', content: systemPrompt },
+            ...history.map(entry => ({ role: entry.role, content: entry.content })),
+            { role: 'user', content: message }
+        ];
+    }
+
+    // Chat Completions has no per-request safety thresholds, so safetySettings are
+    // not forwarded; OpenAI applies its own moderation on their side.
+    #buildParams(request, stream) {
+        return {
+            model: this.model,
+            messages: this.#buildMessages(request),
+            temperature: request.generationConfig.temperature,
+            max_tokens: request.generationConfig.maxOutputTokens,
+            stream
+        };
+    }
+
+    async generate(request) {
+        const endTimer = openaiRequestDuration.startTimer();
+        try {
+            const completion = await this.client.chat.completions.create(
+                this.#buildParams(request, false),
+                { signal: request.signal }
+            );
+            openaiRequestsTotal.inc({ status: 'success' });
+            return completion.choices[0]?.message?.content || '';
+        } catch (error) {
+            openaiRequestsTotal.inc({ status: 'error' });
+            logger.error('OpenAI chat completion failed', { error: error.message, model: this.model });
+            throw error;
+        } finally {
+            endTimer();
+        }
+    }
+
+    async *generateStream(request) {
+        const endTimer = openaiRequestDuration.startTimer();
+        try {
+            const stream = await this.client.chat.completions.create(
+                this.#buildParams(request, true),
+                { signal: request.signal }
+            );
+
+            for await (const chunk of stream) {
+                const text = chunk.choices[0]?.delta?.content;
+                if (text) yield text;
+            }
+            openaiRequestsTotal.inc({ status: 'success' });
+        } catch (error) {
+            openaiRequestsTotal.inc({ status: 'error' });
+            logger.error('OpenAI chat completion stream failed', { error: error.message, model: this.model });
+            throw error;
+        } finally {
+            endTimer();
+        }
+    }
+}
+
+export { OpenAIProvider };
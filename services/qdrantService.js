@@ -6,10 +6,20 @@ import { GoogleGenAI } from "@google/genai";
 import fs from 'fs/promises';
 import path from 'path';
 
-import { marked } from 'marked';
 import pdfParse from 'pdf-parse';
 import { JSDOM } from 'jsdom';
-import { randomUUID } from 'crypto';
+import mammoth from 'mammoth';
+import { createHash } from 'crypto';
+import {
+    encodeSparseDocument,
+    encodeSparseQuery,
+    extractExactTerms,
+    cosineSimilarity,
+    reciprocalRankFusion,
+    maximalMarginalRelevance
+} from './retrievalUtils.js';
+import { chunkText, chunkMarkdown, chunkPages, chunkOcaml, chunkNotebook } from './chunkers.js';
+import { ReleaseScheduleService } from './releaseScheduleService.js';
 
 // Initialize logger
 const logger = new Logger();
@@ -46,6 +56,34 @@ class QdrantService {
         });
 
         this.gemini = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+
+        // Hybrid retrieval settings
+        this.retrieval = {
+            candidateLimit: db_dict.candidate_limit || 20,
+            minScore: db_dict.min_score ?? (parseFloat(process.env.RETRIEVAL_MIN_SCORE) || 0.5),
+            mmrLambda: db_dict.mmr_lambda ?? 0.7
+        };
+        this.denseVectorName = 'dense';
+        this.sparseVectorName = 'keywords';
+        this.isHybrid = null; // resolved lazily from the collection config
+
+        // Extension dispatch used by processFile and processDirectory
+        this.fileProcessors = {
+            '.md': filePath => this.processMarkdownFile(filePath),
+            '.markdown': filePath => this.processMarkdownFile(filePath),
+            '.pdf': filePath => this.processPdfFile(filePath),
+            '.html': filePath => this.processHtmlFile(filePath),
+            '.htm': filePath => this.processHtmlFile(filePath),
+            '.txt': filePath => this.processTextFile(filePath),
+            '.ml': filePath => this.processOcamlFile(filePath),
+            '.mli': filePath => this.processOcamlFile(filePath),
+            '.ipynb': filePath => this.processNotebookFile(filePath),
+            '.docx': filePath => this.processDocxFile(filePath)
+        };
+
+        // Record of ingested files, used to make re-ingestion incremental
+        this.manifestPath = db_dict.manifest_path || path.join(process.cwd(), 'data', 'ingest_manifest.json');
+        this.releaseSchedule = db_dict.release_schedule || new ReleaseScheduleService();
     }
 
     async generateEmbeddings(input) {
@@ -68,58 +106,65 @@ class QdrantService {
         try {
             await this.client.getCollection(this.collections_name);
             logger.info(`Collection ${this.collections_name} already exists`);
+            return false;
         } catch (error) {
             if (error.status === 404) {
                 await this.client.createCollection(this.collections_name, {
-                    vectors: { size: 3072, distance: 'Cosine' }
+                    vectors: { [this.denseVectorName]: { size: 3072, distance: 'Cosine' } },
+                    sparse_vectors: { [this.sparseVectorName]: { modifier: 'idf' } }
+                });
+                this.isHybrid = true;
+                // Lets stale chunks be deleted by file without a full scan
+                await this.client.createPayloadIndex(this.collections_name, {
+                    field_name: 'filePath',
+                    field_schema: 'keyword',
+                    wait: true
+                });
+                // Used by the release-date filter on every search
+                await this.client.createPayloadIndex(this.collections_name, {
+                    field_name: 'releaseAtTs',
+                    field_schema: 'integer',
+                    wait: true
                 });
                 logger.info(`Created collection: ${this.collections_name}`);
+                return true;
             } else {
                 throw error;
             }
         }
     }
 
+    /**
+     * Collections created before hybrid retrieval have a single unnamed dense
+     * vector and no keyword index. Those keep working with dense-only search
+     * until they are re-ingested into a fresh collection.
+     */
+    async #resolveHybrid() {
+        if (this.isHybrid !== null) return this.isHybrid;
+
+        const info = await this.client.getCollection(this.collections_name);
+        const params = info.config?.params || {};
+        this.isHybrid = Boolean(
+            params.sparse_vectors?.[this.sparseVectorName] &&
+            params.vectors?.[this.denseVectorName]
+        );
+        if (!this.isHybrid) {
+            logger.warn(`Collection ${this.collections_name} has no keyword index; using dense-only search`);
+        }
+        return this.isHybrid;
+    }
+
     // Text chunking utility for large documents
     chunkText(text, maxChunkSize = 1000, overlap = 100) {
-        const chunks = [];
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        
-        let currentChunk = '';
-        let currentLength = 0;
-        
-        for (const sentence of sentences) {
-            const sentenceLength = sentence.trim().length;
-            
-            if (currentLength + sentenceLength > maxChunkSize && currentChunk) {
-                chunks.push(currentChunk.trim());
-                
-                // Start new chunk with overlap
-                const words = currentChunk.split(' ');
-                const overlapWords = words.slice(-Math.floor(overlap / 10));
-                currentChunk = overlapWords.join(' ') + ' ' + sentence.trim();
-                currentLength = currentChunk.length;
-            } else {
-                currentChunk += (currentChunk ? ' ' : '') + sentence.trim();
-                currentLength = currentChunk.length;
-            }
-        }
-        
-        if (currentChunk.trim()) {
-            chunks.push(currentChunk.trim());
-        }
-        
-        return chunks.length > 0 ? chunks : [text];
+        return chunkText(text, maxChunkSize, overlap);
     }
 
-    // File processing methods
+    // File processing methods. Each returns [{ text, metadata }], where metadata
+    // holds the structure found in the file (section path, page number).
     async processMarkdownFile(filePath) {
         try {
             const content = await fs.readFile(filePath, 'utf-8');
-            const html = marked(content);
-            const dom = new JSDOM(html);
-            const text = dom.window.document.body.textContent || '';
-            return this.chunkText(text);
+            return chunkMarkdown(content);
         } catch (error) {
             logger.error(`Failed to process markdown file: ${filePath}`, { error: error.message });
             return [];
@@ -129,8 +174,27 @@ class QdrantService {
     async processPdfFile(filePath) {
         try {
             const buffer = await fs.readFile(filePath);
-            const data = await pdfParse(buffer);
-            return this.chunkText(data.text);
+            const pages = [];
+
+            // Same text extraction as pdf-parse's default renderer, but keeping
+            // each page separate so chunks know their page number
+            await pdfParse(buffer, {
+                pagerender: async (pageData) => {
+                    const textContent = await pageData.getTextContent({
+                        normalizeWhitespace: false,
+                        disableCombineTextItems: false
+                    });
+                    let lastY, text = '';
+                    for (const item of textContent.items) {
+                        text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+                        lastY = item.transform[5];
+                    }
+                    pages[(pageData.pageNumber || pages.length + 1) - 1] = text;
+                    return text;
+                }
+            });
+
+            return chunkPages(Array.from(pages, page => page || ''));
         } catch (error) {
             logger.error(`Failed to process PDF file: ${filePath}`, { error: error.message });
             return [];
@@ -142,7 +206,7 @@ class QdrantService {
             const content = await fs.readFile(filePath, 'utf-8');
             const dom = new JSDOM(content);
             const text = dom.window.document.body.textContent || '';
-            return this.chunkText(text);
+            return this.chunkText(text).map(chunk => ({ text: chunk, metadata: {} }));
         } catch (error) {
             logger.error(`Failed to process HTML file: ${filePath}`, { error: error.message });
             return [];
@@ -152,44 +216,86 @@ class QdrantService {
     async processTextFile(filePath) {
         try {
             const content = await fs.readFile(filePath, 'utf-8');
-            return this.chunkText(content);
+            return this.chunkText(content).map(chunk => ({ text: chunk, metadata: {} }));
         } catch (error) {
             logger.error(`Failed to process text file: ${filePath}`, { error: error.message });
             return [];
         }
     }
 
+    async processOcamlFile(filePath) {
+        try {
+            const content = await fs.readFile(filePath, 'utf-8');
+            return chunkOcaml(content);
+        } catch (error) {
+            logger.error(`Failed to process OCaml file: ${filePath}`, { error: error.message });
+            return [];
+        }
+    }
+
+    async processNotebookFile(filePath) {
+        try {
+            const content = await fs.readFile(filePath, 'utf-8');
+            return chunkNotebook(JSON.parse(content));
+        } catch (error) {
+            logger.error(`Failed to process notebook file: ${filePath}`, { error: error.message });
+            return [];
+        }
+    }
+
+    // Flattens the HTML mammoth produces into markdown so that Word headings
+    // drive the same section-aware chunking as .md files
+    #htmlToMarkdown(body) {
+        const blocks = [];
+        for (const element of body.children) {
+            const tag = element.tagName.toLowerCase();
+            const text = element.textContent.trim();
+            if (!text) continue;
+
+            if (/^h[1-6]$/.test(tag)) {
+                blocks.push(`${'#'.repeat(parseInt(tag[1], 10))} ${text}`);
+            } else if (tag === 'ul' || tag === 'ol') {
+                blocks.push([...element.querySelectorAll('li')].map(li => `- ${li.textContent.trim()}`).join('\n'));
+            } else if (tag === 'table') {
+                blocks.push([...element.querySelectorAll('tr')]
+                    .map(row => [...row.children].map(cell => cell.textContent.trim()).join(' | '))
+                    .join('\n'));
+            } else {
+                blocks.push(text);
+            }
+        }
+        return blocks.join('\n\n');
+    }
+
+    async processDocxFile(filePath) {
+        try {
+            const { value: html } = await mammoth.convertToHtml({ path: filePath });
+            const dom = new JSDOM(html);
+            return chunkMarkdown(this.#htmlToMarkdown(dom.window.document.body));
+        } catch (error) {
+            logger.error(`Failed to process DOCX file: ${filePath}`, { error: error.message });
+            return [];
+        }
+    }
+
     async processFile(filePath) {
         const ext = path.extname(filePath).toLowerCase();
         const fileName = path.basename(filePath);
         
         logger.info(`Processing file: ${fileName}`);
         
-        let chunks = [];
-        switch (ext) {
-            case '.md':
-            case '.markdown':
-                chunks = await this.processMarkdownFile(filePath);
-                break;
-            case '.pdf':
-                chunks = await this.processPdfFile(filePath);
-                break;
-            case '.html':
-            case '.htm':
-                chunks = await this.processHtmlFile(filePath);
-                break;
-            case '.txt':
-                chunks = await this.processTextFile(filePath);
-                break;
-            default:
-                logger.warn(`Unsupported file type: ${ext} for file ${fileName}`);
-                return [];
+        const processor = this.fileProcessors[ext];
+        if (!processor) {
+            logger.warn(`Unsupported file type: ${ext} for file ${fileName}`);
+            return [];
         }
+        const chunks = await processor(filePath);
         
-        // Add metadata to chunks
+        // Add file metadata to chunks
         return chunks.map((chunk, index) => ({
-            text: chunk,
+            text: chunk.text,
             metadata: {
+                ...chunk.metadata,
                 fileName,
                 filePath,
                 chunkIndex: index,
@@ -199,26 +305,33 @@ class QdrantService {
         }));
     }
 
+    async listSupportedFiles(directoryPath, recursive = true) {
+        const files = [];
+
+        const items = await fs.readdir(directoryPath, { withFileTypes: true });
+        for (const item of items) {
+            const fullPath = path.join(directoryPath, item.name);
+
+            if (item.isDirectory() && recursive) {
+                files.push(...await this.listSupportedFiles(fullPath, recursive));
+            } else if (item.isFile()) {
+                const ext = path.extname(item.name).toLowerCase();
+                if (this.fileProcessors[ext]) {
+                    files.push(fullPath);
+                }
+            }
+        }
+        return files;
+    }
+
     async processDirectory(directoryPath, recursive = true) {
-        const supportedExtensions = ['.md', '.markdown', '.pdf', '.html', '.htm', '.txt'];
         const allDocuments = [];
         
         try {
-            const items = await fs.readdir(directoryPath, { withFileTypes: true });
-            
-            for (const item of items) {
-                const fullPath = path.join(directoryPath, item.name);
-                
-                if (item.isDirectory() && recursive) {
-                    const subdirDocs = await this.processDirectory(fullPath, recursive);
-                    allDocuments.push(...subdirDocs);
-                } else if (item.isFile()) {
-                    const ext = path.extname(item.name).toLowerCase();
-                    if (supportedExtensions.includes(ext)) {
-                        const documents = await this.processFile(fullPath);
-                        allDocuments.push(...documents);
-                    }
-                }
+            const files = await this.listSupportedFiles(directoryPath, recursive);
+            for (const filePath of files) {
+                const documents = await this.processFile(filePath);
+                allDocuments.push(...documents);
             }
             
             logger.info(`Processed ${allDocuments.length} document chunks from directory: ${directoryPath}`);
@@ -229,6 +342,22 @@ class QdrantService {
         }
     }
 
+    /**
+     * Deterministic point ID for a chunk, so re-ingesting the same content
+     * overwrites the existing point instead of adding a duplicate. Qdrant only
+     * accepts UUIDs or integers, so the SHA-256 is formatted as a UUID.
+     */
+    chunkId(source, chunkIndex, text) {
+        const hex = createHash('sha256')
+            .update(`${source}\u0000${chunkIndex}\u0000${this.hashContent(text)}`)
+            .digest('hex');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+    }
+
+    hashContent(content) {
+        return createHash('sha256').update(content).digest('hex');
+    }
+
     async upsertDocuments(documents) {
         try {
             if (!Array.isArray(documents) || documents.length === 0) {
@@ -237,6 +366,7 @@ class QdrantService {
             }
 
             await this.initializeCollection();
+            const isHybrid = await this.#resolveHybrid();
 
             // Batch process for embeddings
             const batchSize = 10;
@@ -248,9 +378,15 @@ class QdrantService {
                 const embeddings = await this.generateEmbeddings(texts);
                 
                 batch.forEach((doc, index) => {
+                    const source = doc.metadata?.filePath || doc.metadata?.source || 'direct_input';
                     points.push({
-                        id: randomUUID(),
-                        vector: embeddings[index],
+                        id: this.chunkId(source, doc.metadata?.chunkIndex ?? i + index, doc.text),
+                        vector: isHybrid
+                            ? {
+                                [this.denseVectorName]: embeddings[index],
+                                [this.sparseVectorName]: encodeSparseDocument(doc.text)
+                            }
+                            : embeddings[index],
                         payload: {
                             text: doc.text,
                             ...doc.metadata
@@ -299,28 +435,340 @@ class QdrantService {
         }
     }
 
-    async searchSimilarTexts(query, k = 3, filter = null) {
+    async loadManifest() {
+        try {
+            const content = await fs.readFile(this.manifestPath, 'utf-8');
+            const manifest = JSON.parse(content);
+            return manifest[this.collections_name] || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Could not read ingest manifest, starting fresh', { error: error.message });
+            }
+            return {};
+        }
+    }
+
+    async #saveManifest(files) {
+        let manifest = {};
+        try {
+            manifest = JSON.parse(await fs.readFile(this.manifestPath, 'utf-8'));
+        } catch (error) {
+            // Missing or unreadable manifest is replaced below
+        }
+        manifest[this.collections_name] = files;
+        await fs.mkdir(path.dirname(this.manifestPath), { recursive: true });
+        await fs.writeFile(this.manifestPath, JSON.stringify(manifest, null, 2));
+    }
+
+    /**
+     * Deletes the points belonging to a file, except the ones listed in keepIds.
+     */
+    async deleteFileChunks(filePath, keepIds = []) {
+        await this.client.delete(this.collections_name, {
+            wait: true,
+            filter: {
+                must: [{ key: 'filePath', match: { value: filePath } }],
+                ...(keepIds.length > 0 && { must_not: [{ has_id: keepIds }] })
+            }
+        });
+    }
+
+    /**
+     * Deletes the file chunks of files that are not in keepFilePaths, i.e.
+     * points the manifest knows nothing about. Points without a filePath
+     * (upsertPoints) are left alone.
+     */
+    async #deleteOrphanChunks(keepFilePaths) {
+        const filter = {
+            must_not: [
+                { is_empty: { key: 'filePath' } },
+                ...(keepFilePaths.length > 0 ? [{ key: 'filePath', match: { any: keepFilePaths } }] : [])
+            ]
+        };
+
+        const { count } = await this.client.count(this.collections_name, { filter, exact: true });
+        if (count === 0) return;
+
+        await this.client.delete(this.collections_name, { wait: true, filter });
+        logger.info(`Deleted ${count} chunks with no manifest entry from ${this.collections_name}`);
+    }
+
+    /**
+     * Deletes every chunk of a file and drops it from the manifest.
+     */
+    async forgetFile(filePath) {
         try {
+            await this.deleteFileChunks(filePath);
+            const files = await this.loadManifest();
+            delete files[filePath];
+            await this.#saveManifest(files);
+            logger.info(`Removed ${filePath} from ${this.collections_name}`);
+        } catch (error) {
+            logger.error(`Failed to remove file from collection: ${filePath}`, { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Returns the stored chunks of a file in chunk order, without vectors.
+     */
+    async getFileChunks(filePath, limit = 500) {
+        try {
+            const result = await this.client.scroll(this.collections_name, {
+                filter: { must: [{ key: 'filePath', match: { value: filePath } }] },
+                limit,
+                with_payload: true,
+                with_vector: false
+            });
+            return result.points
+                .map(point => ({ id: point.id, ...point.payload }))
+                .sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0));
+        } catch (error) {
+            logger.error(`Failed to get chunks for file: ${filePath}`, { error: error.message });
+            throw error;
+        }
+    }
+
+    async #applyRelease(filePath, entry, release) {
+        if (JSON.stringify(entry.release || null) === JSON.stringify(release)) return entry;
+
+        await this.client.setPayload(this.collections_name, {
+            payload: release,
+            filter: { must: [{ key: 'filePath', match: { value: filePath } }] },
+            wait: true
+        });
+        return { ...entry, release };
+    }
+
+    /**
+     * Re-applies the release schedule to every ingested file without
+     * re-embedding anything. Called after the schedule is edited.
+     * @returns {number} - How many files had their release metadata changed.
+     */
+    async applyReleaseSchedule() {
+        try {
+            const files = await this.loadManifest();
+            const schedule = await this.releaseSchedule.getSchedule();
+            let changed = 0;
+
+            for (const [filePath, entry] of Object.entries(files)) {
+                const release = await this.releaseSchedule.resolve(filePath, schedule);
+                const updated = await this.#applyRelease(filePath, entry, release);
+                if (updated !== entry) {
+                    files[filePath] = updated;
+                    changed++;
+                }
+            }
+
+            await this.#saveManifest(files);
+            logger.info('Release schedule applied', { files: Object.keys(files).length, changed });
+            return changed;
+        } catch (error) {
+            logger.error('Failed to apply release schedule', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Incrementally syncs a directory into the collection. Files whose content
+     * hash matches the manifest are skipped, new and changed files are embedded
+     * and upserted (with stale chunks of changed files removed), and chunks of
+     * files no longer on disk are deleted, as are any chunks of files the
+     * manifest has no entry for.
+     * @param {string} directoryPath - Root of the knowledge base.
+     * @param {boolean} recursive - Whether to descend into subdirectories.
+     * @param {object} options - { onProgress: ({ processed, total, currentFile }) => void }
+     * @returns {object} - { added, updated, removed, unchanged, failed, chunksUpserted }
+     */
+    async syncDirectory(directoryPath, recursive = true, { onProgress = () => {} } = {}) {
+        const summary = { added: [], updated: [], removed: [], unchanged: [], failed: [], chunksUpserted: 0 };
+
+        try {
+            const created = await this.initializeCollection();
+            // A freshly created collection holds nothing, whatever the manifest says
+            const previous = created ? {} : await this.loadManifest();
+            const current = {};
+            const schedule = await this.releaseSchedule.getSchedule();
+
+            const files = await this.listSupportedFiles(directoryPath, recursive);
+            for (const [index, filePath] of files.entries()) {
+                onProgress({ processed: index, total: files.length, currentFile: filePath });
+                const fileHash = this.hashContent(await fs.readFile(filePath));
+                const existing = previous[filePath];
+
+                const release = await this.releaseSchedule.resolve(filePath, schedule);
+
+                if (existing && existing.fileHash === fileHash) {
+                    // Schedule edits only touch payloads, the vectors stay as they are
+                    current[filePath] = await this.#applyRelease(filePath, existing, release);
+                    summary.unchanged.push(filePath);
+                    continue;
+                }
+
+                try {
+                    const documents = (await this.processFile(filePath)).map(doc => ({
+                        ...doc,
+                        metadata: { ...doc.metadata, ...release }
+                    }));
+                    let chunkIds = [];
+                    if (documents.length > 0) {
+                        await this.upsertDocuments(documents);
+                        chunkIds = documents.map(doc => this.chunkId(filePath, doc.metadata.chunkIndex, doc.text));
+                    }
+                    // Also clears chunks ingested before the manifest knew the file,
+                    // such as the random-ID points of earlier full ingests
+                    await this.deleteFileChunks(filePath, chunkIds);
+
+                    current[filePath] = {
+                        fileHash,
+                        chunkCount: documents.length,
+                        fileType: path.extname(filePath).toLowerCase(),
+                        ingestedAt: new Date().toISOString(),
+                        release
+                    };
+                    summary.chunksUpserted += documents.length;
+                    (existing ? summary.updated : summary.added).push(filePath);
+                } catch (error) {
+                    logger.error(`Failed to ingest file: ${filePath}`, { error: error.message });
+                    // Keep the old entry so the file is retried on the next run
+                    if (existing) current[filePath] = existing;
+                    summary.failed.push(filePath);
+                }
+            }
+
+            for (const filePath of Object.keys(previous)) {
+                if (!current[filePath] && !files.includes(filePath)) {
+                    await this.deleteFileChunks(filePath);
+                    summary.removed.push(filePath);
+                }
+            }
+
+            if (!created) {
+                await this.#deleteOrphanChunks([...Object.keys(current), ...summary.failed]);
+            }
+
+            await this.#saveManifest(current);
+            onProgress({ processed: files.length, total: files.length, currentFile: null });
+
+            logger.info(`Synced directory ${directoryPath} into ${this.collections_name}`, {
+                added: summary.added.length,
+                updated: summary.updated.length,
+                removed: summary.removed.length,
+                unchanged: summary.unchanged.length,
+                failed: summary.failed.length,
+                chunksUpserted: summary.chunksUpserted
+            });
+
+            return summary;
+        } catch (error) {
+            logger.error(`Failed to sync directory: ${directoryPath}`, { error: error.message });
+            throw error;
+        }
+    }
+
+    async #queryVectors(params) {
+        const result = await this.client.query(this.collections_name, {
+            ...params,
+            with_payload: true,
+            with_vector: this.isHybrid ? [this.denseVectorName] : true
+        });
+        return result.points;
+    }
+
+    #denseVectorOf(point) {
+        return this.isHybrid ? point.vector?.[this.denseVectorName] : point.vector;
+    }
+
+    // Chunks with no release date are always available
+    releasedFilter(now = new Date()) {
+        return {
+            should: [
+                { key: 'releaseAtTs', range: { lte: Math.floor(now.getTime() / 1000) } },
+                { is_empty: { key: 'releaseAtTs' } }
+            ]
+        };
+    }
+
+    /**
+     * Hybrid search: dense and keyword candidates are fused with Reciprocal Rank
+     * Fusion, chunks below the minimum similarity are dropped unless they contain
+     * an identifier the student typed verbatim, and the survivors are reranked
+     * with MMR so the k results are not near-duplicates of each other.
+     * @param {string} query - The student's question.
+     * @param {number} k - Number of chunks to return.
+     * @param {object} filter - Optional Qdrant filter.
+     * @param {object} options - { includeUnreleased: also return material whose release date has not passed }
+     * @returns {Array} - [{ text, score, fusedScore, metadata }]
+     */
+    async searchSimilarTexts(query, k = 3, filter = null, { includeUnreleased = false } = {}) {
+        try {
+            const isHybrid = await this.#resolveHybrid();
             const queryEmbedding = await this.generateEmbeddings(query);
-            const searchParams = {
-                vector: queryEmbedding,
-                limit: k,
-                with_payload: true
-            };
-            
-            if (filter) {
-                searchParams.filter = filter;
+            const { candidateLimit, minScore, mmrLambda } = this.retrieval;
+
+            const conditions = [];
+            if (filter) conditions.push(filter);
+            if (!includeUnreleased) conditions.push(this.releasedFilter());
+            const baseParams = { limit: candidateLimit, ...(conditions.length > 0 && { filter: { must: conditions } }) };
+
+            const denseResults = await this.#queryVectors({
+                ...baseParams,
+                query: queryEmbedding,
+                ...(isHybrid && { using: this.denseVectorName })
+            });
+
+            let keywordResults = [];
+            const sparseQuery = encodeSparseQuery(query);
+            if (isHybrid && sparseQuery.indices.length > 0) {
+                keywordResults = await this.#queryVectors({
+                    ...baseParams,
+                    query: sparseQuery,
+                    using: this.sparseVectorName
+                });
             }
-            
-            const results = await this.client.search(this.collections_name, searchParams);
-            
-            return results.map(result => ({
-                text: result.payload.text,
-                score: result.score,
+
+            const fused = reciprocalRankFusion([denseResults, keywordResults]);
+            const maxFusedScore = fused[0]?.fusedScore || 1;
+            const exactTerms = extractExactTerms(query);
+
+            const candidates = fused
+                .map(({ item, fusedScore }) => {
+                    const vector = this.#denseVectorOf(item);
+                    const text = item.payload.text || '';
+                    return {
+                        item,
+                        vector,
+                        fusedScore,
+                        relevance: fusedScore / maxFusedScore,
+                        similarity: cosineSimilarity(queryEmbedding, vector),
+                        exactMatch: exactTerms.some(term => text.toLowerCase().includes(term))
+                    };
+                })
+                .filter(candidate => candidate.similarity >= minScore || candidate.exactMatch);
+
+            const selected = maximalMarginalRelevance(candidates, k, mmrLambda);
+
+            logger.info('Hybrid search completed', {
+                hybrid: isHybrid,
+                denseCandidates: denseResults.length,
+                keywordCandidates: keywordResults.length,
+                aboveCutoff: candidates.length,
+                returned: selected.length
+            });
+
+            return selected.map(({ item, similarity, fusedScore }) => ({
+                text: item.payload.text,
+                score: similarity,
+                fusedScore,
                 metadata: {
-                    fileName: result.payload.fileName,
-                    fileType: result.payload.fileType,
-                    chunkIndex: result.payload.chunkIndex
+                    fileName: item.payload.fileName,
+                    fileType: item.payload.fileType,
+                    chunkIndex: item.payload.chunkIndex,
+                    section: item.payload.section || null,
+                    page: item.payload.page || null,
+                    week: item.payload.week ?? null,
+                    topic: item.payload.topic || null,
+                    assignment: item.payload.assignment || null
                 }
             }));
         } catch (error) {
@@ -329,6 +777,74 @@ class QdrantService {
         }
     }
 
+    /**
+     * Creates a collection for private material (e.g. assignment solutions)
+     * that shares the knowledge base's embeddings but is never searched for
+     * chat context. Points have a single unnamed dense vector.
+     * @param {string} name - Collection name.
+     * @param {string[]} keywordFields - Payload fields to index for filtering.
+     */
+    async initializePrivateCollection(name, keywordFields = []) {
+        try {
+            await this.client.getCollection(name);
+            return false;
+        } catch (error) {
+            if (error.status !== 404) throw error;
+
+            await this.client.createCollection(name, { vectors: { size: 3072, distance: 'Cosine' } });
+            for (const field of keywordFields) {
+                await this.client.createPayloadIndex(name, { field_name: field, field_schema: 'keyword', wait: true });
+            }
+            logger.info(`Created private collection: ${name}`);
+            return true;
+        }
+    }
+
+    /**
+     * Embeds and stores texts in a private collection. Only the payload is
+     * stored with each vector, not the text itself.
+     * @param {string} name - Collection name.
+     * @param {Array} items - [{ id, text, payload }]
+     */
+    async upsertPrivateVectors(name, items) {
+        const batchSize = 10;
+        const points = [];
+        for (let i = 0; i < items.length; i += batchSize) {
+            const batch = items.slice(i, i + batchSize);
+            const embeddings = await this.generateEmbeddings(batch.map(item => item.text));
+            batch.forEach((item, index) => points.push({ id: item.id, vector: embeddings[index], payload: item.payload }));
+        }
+
+        if (points.length > 0) await this.client.upsert(name, { points, wait: true });
+        return points.length;
+    }
+
+    /**
+     * Closest points in a private collection to each of the given texts.
+     * @param {string} name - Collection name.
+     * @param {string[]} texts - Texts to compare; each is embedded once.
+     * @param {object} options - { limit, filter }
+     * @returns {Array} - [{ score, payload }] best first, across all texts.
+     */
+    async searchPrivateVectors(name, texts, { limit = 3, filter = null } = {}) {
+        const embeddings = await this.generateEmbeddings(texts);
+        const results = [];
+        for (const embedding of embeddings) {
+            const { points } = await this.client.query(name, {
+                query: embedding,
+                limit,
+                with_payload: true,
+                ...(filter && { filter })
+            });
+            results.push(...points.map(point => ({ score: point.score, payload: point.payload })));
+        }
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    async deletePrivateVectors(name, filter) {
+        await this.client.delete(name, { filter, wait: true });
+    }
+
     // Get collection info
     async getCollectionInfo() {
         try {
@@ -344,6 +860,7 @@ class QdrantService {
     async deleteCollection() {
         try {
             await this.client.deleteCollection(this.collections_name);
+            this.isHybrid = null;
             logger.info(`Deleted collection: ${this.collections_name}`);
         } catch (error) {
             logger.error('Failed to delete collection', { error: error.message });
@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import { Logger } from '../logger.js';
+import { redisClient } from '../redisClient.js';
+import { RosterService } from './rosterService.js';
+
+const logger = new Logger();
+
+const WINDOWS = ['daily', 'weekly'];
+const BOOST_SCOPES = ['all', 'section', 'user'];
+
+function parseLimitEnv(value) {
+    if (value === undefined || value === '') return null;
+    const limit = parseInt(value);
+    return Number.isNaN(limit) ? null : limit;
+}
+
+/**
+ * Query quota policies. A user's daily and weekly limits come from, in order
+ * of precedence, a per-user override, an override for their roster section,
+ * and the course default; each window is resolved on its own, and a limit of
+ * null means unlimited. Active boosts (e.g. before an exam) add extra queries
+ * on top for everyone, a section or one user.
+ *
+ * Policies live in the Redis hash `quota_policies` (fields `default`,
+ * `section:{name}` and `user:{email}` -> JSON) and boosts in `quota_boosts`
+ * (boostId -> JSON).
+ */
+class QuotaPolicyService {
+    constructor() {
+        this.policiesKey = 'quota_policies';
+        this.boostsKey = 'quota_boosts';
+        this.rosterService = new RosterService();
+        this.envDefaults = {
+            daily: parseLimitEnv(process.env.DAILY_QUERY_LIMIT) ?? 15,
+            weekly: parseLimitEnv(process.env.WEEKLY_QUERY_LIMIT)
+        };
+    }
+
+    /**
+     * Checks a policy and returns it normalised. Windows left out of an
+     * override inherit from the level below; null means unlimited.
+     * @throws {Error} - If a limit is not a non-negative integer or null.
+     */
+    validatePolicy(policy = {}) {
+        const normalised = {};
+        for (const window of WINDOWS) {
+            if (!(window in policy)) continue;
+            const value = policy[window];
+            if (value === null || value === '') {
+                normalised[window] = null;
+            } else if (Number.isInteger(Number(value)) && Number(value) >= 0) {
+                normalised[window] = Number(value);
+            } else {
+                throw new Error(`The ${window} limit must be a whole number of 0 or more, or null for unlimited`);
+            }
+        }
+        if (Object.keys(normalised).length === 0) {
+            throw new Error('A policy needs a daily or weekly limit');
+        }
+        return normalised;
+    }
+
+    #policyField(scope, target) {
+        if (scope === 'default') return 'default';
+        if (scope === 'section') return `section:${String(target).trim()}`;
+        if (scope === 'user') return `user:${String(target).trim().toLowerCase()}`;
+        throw new Error(`Unknown policy scope: ${scope}`);
+    }
+
+    /**
+     * Every policy and boost, for the admin dashboard.
+     * @returns {object} - { default, sections, users, boosts }
+     */
+    async listPolicies() {
+        try {
+            const stored = await redisClient.hGetAll(this.policiesKey);
+            const policies = { default: { ...this.envDefaults }, sections: {}, users: {}, boosts: await this.listBoosts() };
+
+            for (const [field, json] of Object.entries(stored)) {
+                const policy = JSON.parse(json);
+                if (field === 'default') policies.default = { ...policies.default, ...policy };
+                else if (field.startsWith('section:')) policies.sections[field.slice('section:'.length)] = policy;
+                else if (field.startsWith('user:')) policies.users[field.slice('user:'.length)] = policy;
+            }
+            return policies;
+        } catch (error) {
+            logger.error('Failed to list quota policies', { error: error.message });
+            throw error;
+        }
+    }
+
+    async getPolicy(scope, target) {
+        const stored = await redisClient.hGet(this.policiesKey, this.#policyField(scope, target));
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    /**
+     * Sets the default policy or an override for a section or user.
+     * @param {string} scope - "default", "section" or "user".
+     * @param {string} target - Section name or email; ignored for the default.
+     * @returns {object} - The stored policy.
+     */
+    async setPolicy(scope, target, policy, updatedBy) {
+        const normalised = this.validatePolicy(policy);
+        if (scope !== 'default' && !String(target || '').trim()) {
+            throw new Error(`A ${scope} policy needs a target`);
+        }
+
+        await redisClient.hSet(this.policiesKey, this.#policyField(scope, target), JSON.stringify(normalised));
+        logger.info('Quota policy set', { scope, target, policy: normalised, updatedBy });
+        return normalised;
+    }
+
+    /**
+     * Removes an override so the level below applies again.
+     * @returns {boolean} - False if there was no such override.
+     */
+    async deletePolicy(scope, target, deletedBy) {
+        const removed = await redisClient.hDel(this.policiesKey, this.#policyField(scope, target));
+        if (removed) logger.info('Quota policy removed', { scope, target, deletedBy });
+        return removed === 1;
+    }
+
+    /**
+     * Checks a boost definition and returns it normalised.
+     * @throws {Error} - If the definition is invalid.
+     */
+    validateBoost({ scope = 'all', target = null, extraDaily = 0, extraWeekly = 0, startsAt = null, endsAt, note = '' }) {
+        if (!BOOST_SCOPES.includes(scope)) {
+            throw new Error(`Boost scope must be one of: ${BOOST_SCOPES.join(', ')}`);
+        }
+        if (scope !== 'all' && !String(target || '').trim()) {
+            throw new Error(`A ${scope} boost needs a target`);
+        }
+
+        const extras = { extraDaily: Number(extraDaily) || 0, extraWeekly: Number(extraWeekly) || 0 };
+        for (const [field, value] of Object.entries(extras)) {
+            if (!Number.isInteger(value) || value < 0) throw new Error(`${field} must be a whole number of 0 or more`);
+        }
+        if (extras.extraDaily === 0 && extras.extraWeekly === 0) {
+            throw new Error('A boost needs extraDaily or extraWeekly');
+        }
+
+        const start = startsAt ? Date.parse(startsAt) : Date.now();
+        const end = Date.parse(endsAt);
+        if (Number.isNaN(start)) throw new Error('startsAt must be a valid date');
+        if (!endsAt || Number.isNaN(end)) throw new Error('endsAt must be a valid date');
+        if (end <= start) throw new Error('endsAt must be after startsAt');
+
+        return {
+            scope,
+            target: scope === 'all' ? null : scope === 'user' ? String(target).trim().toLowerCase() : String(target).trim(),
+            ...extras,
+            startsAt: new Date(start).toISOString(),
+            endsAt: new Date(end).toISOString(),
+            note: String(note || '').trim()
+        };
+    }
+
+    async listBoosts() {
+        const stored = await redisClient.hGetAll(this.boostsKey);
+        const now = Date.now();
+        return Object.values(stored)
+            .map(json => JSON.parse(json))
+            .map(boost => ({ ...boost, expired: Date.parse(boost.endsAt) <= now }))
+            .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+    }
+
+    async getBoost(boostId) {
+        const stored = await redisClient.hGet(this.boostsKey, boostId);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async createBoost(definition, createdBy) {
+        const boost = {
+            id: `boost_${crypto.randomUUID()}`,
+            ...this.validateBoost(definition),
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+
+        await redisClient.hSet(this.boostsKey, boost.id, JSON.stringify(boost));
+        logger.info('Quota boost created', { boostId: boost.id, scope: boost.scope, target: boost.target, createdBy });
+        return boost;
+    }
+
+    /**
+     * @returns {boolean} - False if the boost does not exist.
+     */
+    async deleteBoost(boostId, deletedBy) {
+        const removed = await redisClient.hDel(this.boostsKey, boostId);
+        if (removed) logger.info('Quota boost deleted', { boostId, deletedBy });
+        return removed === 1;
+    }
+
+    /**
+     * The limits that apply to a user right now.
+     * @param {string} email
+     * @returns {object} - { daily, weekly, section, source, boosts } where source
+     *   names the level each window came from and boosts are the active ones.
+     */
+    async resolveLimits(email) {
+        const normalisedEmail = String(email).trim().toLowerCase();
+        const profile = await this.rosterService.getProfile(normalisedEmail);
+        const section = profile?.section || null;
+
+        const [defaults, sectionPolicy, userPolicy] = await Promise.all([
+            this.getPolicy('default'),
+            section ? this.getPolicy('section', section) : null,
+            this.getPolicy('user', normalisedEmail)
+        ]);
+
+        const limits = { section, source: {} };
+        const levels = [
+            ['user', userPolicy],
+            ['section', sectionPolicy],
+            ['default', { ...this.envDefaults, ...defaults }]
+        ];
+        for (const window of WINDOWS) {
+            const [source, policy] = levels.find(([, level]) => level && window in level);
+            limits[window] = policy[window];
+            limits.source[window] = source;
+        }
+
+        const now = Date.now();
+        limits.boosts = (await this.listBoosts()).filter(boost =>
+            Date.parse(boost.startsAt) <= now && !boost.expired && (
+                boost.scope === 'all' ||
+                (boost.scope === 'section' && boost.target === section) ||
+                (boost.scope === 'user' && boost.target === normalisedEmail)
+            )
+        );
+
+        // Unlimited windows stay unlimited
+        const extra = field => limits.boosts.reduce((sum, boost) => sum + boost[field], 0);
+        if (limits.daily !== null) limits.daily += extra('extraDaily');
+        if (limits.weekly !== null) limits.weekly += extra('extraWeekly');
+
+        return limits;
+    }
+}
+
+export { QuotaPolicyService };
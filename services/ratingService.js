@@ -0,0 +1,213 @@
+import { Logger } from '../logger.js';
+import { redisClient } from '../redisClient.js';
+import { messageRatingsTotal } from '../metrics.js';
+import { dateRangeBounds } from './dateRange.js';
+
+const logger = new Logger();
+
+const RATINGS = ['up', 'down'];
+const RATING_REASONS = ['wrong', 'gave_away_answer', 'unhelpful', 'off_topic'];
+const COMMENT_MAX_LENGTH = 1000;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+function ratingError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Thumbs up/down ratings on individual assistant messages. Each rating keeps
+ * a copy of the exact prompt, response and retrieved context it was given
+ * on, so a bad answer can be investigated even after the conversation is
+ * deleted.
+ *
+ * Ratings live in the Redis hash `message_ratings` as messageId -> JSON; a
+ * message has at most one rating, from the student who received it.
+ */
+class RatingService {
+    constructor() {
+        this.ratingsKey = 'message_ratings';
+    }
+
+    /**
+     * Rates an assistant message in one of the user's conversations. Rating a
+     * message again replaces the earlier rating.
+     * @param {string} email - The student rating the message.
+     * @param {object} conversation - The conversation with its history, from ConversationService.
+     * @param {string} messageId - ID of the assistant message.
+     * @param {object} rating - { rating: "up"|"down", reasons, comment }; reasons only apply to "down".
+     * @returns {object} - The stored rating.
+     */
+    async rateMessage(email, conversation, messageId, { rating, reasons = [], comment = '' }) {
+        if (!RATINGS.includes(rating)) {
+            throw ratingError(`Rating must be one of: ${RATINGS.join(', ')}`, 400);
+        }
+        const tags = [...new Set(Array.isArray(reasons) ? reasons : [])];
+        const unknown = tags.filter(reason => !RATING_REASONS.includes(reason));
+        if (unknown.length > 0) {
+            throw ratingError(`Unknown reason(s): ${unknown.join(', ')}. Expected: ${RATING_REASONS.join(', ')}`, 400);
+        }
+        const cleanComment = String(comment || '').trim();
+        if (cleanComment.length > COMMENT_MAX_LENGTH) {
+            throw ratingError(`Comment too long. Please keep it under ${COMMENT_MAX_LENGTH} characters.`, 400);
+        }
+
+        const index = conversation.history.findIndex(message => message.role === 'model' && message.id === messageId);
+        if (index === -1) throw ratingError('Message not found', 404);
+
+        const message = conversation.history[index];
+        const promptMessage = conversation.history[index - 1];
+        const textOf = entry => entry?.parts?.map(part => part.text).join('\n') || entry?.content || '';
+
+        try {
+            const existing = await redisClient.hGet(this.ratingsKey, messageId);
+            const now = new Date().toISOString();
+            const stored = {
+                messageId,
+                conversationId: conversation.id,
+                userEmail: email,
+                rating,
+                reasons: rating === 'down' ? tags : [],
+                comment: cleanComment,
+                prompt: textOf(promptMessage),
+                response: textOf(message),
+                context: message.context || message.sources || [],
+                answeredAt: message.timestamp || null,
+                ratedAt: existing ? JSON.parse(existing).ratedAt : now,
+                updatedAt: now
+            };
+
+            await redisClient.hSet(this.ratingsKey, messageId, JSON.stringify(stored));
+            messageRatingsTotal.inc({ rating });
+            logger.info('Message rated', { email, conversationId: conversation.id, messageId, rating, reasons: stored.reasons });
+            return stored;
+        } catch (error) {
+            logger.error('Failed to store message rating', { email, messageId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Removes the user's rating of a message.
+     * @returns {boolean} - False if the user had not rated it.
+     */
+    async removeRating(email, messageId) {
+        const existing = await redisClient.hGet(this.ratingsKey, messageId);
+        if (!existing || JSON.parse(existing).userEmail !== email) return false;
+
+        await redisClient.hDel(this.ratingsKey, messageId);
+        logger.info('Message rating removed', { email, messageId });
+        return true;
+    }
+
+    /**
+     * The user's ratings of the given messages, for showing their choices again.
+     * @param {string} email
+     * @param {string[]} messageIds
+     * @returns {object} - messageId -> { rating, reasons }
+     */
+    async getRatingsFor(email, messageIds) {
+        if (messageIds.length === 0) return {};
+
+        const stored = await redisClient.hmGet(this.ratingsKey, messageIds);
+        const ratings = {};
+        stored.forEach((json, index) => {
+            if (!json) return;
+            const rating = JSON.parse(json);
+            if (rating.userEmail === email) ratings[messageIds[index]] = { rating: rating.rating, reasons: rating.reasons };
+        });
+        return ratings;
+    }
+
+    async #readRatings({ from, to } = {}) {
+        const { min, max } = dateRangeBounds(from, to);
+        if (Number.isNaN(min) || Number.isNaN(max)) {
+            throw ratingError('from and to must be valid dates', 400);
+        }
+
+        const stored = await redisClient.hGetAll(this.ratingsKey);
+        return Object.values(stored)
+            .map(json => JSON.parse(json))
+            .filter(rating => {
+                const ratedAt = Date.parse(rating.ratedAt);
+                return ratedAt >= min && ratedAt <= max;
+            })
+            .sort((a, b) => b.ratedAt.localeCompare(a.ratedAt));
+    }
+
+    /**
+     * Ratings matching the filters, newest first, one page at a time.
+     * @param {object} filters - { rating, reason, q, from, to }; q searches the prompt and response.
+     * @returns {object} - { ratings, total, limit, offset }
+     */
+    async listRatings({ rating, reason, q, from, to } = {}, { limit, offset } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const start = Math.max(parseInt(offset) || 0, 0);
+        const search = String(q || '').trim().toLowerCase();
+
+        try {
+            const ratings = (await this.#readRatings({ from, to }))
+                .filter(entry => !rating || entry.rating === rating)
+                .filter(entry => !reason || entry.reasons.includes(reason))
+                .filter(entry => !search || `${entry.prompt}\n${entry.response}`.toLowerCase().includes(search));
+
+            return {
+                ratings: ratings.slice(start, start + pageSize),
+                total: ratings.length,
+                limit: pageSize,
+                offset: start
+            };
+        } catch (error) {
+            logger.error('Failed to list message ratings', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Aggregates for finding bad answers: totals, reason counts, ratings per
+     * day, and the course files most often retrieved for thumbs-down answers.
+     * @param {object} range - { from, to }
+     * @returns {object} - { total, up, down, approval, byReason, byDay, bySource }
+     */
+    async getSummary(range = {}) {
+        try {
+            const ratings = await this.#readRatings(range);
+            const summary = {
+                total: ratings.length,
+                up: 0,
+                down: 0,
+                approval: null,
+                byReason: Object.fromEntries(RATING_REASONS.map(reason => [reason, 0])),
+                byDay: {},
+                bySource: {}
+            };
+
+            for (const entry of ratings) {
+                summary[entry.rating]++;
+                entry.reasons.forEach(reason => summary.byReason[reason]++);
+
+                const day = entry.ratedAt.split('T')[0];
+                summary.byDay[day] = summary.byDay[day] || { date: day, up: 0, down: 0 };
+                summary.byDay[day][entry.rating]++;
+
+                // Count each file once per answer, however many of its chunks were retrieved
+                for (const file of new Set(entry.context.map(source => source.file))) {
+                    summary.bySource[file] = summary.bySource[file] || { file, up: 0, down: 0 };
+                    summary.bySource[file][entry.rating]++;
+                }
+            }
+
+            summary.approval = summary.total > 0 ? summary.up / summary.total : null;
+            summary.byDay = Object.values(summary.byDay).sort((a, b) => a.date.localeCompare(b.date));
+            summary.bySource = Object.values(summary.bySource).sort((a, b) => b.down - a.down || a.up - b.up);
+            return summary;
+        } catch (error) {
+            logger.error('Failed to summarise message ratings', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+export { RatingService, RATING_REASONS };
@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from '../logger.js';
+import { redisClient } from '../redisClient.js';
+
+const logger = new Logger();
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Release schedule for course material. Each entry matches knowledge base paths
+ * by prefix (a file, or a folder such as "kb/week3/") and carries the release
+ * date plus tags (week, topic, assignment). Material is only retrievable once
+ * its release date has passed.
+ *
+ * The schedule is stored as JSON under the Redis key `release_schedule`:
+ *   {
+ *     "termStart": "2025-08-04T00:00:00+05:30",
+ *     "entries": [
+ *       { "pattern": "kb/week3/", "week": 3, "topic": "recursion" },
+ *       { "pattern": "kb/psets/ps2.md", "releaseAt": "2025-08-25T09:00:00+05:30", "assignment": "ps2" }
+ *     ]
+ *   }
+ * An entry without releaseAt but with a week is released at termStart + (week - 1) weeks.
+ * A schedule file left at RELEASE_SCHEDULE_PATH (data/release_schedule.json) by
+ * earlier versions is imported the first time the schedule is read.
+ */
+class ReleaseScheduleService {
+    constructor(schedulePath = process.env.RELEASE_SCHEDULE_PATH || path.join(process.cwd(), 'data', 'release_schedule.json')) {
+        this.scheduleKey = 'release_schedule';
+        this.legacySchedulePath = schedulePath;
+    }
+
+    async #importLegacySchedule() {
+        try {
+            const content = await fs.readFile(this.legacySchedulePath, 'utf-8');
+            const schedule = this.validateSchedule(JSON.parse(content));
+            // Another process may have saved a schedule in the meantime; that one wins
+            await redisClient.set(this.scheduleKey, JSON.stringify(schedule), { NX: true });
+            logger.info('Release schedule imported from file', { path: this.legacySchedulePath, entries: schedule.entries.length });
+            return JSON.parse(await redisClient.get(this.scheduleKey));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Could not import release schedule file', { path: this.legacySchedulePath, error: error.message });
+            }
+            return null;
+        }
+    }
+
+    async getSchedule() {
+        try {
+            const stored = await redisClient.get(this.scheduleKey);
+            const schedule = stored ? JSON.parse(stored) : await this.#importLegacySchedule();
+            return { termStart: schedule?.termStart || null, entries: schedule?.entries || [] };
+        } catch (error) {
+            logger.error('Failed to load release schedule', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Validates and stores a new schedule, replacing the old one.
+     * @param {object} schedule - { termStart, entries }
+     * @returns {object} - The normalised schedule that was saved.
+     */
+    async saveSchedule(schedule) {
+        const normalised = this.validateSchedule(schedule);
+        try {
+            await redisClient.set(this.scheduleKey, JSON.stringify(normalised));
+            logger.info('Release schedule saved', { entries: normalised.entries.length });
+            return normalised;
+        } catch (error) {
+            logger.error('Failed to save release schedule', { error: error.message });
+            throw error;
+        }
+    }
+
+    validateSchedule(schedule) {
+        if (!schedule || !Array.isArray(schedule.entries)) {
+            throw new Error('Schedule must have an entries array');
+        }
+        if (schedule.termStart && isNaN(Date.parse(schedule.termStart))) {
+            throw new Error('termStart must be a valid date');
+        }
+
+        const entries = schedule.entries.map((entry, index) => {
+            if (!entry.pattern || typeof entry.pattern !== 'string') {
+                throw new Error(`Entry ${index + 1}: pattern is required`);
+            }
+            if (entry.releaseAt && isNaN(Date.parse(entry.releaseAt))) {
+                throw new Error(`Entry ${index + 1}: releaseAt must be a valid date`);
+            }
+            if (entry.week !== undefined && entry.week !== null && entry.week !== '' && !Number.isInteger(Number(entry.week))) {
+                throw new Error(`Entry ${index + 1}: week must be a whole number`);
+            }
+            if (!entry.releaseAt && entry.week && !schedule.termStart) {
+                throw new Error(`Entry ${index + 1}: a week-only entry needs termStart to be set`);
+            }
+
+            return {
+                pattern: entry.pattern.trim(),
+                ...(entry.releaseAt && { releaseAt: new Date(entry.releaseAt).toISOString() }),
+                ...(entry.week && { week: Number(entry.week) }),
+                ...(entry.topic && { topic: String(entry.topic).trim() }),
+                ...(entry.assignment && { assignment: String(entry.assignment).trim() })
+            };
+        });
+
+        return { termStart: schedule.termStart || null, entries };
+    }
+
+    #releaseDateOf(entry, termStart) {
+        if (entry.releaseAt) return new Date(entry.releaseAt);
+        if (entry.week && termStart) return new Date(new Date(termStart).getTime() + (entry.week - 1) * WEEK_MS);
+        return null;
+    }
+
+    /**
+     * Release metadata for a knowledge base file, taken from the most specific
+     * (longest) matching pattern. Files matching no entry are released.
+     * @param {string} filePath - Path as stored in the manifest, e.g. "kb/week3/notes.md".
+     * @param {object} schedule - Optional pre-loaded schedule.
+     * @returns {object} - { releaseAt, releaseAtTs, week, topic, assignment }, nulls when unset.
+     */
+    async resolve(filePath, schedule = null) {
+        const { termStart, entries } = schedule || await this.getSchedule();
+        const normalisedPath = filePath.split(path.sep).join('/');
+
+        const match = entries
+            .filter(entry => normalisedPath === entry.pattern || normalisedPath.startsWith(entry.pattern.endsWith('/') ? entry.pattern : `${entry.pattern}/`))
+            .sort((a, b) => b.pattern.length - a.pattern.length)[0];
+
+        const releaseDate = match ? this.#releaseDateOf(match, termStart) : null;
+        return {
+            releaseAt: releaseDate ? releaseDate.toISOString() : null,
+            releaseAtTs: releaseDate ? Math.floor(releaseDate.getTime() / 1000) : null,
+            week: match?.week ?? null,
+            topic: match?.topic ?? null,
+            assignment: match?.assignment ?? null
+        };
+    }
+}
+
+export { ReleaseScheduleService };
@@ -0,0 +1,168 @@
+// Helpers for hybrid (dense + keyword) retrieval used by QdrantService.
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from', 'how', 'i',
+    'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this',
+    'to', 'was', 'what', 'when', 'where', 'which', 'why', 'with', 'you', 'your'
+]);
+
+// Typical chunk length in tokens, used for BM25 length normalisation at ingest time
+const AVERAGE_DOCUMENT_LENGTH = 150;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Splits text into lowercase keyword tokens. Dotted and underscored identifiers
+ * such as List.fold_left are kept whole and also split into their parts, so an
+ * exact identifier scores higher than its pieces appearing separately.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    const tokens = [];
+    const rawTokens = (text || '').toLowerCase().match(/[a-z0-9_'][a-z0-9_'.]*[a-z0-9_']|[a-z0-9]/g) || [];
+
+    for (const raw of rawTokens) {
+        if (/[._]/.test(raw)) {
+            tokens.push(raw);
+            for (const part of raw.split('.').filter(part => part.length > 1 && part !== raw)) {
+                tokens.push(part);
+                if (part.includes('_')) tokens.push(...part.split('_').filter(word => word.length > 1));
+            }
+            if (!raw.includes('.')) tokens.push(...raw.split('_').filter(word => word.length > 1));
+        } else if (!STOPWORDS.has(raw)) {
+            tokens.push(raw);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Identifiers and quoted strings in a query that a student most likely typed
+ * verbatim (function names, error messages). A chunk containing one of these is
+ * relevant even when its embedding is not a close match.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function extractExactTerms(query) {
+    const terms = [];
+    for (const match of (query || '').matchAll(/[`"]([^`"]{3,})[`"]/g)) {
+        terms.push(match[1].toLowerCase());
+    }
+    for (const token of tokenize(query)) {
+        if (/[._]/.test(token)) terms.push(token);
+    }
+    return [...new Set(terms)];
+}
+
+// FNV-1a, so the same token always maps to the same sparse index
+function hashToken(token) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function toSparseVector(weights) {
+    const indices = [...weights.keys()].sort((a, b) => a - b);
+    return { indices, values: indices.map(index => weights.get(index)) };
+}
+
+/**
+ * Encodes a document as a sparse vector of BM25 term-frequency weights. The IDF
+ * half of BM25 is applied by Qdrant (the sparse vector uses the "idf" modifier).
+ * @param {string} text
+ * @returns {{ indices: number[], values: number[] }}
+ */
+export function encodeSparseDocument(text) {
+    const tokens = tokenize(text);
+    const counts = new Map();
+    for (const token of tokens) {
+        const index = hashToken(token);
+        counts.set(index, (counts.get(index) || 0) + 1);
+    }
+
+    const lengthNorm = 1 - BM25_B + BM25_B * (tokens.length / AVERAGE_DOCUMENT_LENGTH);
+    const weights = new Map();
+    for (const [index, tf] of counts) {
+        weights.set(index, (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm));
+    }
+    return toSparseVector(weights);
+}
+
+/**
+ * Encodes a query as a sparse vector with unit weight per distinct term.
+ * @param {string} text
+ * @returns {{ indices: number[], values: number[] }}
+ */
+export function encodeSparseQuery(text) {
+    const weights = new Map();
+    for (const token of tokenize(text)) {
+        weights.set(hashToken(token), 1);
+    }
+    return toSparseVector(weights);
+}
+
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Merges several ranked result lists with Reciprocal Rank Fusion.
+ * @param {Array<Array<{id}>>} rankedLists - Each list ordered best first.
+ * @param {number} k - RRF damping constant.
+ * @returns {Array<{id, fusedScore, item}>} - Ordered best first.
+ */
+export function reciprocalRankFusion(rankedLists, k = 60) {
+    const fused = new Map();
+    for (const list of rankedLists) {
+        list.forEach((item, rank) => {
+            const entry = fused.get(item.id) || { id: item.id, fusedScore: 0, item };
+            entry.fusedScore += 1 / (k + rank + 1);
+            fused.set(item.id, entry);
+        });
+    }
+    return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Picks k candidates by Maximal Marginal Relevance, trading relevance against
+ * similarity to what has already been picked so near-duplicate chunks do not
+ * crowd out the rest.
+ * @param {Array<{relevance: number, vector: number[]}>} candidates
+ * @param {number} k
+ * @param {number} lambda - 1 is pure relevance, 0 is pure diversity.
+ * @returns {Array} - The selected candidates in pick order.
+ */
+export function maximalMarginalRelevance(candidates, k, lambda = 0.7) {
+    const remaining = [...candidates];
+    const selected = [];
+
+    while (selected.length < k && remaining.length > 0) {
+        let bestIndex = 0;
+        let bestScore = -Infinity;
+
+        remaining.forEach((candidate, index) => {
+            const redundancy = selected.length === 0
+                ? 0
+                : Math.max(...selected.map(s => cosineSimilarity(candidate.vector, s.vector)));
+            const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+
+        selected.push(remaining.splice(bestIndex, 1)[0]);
+    }
+    return selected;
+}
@@ -0,0 +1,276 @@
+import { Logger } from '../logger.js';
+import authService from './authService.js';
+import { redisClient } from '../redisClient.js';
+import { ROLES } from './permissions.js';
+
+const logger = new Logger();
+
+const ROSTER_COLUMNS = ['email', 'name', 'role', 'section'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Parses CSV text into rows of fields. Handles quoted fields containing commas,
+ * newlines and doubled quotes, CRLF line endings and a leading byte order mark.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Serialises rows to CSV, quoting fields that need it.
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Manages the course roster: who is whitelisted, who holds a staff role (TA,
+ * instructor, admin), and each person's name and section. The whitelist and
+ * role sets stay the source of truth for access; names and sections are kept in the Redis hash
+ * `user_profiles` as email -> JSON.
+ */
+class RosterService {
+    constructor() {
+        this.profilesKey = 'user_profiles';
+    }
+
+    async getProfiles() {
+        const stored = await redisClient.hGetAll(this.profilesKey);
+        return Object.fromEntries(Object.entries(stored).map(([email, json]) => [email, JSON.parse(json)]));
+    }
+
+    async getProfile(email) {
+        const stored = await redisClient.hGet(this.profilesKey, email);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    /**
+     * The current roster: every whitelisted or staff email with its role, name and section.
+     * @returns {Array<object>} - { email, name, role, section } sorted by email.
+     */
+    async getRoster() {
+        try {
+            const [whitelist, members, profiles] = await Promise.all([
+                authService.getWhitelist(),
+                authService.getRoleMembers(),
+                this.getProfiles()
+            ]);
+
+            // Sets are checked most privileged first, matching AuthService.getRole
+            const roleOf = new Map();
+            for (const [role, emails] of Object.entries(members).reverse()) {
+                emails.forEach(email => roleOf.set(email, role));
+            }
+            const emails = [...new Set([...whitelist, ...roleOf.keys()])].sort();
+
+            return emails.map(email => ({
+                email,
+                name: profiles[email]?.name || '',
+                role: roleOf.get(email) || 'student',
+                section: profiles[email]?.section || ''
+            }));
+        } catch (error) {
+            logger.error('Failed to load roster', { error: error.message });
+            throw error;
+        }
+    }
+
+    async exportCsv() {
+        const roster = await this.getRoster();
+        return toCsv([ROSTER_COLUMNS, ...roster.map(entry => ROSTER_COLUMNS.map(column => entry[column]))]);
+    }
+
+    /**
+     * Reads roster rows from CSV. The header row must contain an email column;
+     * name, role and section are optional and role defaults to student.
+     * @returns {object} - { entries, errors } where errors carry the CSV line number.
+     */
+    parseRoster(csvText) {
+        const rows = parseCsv(csvText || '');
+        if (rows.length === 0) throw new Error('The roster file is empty');
+
+        const header = rows[0].map(column => column.trim().toLowerCase());
+        const columnIndex = Object.fromEntries(ROSTER_COLUMNS.map(column => [column, header.indexOf(column)]));
+        if (columnIndex.email === -1) {
+            throw new Error('The roster must have a header row with an "email" column');
+        }
+
+        const entries = [];
+        const errors = [];
+        const seen = new Set();
+        const valueAt = (row, column) => columnIndex[column] === -1 ? '' : (row[columnIndex[column]] || '').trim();
+
+        rows.slice(1).forEach((row, index) => {
+            const line = index + 2;
+            const email = valueAt(row, 'email').toLowerCase();
+            const role = valueAt(row, 'role').toLowerCase() || 'student';
+
+            if (!EMAIL_PATTERN.test(email)) {
+                errors.push({ line, email, error: 'Invalid email address' });
+            } else if (!ROLES.includes(role)) {
+                errors.push({ line, email, error: `Unknown role "${role}" (expected one of ${ROLES.join(', ')})` });
+            } else if (seen.has(email)) {
+                errors.push({ line, email, error: 'Duplicate email' });
+            } else {
+                seen.add(email);
+                entries.push({ email, name: valueAt(row, 'name'), role, section: valueAt(row, 'section') });
+            }
+        });
+
+        return { entries, errors };
+    }
+
+    /**
+     * Compares an uploaded roster with the current one. Students missing from
+     * the uploaded roster are removed; staff missing from it are kept, since a
+     * class list usually leaves them out, and are only demoted by listing them
+     * with their new role. The admin running the import is never removed or
+     * demoted. Emails are compared ignoring case; an address already stored
+     * in another case keeps being updated under its stored spelling.
+     * @param {string} csvText
+     * @param {string} actingAdmin - Email of the admin running the import.
+     * @returns {object} - { add, remove, update, unchanged, kept, errors }
+     */
+    async diffRoster(csvText, actingAdmin) {
+        const { entries, errors } = this.parseRoster(csvText);
+        const self = String(actingAdmin || '').toLowerCase();
+        const current = new Map((await this.getRoster()).map(entry => [entry.email.toLowerCase(), entry]));
+        const incoming = new Map(entries.map(entry => [entry.email, entry]));
+
+        const diff = { add: [], remove: [], update: [], unchanged: 0, kept: [], errors };
+
+        for (const entry of entries) {
+            const existing = current.get(entry.email);
+            if (!existing) {
+                diff.add.push(entry);
+                continue;
+            }
+
+            const changes = {};
+            for (const field of ['name', 'role', 'section']) {
+                if (entry[field] !== existing[field]) changes[field] = { from: existing[field], to: entry[field] };
+            }
+
+            if (changes.role && entry.email === self) {
+                diff.kept.push({ email: existing.email, reason: 'You cannot demote yourself' });
+                delete changes.role;
+            }
+
+            if (Object.keys(changes).length > 0) {
+                diff.update.push({ ...entry, email: existing.email, role: changes.role ? entry.role : existing.role, changes });
+            } else {
+                diff.unchanged++;
+            }
+        }
+
+        for (const [email, existing] of current) {
+            if (incoming.has(email)) continue;
+            if (email === self) {
+                diff.kept.push({ email: existing.email, reason: 'You cannot remove yourself' });
+            } else if (existing.role !== 'student') {
+                diff.kept.push({ email: existing.email, reason: `Not in the file, but kept as ${existing.role}; list them with role "student" to demote them` });
+            } else {
+                diff.remove.push(existing);
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * Applies an uploaded roster. Nothing is changed if any row is invalid.
+     * @returns {object} - The diff that was applied.
+     */
+    async importRoster(csvText, actingAdmin) {
+        const diff = await this.diffRoster(csvText, actingAdmin);
+        if (diff.errors.length > 0) {
+            const error = new Error(`The roster has ${diff.errors.length} invalid row(s); nothing was imported`);
+            error.diff = diff;
+            throw error;
+        }
+
+        try {
+            for (const entry of [...diff.add, ...diff.update]) {
+                await redisClient.sAdd(authService.whitelistKey, entry.email);
+                await authService.setRole(entry.email, entry.role);
+                await this.#saveProfile(entry);
+            }
+
+            for (const entry of diff.remove) {
+                await redisClient.sRem(authService.whitelistKey, entry.email);
+                await authService.setRole(entry.email, 'student');
+                await redisClient.hDel(this.profilesKey, entry.email);
+                await authService.revokeAllSessions(entry.email);
+            }
+
+            logger.info('Roster imported', {
+                added: diff.add.length,
+                removed: diff.remove.length,
+                updated: diff.update.length,
+                unchanged: diff.unchanged,
+                importedBy: actingAdmin
+            });
+            return diff;
+        } catch (error) {
+            logger.error('Failed to import roster', { error: error.message, importedBy: actingAdmin });
+            throw error;
+        }
+    }
+
+    async #saveProfile({ email, name, section }) {
+        await redisClient.hSet(this.profilesKey, email, JSON.stringify({
+            email,
+            name,
+            section,
+            updatedAt: new Date().toISOString()
+        }));
+    }
+}
+
+export { RosterService };
@@ -5,17 +5,18 @@ import {
     userDailyQueries
 } from '../metrics.js';
 import authService from './authService.js';
+import { QuotaPolicyService } from './quotaPolicyService.js';
 import { redisClient } from '../redisClient.js';
 
 const logger = new Logger();
 
 class UserService {
     constructor() {
-        // Configuration for daily limits
+        // Limits themselves come from the quota policies
         this.config = {
-            dailyQueryLimit: parseInt(process.env.DAILY_QUERY_LIMIT) || 15,
             adminEmails: []
         };
+        this.quotaPolicies = new QuotaPolicyService();
     }
     //remember to init this stuff in ther server code.
     async init() {
@@ -46,38 +47,78 @@ class UserService {
     }
 
     /**
-     * Checks if a user has reached their daily query limit.
+     * Gets the date the current week started (Monday, UTC) as YYYY-MM-DD.
+     */
+    getWeekKey(now = new Date()) {
+        const monday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (now.getUTCDay() + 6) % 7));
+        return monday.toISOString().split('T')[0];
+    }
+
+    /**
+     * When each quota window next resets: midnight UTC for the daily window,
+     * Monday midnight UTC for the weekly one.
+     */
+    getResetTimes(now = new Date()) {
+        const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+        const nextMonday = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 7 - (now.getUTCDay() + 6) % 7);
+        return { daily: new Date(tomorrow).toISOString(), weekly: new Date(nextMonday).toISOString() };
+    }
+
+    // Quota counters are kept apart from the usage stats in user_queries:{email},
+    // so resetting a student's quota does not rewrite their history.
+    getQuotaKey(email) {
+        return `quota_usage:${email}`;
+    }
+
+    /**
+     * Checks if a user still has queries left in every quota window.
      * @param {string} email - The user's email.
-     * @returns {object} - An object indicating if the query is allowed.
-     * potential admin dashboard api
+     * @returns {object} - { allowed, remaining, resetAt, window, daily, weekly, boosts, isAdmin } where
+     *   daily and weekly are { window, limit, used, remaining, resetAt } (limit null when unlimited),
+     *   and remaining/resetAt/window describe whichever window runs out first.
      */
     async checkQueryLimit(email) {
         try {
             
             // Admins always have unlimited queries.
-            if (this.isAdmin(email)) {
-                return { allowed: true, remaining: 'unlimited', isAdmin: true };
+            if (await this.isAdmin(email)) {
+                return { allowed: true, remaining: 'unlimited', resetAt: null, isAdmin: true };
             }
 
-            const today = this.getTodayKey();
-            // Each user gets their own hash key, e.g., "user_queries:test@example.com"
-            const userKey = `user_queries:${email}`;
-            
-            // HGET retrieves the value for a specific field (today's date) from the user's hash.
-            const currentCount = await redisClient.hGet(userKey, today);
-            const used = parseInt(currentCount) || 0;
+            const limits = await this.quotaPolicies.resolveLimits(email);
+            const resets = this.getResetTimes();
+            const usage = await redisClient.hmGet(this.getQuotaKey(email), [`day:${this.getTodayKey()}`, `week:${this.getWeekKey()}`]);
 
-            const remaining = this.config.dailyQueryLimit - used;
+            const windows = {};
+            ['daily', 'weekly'].forEach((window, index) => {
+                const used = parseInt(usage[index]) || 0;
+                const limit = limits[window];
+                windows[window] = {
+                    window,
+                    limit,
+                    used,
+                    remaining: limit === null ? null : Math.max(0, limit - used),
+                    resetAt: resets[window]
+                };
+            });
 
-            if (used >= this.config.dailyQueryLimit) {
-                userQueryLimitHitsTotal.inc({ email });
-            }
+            // The window with the fewest queries left is the one that binds;
+            // when both are used up, the one that resets later
+            const binding = Object.values(windows)
+                .filter(window => window.limit !== null)
+                .sort((a, b) => a.remaining - b.remaining || b.resetAt.localeCompare(a.resetAt))[0];
+            const allowed = !binding || binding.remaining > 0;
 
             return {
-                allowed: used < this.config.dailyQueryLimit,
-                remaining: Math.max(0, remaining),
-                used: used,
-                limit: this.config.dailyQueryLimit,
+                allowed,
+                remaining: binding ? binding.remaining : 'unlimited',
+                resetAt: binding ? binding.resetAt : null,
+                window: binding ? binding.window : null,
+                used: windows.daily.used,
+                limit: windows.daily.limit,
+                daily: windows.daily,
+                weekly: windows.weekly,
+                boosts: limits.boosts.map(({ id, extraDaily, extraWeekly, endsAt, note }) => ({ id, extraDaily, extraWeekly, endsAt, note })),
                 isAdmin: false
             };
         } catch (error) {
@@ -96,7 +137,7 @@ class UserService {
         try {
 
             // Don't count queries for admins against the limit.
-            if (this.isAdmin(email)) {
+            if (await this.isAdmin(email)) {
                 logger.info('Admin query recorded (not counted towards limit)', { email });
                 return;
             }
@@ -112,8 +153,14 @@ class UserService {
             // delete this user's hash, keeping our database clean.
             await redisClient.expire(userKey, 30 * 24 * 60 * 60);
 
+            const quotaKey = this.getQuotaKey(email);
+            await redisClient.hIncrBy(quotaKey, `day:${today}`, 1);
+            await redisClient.hIncrBy(quotaKey, `week:${this.getWeekKey()}`, 1);
+            // Long enough to outlive the current week
+            await redisClient.expire(quotaKey, 14 * 24 * 60 * 60);
+
             // Prometheus — total queries
-            userQueriesTotal.inc({ email, isAdmin: isAdmin.toString() });
+            userQueriesTotal.inc({ email, isAdmin: 'false' });
 
             // Prometheus — per user/date gauge
             userDailyQueries.set({ email, date: today }, newCount);
@@ -129,6 +176,71 @@ class UserService {
             // Don't re-throw the error, as we don't want to block the user's request.
         }
     }
+
+    /**
+     * Records that a query was turned away by the quota, for the analytics
+     * dashboard (`limit_hits:{date}` hash of email -> count) and Prometheus.
+     * @param {string} email - The user's email.
+     */
+    async recordLimitHit(email) {
+        userQueryLimitHitsTotal.inc({ email });
+
+        try {
+            const hitsKey = `limit_hits:${this.getTodayKey()}`;
+            await redisClient.hIncrBy(hitsKey, email, 1);
+            await redisClient.expire(hitsKey, 30 * 24 * 60 * 60);
+        } catch (error) {
+            logger.error('Failed to record query limit hit in Redis', { email, error: error.message });
+        }
+    }
+
+    /**
+     * Limit hits per user on each of the given dates.
+     * @param {string[]} dates - YYYY-MM-DD dates.
+     * @returns {object} - { date: { email: count } }
+     */
+    async getLimitHits(dates) {
+        const hits = {};
+        for (const date of dates) {
+            const stored = await redisClient.hGetAll(`limit_hits:${date}`);
+            hits[date] = Object.fromEntries(Object.entries(stored).map(([email, count]) => [email, parseInt(count, 10)]));
+        }
+        return hits;
+    }
+
+    /**
+     * Resets a user's quota counters so they can query again straight away.
+     * Their usage stats are left as they are.
+     * @param {string} email - The user's email.
+     * @param {string} window - "daily", "weekly" or "all".
+     * @returns {object} - The counts that were cleared, { daily, weekly }.
+     */
+    async resetQueryCount(email, window = 'all') {
+        if (!['daily', 'weekly', 'all'].includes(window)) {
+            throw new Error('window must be one of: daily, weekly, all');
+        }
+
+        try {
+            const quotaKey = this.getQuotaKey(email);
+            const fields = {
+                daily: `day:${this.getTodayKey()}`,
+                weekly: `week:${this.getWeekKey()}`
+            };
+            const cleared = {};
+
+            for (const [name, field] of Object.entries(fields)) {
+                if (window !== 'all' && window !== name) continue;
+                cleared[name] = parseInt(await redisClient.hGet(quotaKey, field)) || 0;
+                await redisClient.hDel(quotaKey, field);
+            }
+
+            logger.info('Query quota reset', { email, window, cleared });
+            return cleared;
+        } catch (error) {
+            logger.error('Failed to reset query quota', { email, window, error: error.message });
+            throw error;
+        }
+    }
     
     // admin api
     async getUserStats(email) {
@@ -145,9 +257,9 @@ class UserService {
     //admin api
     async getAllUserStats() {
         const allStats = {};
-        let cursor = 0;
+        let cursor = '0';
         do {
-            const [nextCursor, keys] = await redisClient.scan(cursor, {
+            const { cursor: nextCursor, keys } = await redisClient.scan(cursor, {
                 MATCH: 'user_queries:*',
                 COUNT: 100
             });
@@ -163,8 +275,8 @@ class UserService {
 
                 allStats[email] = stats;
             }
-            cursor = parseInt(nextCursor, 10);
-        } while (cursor !== 0);
+            cursor = String(nextCursor);
+        } while (cursor !== '0');
 
         return allStats;
     }
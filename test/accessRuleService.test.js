@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AccessRuleService } from '../services/accessRuleService.js';
+
+// Evaluates against the given rules instead of the ones stored in Redis
+function serviceWith(definitions) {
+    const service = new AccessRuleService();
+    const rules = definitions.map((definition, index) => ({
+        id: `rule_${index}`,
+        ...service.validateRule(definition),
+        ...(definition.expiresAt && { expiresAt: definition.expiresAt })
+    }));
+    service.listRules = async () => rules;
+    return service;
+}
+
+describe('AccessRuleService', () => {
+    describe('validateRule', () => {
+        it('normalises values and defaults to allow', () => {
+            const service = new AccessRuleService();
+            assert.deepEqual(service.validateRule({ type: 'domain', value: ' @Ashoka.EDU.in ' }), {
+                type: 'domain', value: 'ashoka.edu.in', effect: 'allow', expiresAt: null, note: ''
+            });
+        });
+
+        it('rejects unknown types and effects, empty values and bad regexes', () => {
+            const service = new AccessRuleService();
+            assert.throws(() => service.validateRule({ type: 'glob', value: 'x' }), /Rule type/);
+            assert.throws(() => service.validateRule({ type: 'email', value: 'a@b.c', effect: 'maybe' }), /Rule effect/);
+            assert.throws(() => service.validateRule({ type: 'email', value: '  ' }), /value is required/);
+            assert.throws(() => service.validateRule({ type: 'regex', value: '(unclosed' }), SyntaxError);
+            assert.throws(() => service.validateRule({ type: 'email', value: 'a@b.c', expiresAt: 'soon' }), /expiresAt/);
+        });
+    });
+
+    describe('evaluate', () => {
+        it('matches each rule type', async () => {
+            const service = serviceWith([
+                { type: 'email', value: 'guest@gmail.com' },
+                { type: 'domain', value: 'ashoka.edu.in' },
+                { type: 'pattern', value: '*_ug2025@students.org' },
+                { type: 'regex', value: 'ta[0-9]+@staff\\.org' }
+            ]);
+
+            for (const email of ['Guest@Gmail.com', 'someone@ashoka.edu.in', 'a.b_ug2025@students.org', 'ta12@staff.org']) {
+                assert.equal((await service.evaluate(email)).allowed, true, email);
+            }
+            for (const email of ['guest@gmail.co', 'someone@notashoka.edu.in.evil', 'a.b_ug2024@students.org', 'ta@staff.org']) {
+                assert.equal((await service.evaluate(email)).allowed, false, email);
+            }
+        });
+
+        it('matches regex rules against the whole address', async () => {
+            const service = serviceWith([
+                { type: 'regex', value: 'bad@x\\.edu', effect: 'deny' },
+                { type: 'regex', value: '.*@x\\.edu' }
+            ]);
+
+            assert.equal((await service.evaluate('bad@x.edu')).allowed, false);
+            assert.equal((await service.evaluate('notbad@x.edu')).allowed, true);
+            assert.equal((await service.evaluate('bad@x.edu.evil')).allowed, false);
+            assert.equal((await service.evaluate('bad@x.edu.evil')).rule, null);
+        });
+
+        it('lets a deny rule win over an allow rule', async () => {
+            const service = serviceWith([
+                { type: 'domain', value: 'ashoka.edu.in' },
+                { type: 'email', value: 'banned@ashoka.edu.in', effect: 'deny' }
+            ]);
+
+            const { allowed, rule } = await service.evaluate('banned@ashoka.edu.in');
+            assert.equal(allowed, false);
+            assert.equal(rule.effect, 'deny');
+        });
+
+        it('ignores expired rules', async () => {
+            const service = serviceWith([
+                { type: 'email', value: 'old@x.edu', expiresAt: '2000-01-01T00:00:00Z' },
+                { type: 'email', value: 'new@x.edu', expiresAt: '2999-01-01T00:00:00Z' }
+            ]);
+
+            assert.equal((await service.evaluate('old@x.edu')).allowed, false);
+            assert.equal((await service.evaluate('new@x.edu')).allowed, true);
+        });
+    });
+});
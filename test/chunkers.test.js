@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, chunkMarkdown, chunkOcaml, chunkNotebook } from '../services/chunkers.js';
+
+describe('chunkText', () => {
+    it('splits on sentence boundaries without breaking dotted names', () => {
+        const chunks = chunkText('List.map applies f to every element. It returns a new list of the results.', 40);
+        assert.equal(chunks.length, 2);
+        assert.equal(chunks[0], 'List.map applies f to every element.');
+        assert.ok(chunks[1].endsWith('It returns a new list of the results.'));
+    });
+
+    it('keeps short text in one chunk', () => {
+        assert.deepEqual(chunkText('Short text. Still short.'), ['Short text. Still short.']);
+    });
+});
+
+describe('chunkMarkdown', () => {
+    const markdown = [
+        'Course intro.',
+        '# Lists',
+        'Lists are immutable.',
+        '## Folds',
+        'Use a fold to combine elements.',
+        '```ocaml\nlet total = List.fold_left ( + ) 0 xs\n```',
+        '# Records',
+        'Records have named fields.'
+    ].join('\n\n');
+
+    it('keeps each chunk inside one section and records its heading path', () => {
+        const chunks = chunkMarkdown(markdown);
+        assert.deepEqual(chunks.map(chunk => chunk.metadata.sectionPath), [[], ['Lists'], ['Lists', 'Folds'], ['Records']]);
+        assert.equal(chunks[2].metadata.section, 'Lists › Folds');
+    });
+
+    it('opens each chunk with its heading path', () => {
+        const chunks = chunkMarkdown(markdown);
+        assert.equal(chunks[0].text, 'Course intro.');
+        assert.equal(chunks[1].text, 'Lists\n\nLists are immutable.');
+        assert.ok(chunks[2].text.startsWith('Lists › Folds\n\nUse a fold'));
+        assert.ok(chunks[2].text.includes('List.fold_left'));
+    });
+
+    it('never splits a code block, even an oversized one', () => {
+        const code = '```ocaml\n' + Array.from({ length: 40 }, (_, i) => `let v${i} = ${i}`).join('\n') + '\n```';
+        const chunks = chunkMarkdown(`# Big\n\nBefore.\n\n${code}\n\nAfter.`, 200);
+        const withCode = chunks.filter(chunk => chunk.text.includes('```'));
+        assert.equal(withCode.length, 1);
+        assert.ok(withCode[0].text.endsWith(code));
+    });
+});
+
+describe('chunkOcaml', () => {
+    const source = [
+        'open List',
+        'open Printf',
+        '',
+        '(* Adds up a list',
+        '   of integers *)',
+        'let rec sum = function',
+        '  | [] -> 0',
+        '  | x :: rest -> x + sum rest',
+        '',
+        '(* let fake = this is only a comment *)',
+        'type shape = Circle of float | Square of float',
+        '',
+        'let message = "let inside a string',
+        'let still_inside = 1"'
+    ].join('\n');
+
+    it('makes one chunk per top-level definition with its comment', () => {
+        const chunks = chunkOcaml(source);
+        assert.deepEqual(chunks.map(chunk => chunk.metadata.definition), [null, 'let rec sum', 'type shape', 'let message']);
+        assert.ok(chunks[1].text.startsWith('(* Adds up a list'));
+        assert.ok(chunks[1].text.endsWith('x + sum rest'));
+        assert.equal(chunks[1].metadata.startLine, 4);
+    });
+
+    it('groups consecutive opens', () => {
+        assert.equal(chunkOcaml(source)[0].text, 'open List\nopen Printf');
+    });
+
+    it('does not start a definition inside a comment or string', () => {
+        const chunks = chunkOcaml(source);
+        assert.ok(chunks[2].text.startsWith('(* let fake'));
+        assert.ok(chunks[3].text.endsWith('let still_inside = 1"'));
+    });
+});
+
+describe('chunkNotebook', () => {
+    const notebook = {
+        metadata: { language_info: { name: 'ocaml' } },
+        cells: [
+            { cell_type: 'markdown', source: ['# Recursion\n', 'Functions that call themselves.'] },
+            { cell_type: 'code', source: 'let rec fact n = if n = 0 then 1 else n * fact (n - 1)', metadata: { tags: ['example'] } },
+            { cell_type: 'raw', source: 'ignored' },
+            { cell_type: 'markdown', source: '## Tail calls\nAn accumulator keeps the stack flat.' },
+            { cell_type: 'code', source: '' }
+        ]
+    };
+
+    it('keeps markdown and code cells in order and fences code in the notebook language', () => {
+        const [first] = chunkNotebook(notebook);
+        assert.equal(first.text, '# Recursion\nFunctions that call themselves.\n\n```ocaml\nlet rec fact n = if n = 0 then 1 else n * fact (n - 1)\n```');
+        assert.deepEqual(first.metadata.cellIndices, [0, 1]);
+        assert.deepEqual(first.metadata.cellTypes, ['markdown', 'code']);
+        assert.deepEqual(first.metadata.cellTags, ['example']);
+    });
+
+    it('starts a chunk at each heading and tracks the section path', () => {
+        const chunks = chunkNotebook(notebook);
+        assert.deepEqual(chunks.map(chunk => chunk.metadata.section), ['Recursion', 'Recursion › Tail calls']);
+        assert.deepEqual(chunks[1].metadata.cellIndices, [3]);
+    });
+});
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { dateRangeBounds } from '../services/dateRange.js';
+
+describe('dateRangeBounds', () => {
+    it('leaves missing bounds open', () => {
+        assert.deepEqual(dateRangeBounds(), { min: -Infinity, max: Infinity });
+    });
+
+    it('covers the whole of a date-only `to` day', () => {
+        const { min, max } = dateRangeBounds('2025-03-01', '2025-03-02');
+        assert.equal(min, Date.parse('2025-03-01T00:00:00.000Z'));
+        assert.equal(max, Date.parse('2025-03-02T23:59:59.999Z'));
+        assert.ok(Date.parse('2025-03-02T18:30:00Z') <= max);
+        assert.ok(Date.parse('2025-03-03T00:00:00Z') > max);
+    });
+
+    it('takes a `to` with a time as it is', () => {
+        assert.equal(dateRangeBounds(null, '2025-03-02T12:00:00Z').max, Date.parse('2025-03-02T12:00:00Z'));
+    });
+
+    it('returns NaN for dates it cannot parse', () => {
+        assert.ok(Number.isNaN(dateRangeBounds('yesterday').min));
+        assert.ok(Number.isNaN(dateRangeBounds(null, '2025-13-45').max));
+    });
+});
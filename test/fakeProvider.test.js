@@ -0,0 +1,153 @@
+// Runs the query routes end to end against the offline fake provider.
+// Needs a Redis server (REDIS_URL, default localhost:6379); skipped without one.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import crypto from 'node:crypto';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import jwt from 'jsonwebtoken';
+import { createClient } from 'redis';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const JWT_SECRET = process.env.JWT_SECRET || 'fake-provider-test-secret';
+const PROMPT = 'How does List.fold_left work in OCaml?';
+const STARTUP_TIMEOUT_MS = 20000;
+
+async function redisAvailable() {
+    const client = createClient({ url: process.env.REDIS_URL, socket: { connectTimeout: 2000, reconnectStrategy: false } });
+    client.on('error', () => {});
+    try {
+        await client.connect();
+        await client.close();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Splits a Server-Sent Events body into { event, data } pairs
+function parseEvents(body) {
+    return body.split('\n\n').filter(Boolean).map(raw => {
+        const lines = raw.split('\n');
+        const event = lines.find(line => line.startsWith('event: '))?.slice(7) || 'message';
+        const data = lines.filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('');
+        return { event, data: data ? JSON.parse(data) : {} };
+    });
+}
+
+const skip = await redisAvailable() ? false : 'Redis is not reachable at REDIS_URL';
+
+describe('query routes with LLM_PROVIDER=fake', { skip }, () => {
+    const email = `fake-provider-test-${crypto.randomUUID()}@example.com`;
+    let server;
+    let baseUrl;
+    let serverOutput = '';
+    let headers;
+    let conversationId;
+
+    before(async () => {
+        const port = await freePort();
+        baseUrl = `http://127.0.0.1:${port}`;
+
+        server = spawn(process.execPath, ['server.js'], {
+            cwd: rootDir,
+            env: {
+                ...process.env,
+                LLM_PROVIDER: 'fake',
+                RETRIEVAL_ENABLED: 'false',
+                MODERATION_CLASSIFIER: 'false',
+                PORT: String(port),
+                JWT_SECRET,
+                SESSION_SECRET: process.env.SESSION_SECRET || 'fake-provider-test-session',
+                EMAIL_USER: process.env.EMAIL_USER || 'tests@example.com',
+                EMAIL_PASS: process.env.EMAIL_PASS || 'unused'
+            },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        server.stdout.on('data', chunk => { serverOutput += chunk; });
+        server.stderr.on('data', chunk => { serverOutput += chunk; });
+
+        const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+        while (true) {
+            if (server.exitCode !== null) throw new Error(`Server exited during startup:\n${serverOutput}`);
+            try {
+                if ((await fetch(`${baseUrl}/health`)).ok) break;
+            } catch (error) {
+                // Not listening yet
+            }
+            if (Date.now() > deadline) throw new Error(`Server did not start within ${STARTUP_TIMEOUT_MS}ms:\n${serverOutput}`);
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+
+        const token = jwt.sign({ email, role: 'student', sid: crypto.randomUUID() }, JWT_SECRET, { expiresIn: 600, jwtid: crypto.randomUUID() });
+        headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+    });
+
+    after(async () => {
+        if (server && server.exitCode === null) {
+            const exited = new Promise(resolve => server.once('exit', resolve));
+            server.kill();
+            await exited;
+        }
+
+        // Remove what the requests stored for the test user
+        const redis = createClient({ url: process.env.REDIS_URL });
+        redis.on('error', () => {});
+        await redis.connect();
+        const conversationIds = await redis.zRange(`user_conversations:${email}`, 0, -1);
+        const keys = conversationIds.flatMap(id => [`conversation:${id}`, `hint_ladder:${id}`]);
+        for await (const batch of redis.scanIterator({ MATCH: `*${email}*` })) keys.push(...batch);
+        if (keys.length > 0) await redis.del(keys);
+        await redis.close();
+    });
+
+    it('answers POST /api/query with the fake reply', async () => {
+        const response = await fetch(`${baseUrl}/api/query`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ prompt: PROMPT })
+        });
+        assert.equal(response.status, 200);
+
+        const body = await response.json();
+        assert.match(body.message, /\[fake-tutor\] Turn 1/);
+        assert.ok(body.message.includes(`You asked: "${PROMPT}"`));
+        assert.ok(body.messageId);
+        assert.ok(body.conversationId);
+        conversationId = body.conversationId;
+    });
+
+    it('streams POST /api/query/stream as token events followed by done', async () => {
+        const response = await fetch(`${baseUrl}/api/query/stream`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ prompt: PROMPT, conversationId })
+        });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+        const events = parseEvents(await response.text());
+        const tokens = events.filter(event => event.event === 'token');
+        const done = events.find(event => event.event === 'done');
+
+        assert.ok(tokens.length > 1, 'the reply arrives in several token events');
+        assert.ok(done, 'a done event ends the stream');
+        assert.equal(events.at(-1), done);
+        assert.equal(tokens.map(event => event.data.text).join(''), done.data.message);
+        // Continues the conversation of the previous test
+        assert.match(done.data.message, /\[fake-tutor\] Turn 2/);
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { IntegrityGuard, REDACTION_NOTE } from '../services/integrityGuard.js';
+
+const ocaml = code => '```ocaml\n' + code + '\n```';
+
+const RECURSIVE = ocaml('let rec sum l = match l with [] -> 0 | x :: rest -> x + sum rest');
+const LONG = ocaml(['let a = 1', 'let b = 2', 'let c = 3', 'let d = 4'].join('\n'));
+
+describe('IntegrityGuard', () => {
+    const guard = new IntegrityGuard({ mode: 'rewrite', maxLines: 3 });
+
+    it('rejects an unknown mode', () => {
+        assert.throws(() => new IntegrityGuard({ mode: 'block' }), /Unknown integrity guard mode/);
+    });
+
+    it('lets one-line syntax examples and placeholders through', () => {
+        assert.deepEqual(guard.inspect(ocaml('let x = List.map (fun y -> y + 1) xs')), []);
+        assert.deepEqual(guard.inspect(ocaml('let rec sum l =\n  (* TODO *) ...')), []);
+    });
+
+    it('flags the rules an OCaml block breaks', () => {
+        assert.deepEqual(guard.inspect(RECURSIVE).map(block => block.rules), [['complete_definition']]);
+        assert.deepEqual(guard.inspect(LONG).map(block => block.rules), [['too_long']]);
+        assert.deepEqual(guard.inspect(ocaml('let () = print_endline "hi"')).map(block => block.rules), [['entry_point']]);
+    });
+
+    it('ignores code in other languages', () => {
+        const python = '```python\ndef f(x):\n    a = 1\n    b = 2\n    return a + b + x\n```';
+        assert.deepEqual(guard.inspect(python), []);
+    });
+
+    it('treats unlabelled blocks that look like OCaml as OCaml', () => {
+        assert.equal(guard.inspect('```\nlet rec len = function [] -> 0 | _ :: t -> 1 + len t\n```').length, 1);
+    });
+
+    it('redacts only the offending blocks', () => {
+        const text = `Start.\n${RECURSIVE}\nMiddle.\n${ocaml('let x = 1')}\nEnd.`;
+        const redacted = guard.redact(text);
+        assert.ok(redacted.includes(REDACTION_NOTE));
+        assert.ok(!redacted.includes('let rec sum'));
+        assert.ok(redacted.includes('let x = 1'));
+        assert.ok(redacted.startsWith('Start.') && redacted.endsWith('End.'));
+    });
+
+    describe('enforce', () => {
+        it('leaves a clean reply alone without asking for a rewrite', async () => {
+            const result = await guard.enforce('No code here.', () => assert.fail('rewrite should not be called'));
+            assert.equal(result.action, 'none');
+            assert.equal(result.triggered, false);
+        });
+
+        it('uses a rewrite that follows the rules', async () => {
+            const result = await guard.enforce(RECURSIVE, async instruction => {
+                assert.match(instruction, /complete top-level function definition/);
+                return 'Think about the empty list first.';
+            });
+            assert.equal(result.action, 'rewritten');
+            assert.equal(result.text, 'Think about the empty list first.');
+            assert.deepEqual(result.rules, ['complete_definition']);
+        });
+
+        it('redacts when the rewrite still breaks the rules or fails', async () => {
+            const stillBad = await guard.enforce(RECURSIVE, async () => `Here:\n${LONG}`);
+            assert.equal(stillBad.action, 'redacted');
+            assert.equal(stillBad.text, `Here:\n${REDACTION_NOTE}`);
+
+            const failed = await guard.enforce(RECURSIVE, async () => { throw new Error('provider down'); });
+            assert.equal(failed.action, 'redacted');
+            assert.equal(failed.text, REDACTION_NOTE);
+        });
+
+        it('redacts straight away in redact mode', async () => {
+            const redactGuard = new IntegrityGuard({ mode: 'redact', maxLines: 3 });
+            const result = await redactGuard.enforce(RECURSIVE, () => assert.fail('rewrite should not be called'));
+            assert.equal(result.action, 'redacted');
+        });
+
+        it('does nothing when turned off', async () => {
+            const result = await new IntegrityGuard({ mode: 'off' }).enforce(RECURSIVE);
+            assert.equal(result.triggered, false);
+            assert.equal(result.text, RECURSIVE);
+        });
+    });
+
+    describe('createStreamFilter', () => {
+        const stream = (chunks) => {
+            const shown = [];
+            const filter = guard.createStreamFilter(text => shown.push(text));
+            chunks.forEach(chunk => filter.push(chunk));
+            return { withheld: filter.flush(), shown: shown.join('') };
+        };
+
+        it('passes prose and allowed code through, even when a fence is split across tokens', () => {
+            const { withheld, shown } = stream(['Try this: `', '``ocaml\nlet x', ' = 1\n``', '` and see.']);
+            assert.equal(withheld, false);
+            assert.equal(shown, `Try this: ${ocaml('let x = 1')} and see.`);
+        });
+
+        it('holds back a block that breaks the rules and everything after it', () => {
+            const { withheld, shown } = stream(['Intro.\n', RECURSIVE.slice(0, 20), RECURSIVE.slice(20), '\nMore text.']);
+            assert.equal(withheld, true);
+            assert.equal(shown, 'Intro.\n');
+        });
+    });
+});
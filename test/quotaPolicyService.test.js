@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The service reads sections through the roster, which goes through AuthService,
+// whose mailer refuses to load without credentials
+process.env.EMAIL_USER ??= 'tests@example.com';
+process.env.EMAIL_PASS ??= 'unused';
+const { QuotaPolicyService } = await import('../services/quotaPolicyService.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Resolves against the given policies, profiles and boosts instead of the ones stored in Redis
+function serviceWith({ policies = {}, profiles = {}, boosts = [] } = {}) {
+    const service = new QuotaPolicyService();
+    service.envDefaults = { daily: 15, weekly: null };
+    service.getPolicy = async (scope, target) => policies[scope === 'default' ? 'default' : `${scope}:${target}`] || null;
+    service.rosterService.getProfile = async email => profiles[email] || null;
+    service.listBoosts = async () => boosts.map(boost => ({ ...boost, expired: Date.parse(boost.endsAt) <= Date.now() }));
+    return service;
+}
+
+function boost(scope, target, extra, { startsIn = -HOUR_MS, endsIn = HOUR_MS } = {}) {
+    return {
+        scope,
+        target,
+        extraDaily: extra,
+        extraWeekly: 0,
+        startsAt: new Date(Date.now() + startsIn).toISOString(),
+        endsAt: new Date(Date.now() + endsIn).toISOString()
+    };
+}
+
+describe('QuotaPolicyService', () => {
+    describe('resolveLimits', () => {
+        it('falls back to the environment defaults', async () => {
+            const limits = await serviceWith().resolveLimits('a@x.edu');
+            assert.deepEqual(
+                { daily: limits.daily, weekly: limits.weekly, source: limits.source },
+                { daily: 15, weekly: null, source: { daily: 'default', weekly: 'default' } }
+            );
+        });
+
+        it('resolves each window from the most specific level that sets it', async () => {
+            const service = serviceWith({
+                policies: {
+                    default: { daily: 10, weekly: 50 },
+                    'section:S1': { weekly: 80 },
+                    'user:a@x.edu': { daily: 30 }
+                },
+                profiles: { 'a@x.edu': { section: 'S1' } }
+            });
+
+            const limits = await service.resolveLimits(' A@X.edu ');
+            assert.equal(limits.section, 'S1');
+            assert.deepEqual([limits.daily, limits.weekly], [30, 80]);
+            assert.deepEqual(limits.source, { daily: 'user', weekly: 'section' });
+        });
+
+        it('keeps an unlimited override unlimited', async () => {
+            const service = serviceWith({
+                policies: { default: { daily: 10 }, 'user:a@x.edu': { daily: null } },
+                boosts: [boost('all', null, 5)]
+            });
+            assert.equal((await service.resolveLimits('a@x.edu')).daily, null);
+        });
+
+        it('adds the boosts that apply to the user right now', async () => {
+            const service = serviceWith({
+                profiles: { 'a@x.edu': { section: 'S1' } },
+                boosts: [
+                    boost('all', null, 1),
+                    boost('section', 'S1', 2),
+                    boost('section', 'S2', 100),
+                    boost('user', 'a@x.edu', 4),
+                    boost('user', 'b@x.edu', 100),
+                    boost('all', null, 100, { startsIn: HOUR_MS, endsIn: 2 * HOUR_MS }),
+                    boost('all', null, 100, { startsIn: -2 * HOUR_MS, endsIn: -HOUR_MS })
+                ]
+            });
+
+            const limits = await service.resolveLimits('a@x.edu');
+            assert.equal(limits.daily, 15 + 1 + 2 + 4);
+            assert.equal(limits.boosts.length, 3);
+        });
+    });
+
+    describe('validatePolicy', () => {
+        it('keeps only the windows given and treats empty as unlimited', () => {
+            const service = new QuotaPolicyService();
+            assert.deepEqual(service.validatePolicy({ daily: '20', weekly: '' }), { daily: 20, weekly: null });
+            assert.deepEqual(service.validatePolicy({ weekly: 0 }), { weekly: 0 });
+        });
+
+        it('rejects negative or fractional limits and empty policies', () => {
+            const service = new QuotaPolicyService();
+            assert.throws(() => service.validatePolicy({ daily: -1 }), /whole number/);
+            assert.throws(() => service.validatePolicy({ weekly: 2.5 }), /whole number/);
+            assert.throws(() => service.validatePolicy({}), /daily or weekly/);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    tokenize,
+    extractExactTerms,
+    cosineSimilarity,
+    reciprocalRankFusion,
+    maximalMarginalRelevance
+} from '../services/retrievalUtils.js';
+
+describe('tokenize', () => {
+    it('drops stopwords and keeps dotted identifiers whole and in parts', () => {
+        const tokens = tokenize('How does List.fold_left work?');
+        assert.ok(!tokens.includes('how') && !tokens.includes('does'));
+        assert.ok(tokens.includes('list.fold_left'));
+        assert.ok(tokens.includes('fold_left'));
+        assert.ok(tokens.includes('fold') && tokens.includes('left'));
+    });
+});
+
+describe('extractExactTerms', () => {
+    it('picks out quoted strings and identifiers', () => {
+        assert.deepEqual(
+            extractExactTerms('Why do I get "Unbound value" from List.nth?'),
+            ['unbound value', 'list.nth']
+        );
+    });
+});
+
+describe('reciprocalRankFusion', () => {
+    it('ranks items found by several lists first', () => {
+        const dense = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+        const keyword = [{ id: 'c' }, { id: 'd' }];
+        const fused = reciprocalRankFusion([dense, keyword], 60);
+
+        assert.deepEqual(fused.map(entry => entry.id), ['c', 'a', 'b', 'd']);
+        assert.equal(fused[0].fusedScore, 1 / 63 + 1 / 61);
+        assert.equal(fused[1].fusedScore, 1 / 61);
+    });
+
+    it('keeps the first copy of an item as its payload', () => {
+        const [entry] = reciprocalRankFusion([[{ id: 'a', from: 'dense' }], [{ id: 'a', from: 'keyword' }]]);
+        assert.equal(entry.item.from, 'dense');
+    });
+});
+
+describe('maximalMarginalRelevance', () => {
+    const candidates = [
+        { id: 'best', relevance: 0.9, vector: [1, 0] },
+        { id: 'duplicate', relevance: 0.88, vector: [1, 0] },
+        { id: 'different', relevance: 0.7, vector: [0, 1] }
+    ];
+
+    it('skips a near duplicate of what it already picked', () => {
+        assert.deepEqual(maximalMarginalRelevance(candidates, 2, 0.7).map(c => c.id), ['best', 'different']);
+    });
+
+    it('ranks by relevance alone when lambda is 1', () => {
+        assert.deepEqual(maximalMarginalRelevance(candidates, 2, 1).map(c => c.id), ['best', 'duplicate']);
+    });
+
+    it('returns every candidate when asked for more than there are', () => {
+        assert.equal(maximalMarginalRelevance(candidates, 10).length, 3);
+    });
+});
+
+describe('cosineSimilarity', () => {
+    it('is 1 for parallel vectors and 0 for orthogonal or mismatched ones', () => {
+        assert.ok(Math.abs(cosineSimilarity([1, 2], [2, 4]) - 1) < 1e-12);
+        assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+        assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+    });
+});
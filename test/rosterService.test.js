@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The roster goes through AuthService, whose mailer refuses to load without credentials
+process.env.EMAIL_USER ??= 'tests@example.com';
+process.env.EMAIL_PASS ??= 'unused';
+const { RosterService, parseCsv, toCsv } = await import('../services/rosterService.js');
+
+// Diffs against the given roster instead of the one stored in Redis
+function serviceWith(roster) {
+    const service = new RosterService();
+    service.getRoster = async () => roster;
+    return service;
+}
+
+const student = (email, extra = {}) => ({ email, name: '', role: 'student', section: '', ...extra });
+
+describe('parseCsv', () => {
+    it('handles quotes, embedded commas and newlines, CRLF and a byte order mark', () => {
+        const text = '\uFEFFemail,name\r\n"a@x.edu","Doe, Jane"\r\nb@x.edu,"Line one\nline two"\r\n"c@x.edu","Say ""hi"""\r\n\r\n';
+        assert.deepEqual(parseCsv(text), [
+            ['email', 'name'],
+            ['a@x.edu', 'Doe, Jane'],
+            ['b@x.edu', 'Line one\nline two'],
+            ['c@x.edu', 'Say "hi"']
+        ]);
+    });
+
+    it('reads back what toCsv writes', () => {
+        const rows = [['email', 'name'], ['a@x.edu', 'Doe, "JJ"'], ['b@x.edu', null]];
+        assert.deepEqual(parseCsv(toCsv(rows)), [['email', 'name'], ['a@x.edu', 'Doe, "JJ"'], ['b@x.edu', '']]);
+    });
+});
+
+describe('RosterService', () => {
+    describe('parseRoster', () => {
+        it('lowercases emails and roles and defaults the role to student', () => {
+            const { entries, errors } = new RosterService().parseRoster('Email,Name,Role,Section\nA@X.edu,Ann,TA,S1\nb@x.edu,Ben,,S2\n');
+            assert.deepEqual(errors, []);
+            assert.deepEqual(entries, [
+                { email: 'a@x.edu', name: 'Ann', role: 'ta', section: 'S1' },
+                { email: 'b@x.edu', name: 'Ben', role: 'student', section: 'S2' }
+            ]);
+        });
+
+        it('reports invalid rows with their line numbers', () => {
+            const { entries, errors } = new RosterService().parseRoster('email,role\nnot-an-email,\na@x.edu,wizard\nb@x.edu,\nB@x.edu,\n');
+            assert.equal(entries.length, 1);
+            assert.deepEqual(errors.map(error => [error.line, error.error.split(' (')[0]]), [
+                [2, 'Invalid email address'],
+                [3, 'Unknown role "wizard"'],
+                [5, 'Duplicate email']
+            ]);
+        });
+
+        it('needs an email column', () => {
+            assert.throws(() => new RosterService().parseRoster('name\nAnn\n'), /"email" column/);
+            assert.throws(() => new RosterService().parseRoster(''), /empty/);
+        });
+    });
+
+    describe('diffRoster', () => {
+        it('sorts rows into added, updated, unchanged and removed', async () => {
+            const service = serviceWith([
+                student('same@x.edu', { name: 'Sam' }),
+                student('moved@x.edu', { section: 'S1' }),
+                student('gone@x.edu')
+            ]);
+            const diff = await service.diffRoster('email,name,section\nsame@x.edu,Sam,\nmoved@x.edu,,S2\nnew@x.edu,Nia,S1\n', 'admin@x.edu');
+
+            assert.deepEqual(diff.add.map(entry => entry.email), ['new@x.edu']);
+            assert.deepEqual(diff.update.map(entry => [entry.email, entry.changes]), [
+                ['moved@x.edu', { section: { from: 'S1', to: 'S2' } }]
+            ]);
+            assert.equal(diff.unchanged, 1);
+            assert.deepEqual(diff.remove.map(entry => entry.email), ['gone@x.edu']);
+        });
+
+        it('keeps staff missing from the file and demotes them only when listed as students', async () => {
+            const service = serviceWith([student('ta@x.edu', { role: 'ta' }), student('prof@x.edu', { role: 'instructor' })]);
+            const diff = await service.diffRoster('email,role\nprof@x.edu,student\n', 'admin@x.edu');
+
+            assert.deepEqual(diff.remove, []);
+            assert.deepEqual(diff.kept.map(entry => entry.email), ['ta@x.edu']);
+            assert.deepEqual(diff.update.map(entry => [entry.email, entry.role]), [['prof@x.edu', 'student']]);
+        });
+
+        it('never removes or demotes the admin running the import', async () => {
+            const service = serviceWith([student('admin@x.edu', { role: 'admin' })]);
+            assert.deepEqual((await service.diffRoster('email\nother@x.edu\n', 'Admin@x.edu')).kept.map(entry => entry.reason), ['You cannot remove yourself']);
+
+            const demoted = await service.diffRoster('email,role\nadmin@x.edu,student\n', 'admin@x.edu');
+            assert.deepEqual(demoted.update, []);
+            assert.deepEqual(demoted.kept.map(entry => entry.reason), ['You cannot demote yourself']);
+        });
+
+        it('matches stored addresses regardless of case', async () => {
+            const service = serviceWith([student('Mixed.Case@x.edu', { name: 'Mo' })]);
+
+            const same = await service.diffRoster('email,name\nmixed.case@x.edu,Mo\n', 'admin@x.edu');
+            assert.deepEqual([same.add, same.remove, same.update, same.unchanged], [[], [], [], 1]);
+
+            const renamed = await service.diffRoster('email,name\nmixed.case@x.edu,Moe\n', 'admin@x.edu');
+            assert.deepEqual(renamed.update.map(entry => entry.email), ['Mixed.Case@x.edu']);
+        });
+    });
+});